@@ -1,82 +1,288 @@
+import { createHash } from "node:crypto";
 import fs from "node:fs/promises";
+import os from "node:os";
 import path from "node:path";
-import { pathToFileURL } from "node:url";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import {
+  defaultLocale,
+  localePath,
+  localizeRecord,
+  localizeSite,
+  pageHref,
+  siteLocales,
+  t,
+  translateTerm,
+} from "./lib/i18n.mjs";
+import { renderCmsConfig } from "./lib/cms.mjs";
+import { loadData, validateData } from "./lib/data.mjs";
+import { renderCalendar } from "./lib/ical.mjs";
+import { renderVCard } from "./lib/vcard.mjs";
+import { decodeImage, encodeJpeg, encodePng, imageInfo, resize } from "./lib/image.mjs";
+import { formatIssue, VOICE_TYPES } from "./lib/schema.mjs";
+import { parseYaml } from "./lib/yaml.mjs";
+import { absoluteUrl, ensureTrailingSlash, resolveBaseUrl, safeJoinUrl, sitePathForUrl, withBase } from "./lib/urls.mjs";
+import {
+  artistLabel,
+  artistLinks,
+  artistRepertoire,
+  escapeHtml,
+  formatRepertoireEntry,
+  normalizeForSearch,
+  renderLinkRow,
+  renderMarkdown,
+  repertoireWorkId,
+  siteLinks,
+} from "./lib/html.mjs";
 
 const projectRoot = path.resolve(process.cwd());
 const dataDir = path.join(projectRoot, "data");
 const srcDir = path.join(projectRoot, "src");
+const biosDir = path.join(projectRoot, "bios");
+const themesDir = path.join(projectRoot, "themes");
+const i18nDir = path.join(dataDir, "i18n");
+const scriptsLibDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "lib");
 const distDir = path.join(projectRoot, "dist");
+const imageCacheDir = path.join(projectRoot, ".cache", "images");
+const manifestFile = ".build-manifest.json";
+const MANIFEST_VERSION = 1;
 
-function escapeHtml(value) {
-  return String(value)
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#39;");
+async function assetExistsInDist(urlPath) {
+  if (!urlPath) return false;
+  if (urlPath.startsWith("http://") || urlPath.startsWith("https://")) return true;
+  if (!urlPath.startsWith("/")) return false;
+  const filePath = path.join(distDir, urlPath);
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
 }
 
-function normalizeBaseUrl(url) {
-  const trimmed = String(url ?? "").trim();
-  return trimmed.replace(/\/+$/, "");
+// Reads pixel dimensions from the file header. Sniffs the signature rather than
+// trusting the extension (several headshots are PNG data saved as .jpg).
+async function imageInfoInDist(urlPath) {
+  if (!urlPath?.startsWith("/")) return null;
+  try {
+    return imageInfo(await fs.readFile(path.join(distDir, urlPath)));
+  } catch {
+    return null;
+  }
 }
 
-function normalizeBasePath(basePath) {
-  const trimmed = String(basePath ?? "").trim();
-  if (!trimmed || trimmed === "/") return "";
+function stripBioPreamble(source) {
+  // bios/*.md open with optional front matter, "# Name" and a bold discipline line,
+  // all of which the artist page already shows in its header.
+  return String(source || "")
+    .replace(/^\uFEFF/, "")
+    .replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, "")
+    .replace(/^\s*#\s+[^\n]*\n/, "")
+    .replace(/^\s*\*\*[^*\n]+\*\*\s*\n/, "")
+    .trim();
+}
+
+// Translated biographies live in bios/<locale>/<slug>.md next to the default-locale files.
+async function loadMarkdownBios(artists, locale = "") {
+  const dir = locale ? path.join(biosDir, locale) : biosDir;
+  const bios = new Map();
+  await Promise.all(
+    artists.map(async (artist) => {
+      try {
+        const source = await fs.readFile(path.join(dir, `${artist.slug}.md`), "utf8");
+        const body = stripBioPreamble(source);
+        if (body) bios.set(artist.slug, body);
+      } catch (err) {
+        if (err?.code !== "ENOENT") throw err;
+      }
+    })
+  );
+  return bios;
+}
 
-  const withLeadingSlash = trimmed.startsWith("/") ? trimmed : `/${trimmed}`;
-  return withLeadingSlash.replace(/\/+$/, "");
+// Dates are kept in order so the first/last date span a run of performances.
+function sortEngagementDates(engagements) {
+  return engagements.map((e) => ({ ...e, dates: [...e.dates].sort() }));
 }
 
-function resolveBasePath(site) {
-  return normalizeBasePath(process.env.BASE_PATH ?? site.basePath);
+// "Today" for hiding past performances. BUILD_DATE=YYYY-MM-DD pins it (for
+// previews and reproducible builds); otherwise the build machine's local date.
+function buildDate() {
+  if (process.env.BUILD_DATE) {
+    if (!isIsoDate(process.env.BUILD_DATE)) throw new Error(`BUILD_DATE must be YYYY-MM-DD: '${process.env.BUILD_DATE}'`);
+    return process.env.BUILD_DATE;
+  }
+  const now = new Date();
+  return [now.getFullYear(), now.getMonth() + 1, now.getDate()].map((n) => String(n).padStart(2, "0")).join("-");
 }
 
-function resolveBaseUrl(site) {
-  const envBaseUrl = normalizeBaseUrl(process.env.BASE_URL);
-  if (envBaseUrl) return envBaseUrl;
-  return normalizeBaseUrl(site.baseUrl);
+const DEFAULT_SHARE_IMAGE = { path: "/assets/og-default.png", width: 1200, height: 630, type: "image/png" };
+
+let svgConverter;
+// Share cards are drawn as SVG, which social networks don't accept, so they are only
+// used when a local rasteriser is installed; otherwise pages fall back to the static card.
+function findSvgConverter() {
+  if (svgConverter !== undefined) return svgConverter;
+  const candidates = [
+    { cmd: "rsvg-convert", args: (src, dest) => ["-w", "1200", "-h", "630", "-o", dest, src] },
+    { cmd: "magick", args: (src, dest) => [src, dest] },
+    { cmd: "convert", args: (src, dest) => [src, dest] },
+    { cmd: "inkscape", args: (src, dest) => [src, "--export-type=png", `--export-filename=${dest}`] },
+  ];
+  svgConverter = candidates.find((c) => spawnSync(c.cmd, ["--version"], { stdio: "ignore" }).status === 0) || null;
+  return svgConverter;
 }
 
-function withBase(site, urlPath) {
-  if (!urlPath?.startsWith("/")) return urlPath;
-  const basePath = resolveBasePath(site);
-  return basePath ? `${basePath}${urlPath}` : urlPath;
+function renderShareCardSvg({ site, artist, logoDataUri }) {
+  const label = artistLabel(artist);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="630" viewBox="0 0 1200 630">
+  <rect width="1200" height="630" fill="#ffffff"/>
+  <rect y="622" width="1200" height="8" fill="#93dcb8"/>
+  <image href="${logoDataUri}" x="80" y="70" width="300" height="104"/>
+  <text x="80" y="380" font-family="EB Garamond, Georgia, serif" font-size="84" fill="#333333">${escapeHtml(artist.name)}</text>
+  ${label ? `<text x="84" y="450" font-family="Inter, Helvetica, Arial, sans-serif" font-size="28" letter-spacing="6" fill="#114a81">${escapeHtml(label.toUpperCase())}</text>` : ""}
+  <text x="84" y="560" font-family="Inter, Helvetica, Arial, sans-serif" font-size="22" fill="#333333" opacity="0.6">${escapeHtml(site.agencyName)}</text>
+</svg>
+`;
 }
 
-function baseUrlHasPathname(baseUrl) {
+async function writeShareCards({ site, artists, writer }) {
+  const cards = new Map();
+  const pending = [];
+  for (const artist of artists) {
+    if (!(await assetExistsInDist(artist.photo?.path))) pending.push(artist);
+  }
+  const converter = pending.length ? findSvgConverter() : null;
+  if (!converter) return cards;
+
+  const logo = await fs.readFile(path.join(srcDir, "assets", "logo.svg"));
+  const logoDataUri = `data:image/svg+xml;base64,${logo.toString("base64")}`;
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "altman-og-"));
   try {
-    const parsed = new URL(baseUrl);
-    return parsed.pathname && parsed.pathname !== "/";
-  } catch {
-    return false;
+    for (const artist of pending) {
+      const svgPath = path.join(tmpDir, `${artist.slug}.svg`);
+      const pngPath = path.join(tmpDir, `${artist.slug}.png`);
+      await fs.writeFile(svgPath, renderShareCardSvg({ site, artist, logoDataUri }), "utf8");
+      if (spawnSync(converter.cmd, converter.args(svgPath, pngPath), { stdio: "ignore" }).status !== 0) continue;
+      const info = imageInfo(await fs.readFile(pngPath).catch(() => Buffer.alloc(0)));
+      if (!info) continue;
+      const urlPath = `/assets/og/${artist.slug}.png`;
+      await writer.copyFile(pngPath, urlPath.slice(1));
+      cards.set(artist.slug, { path: urlPath, ...info });
+    }
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
   }
+  return cards;
 }
 
-function sitePathForUrl({ site, baseUrl, urlPath }) {
-  if (!urlPath?.startsWith("/")) return urlPath;
-  const basePath = resolveBasePath(site);
-  if (!basePath) return urlPath;
-  if (baseUrl && baseUrlHasPathname(baseUrl)) return urlPath;
-  return `${basePath}${urlPath}`;
+// Headshots are served at these widths (plus the original) so cards and avatars
+// don't download the full 1200px file.
+const IMAGE_WIDTHS = [320, 640, 960];
+const VARIANT_QUALITY = 80;
+const PLACEHOLDER_WIDTH = 8;
+const IMAGE_CACHE_VERSION = 3;
+
+let modernImageEncoder;
+// WebP needs a native encoder; without one only the JPEG variants are written.
+function findModernImageEncoder() {
+  if (modernImageEncoder !== undefined) return modernImageEncoder;
+  const candidates = [
+    { cmd: "cwebp", probe: ["-version"], args: (src, dest) => ["-quiet", "-q", String(VARIANT_QUALITY), src, "-o", dest] },
+    { cmd: "magick", probe: ["--version"], args: (src, dest) => [src, "-quality", String(VARIANT_QUALITY), dest] },
+  ];
+  modernImageEncoder = candidates.find((c) => spawnSync(c.cmd, c.probe, { stdio: "ignore" }).status === 0) || null;
+  return modernImageEncoder;
 }
 
-function safeJoinUrl(baseUrl, pathname) {
-  const base = normalizeBaseUrl(baseUrl);
-  if (!base) return "";
-  return `${base}${pathname.startsWith("/") ? "" : "/"}${pathname}`;
+// An 8px copy, blurred by an SVG filter, shown as the image's background while it loads.
+function placeholderFor(image) {
+  const height = Math.max(1, Math.round((PLACEHOLDER_WIDTH * image.height) / image.width));
+  const tiny = encodePng(resize(image, PLACEHOLDER_WIDTH, height));
+  const svg =
+    `<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 ${PLACEHOLDER_WIDTH} ${height}' preserveAspectRatio='none'>` +
+    `<filter id='b' color-interpolation-filters='sRGB'><feGaussianBlur stdDeviation='.6'/></filter>` +
+    `<image filter='url(#b)' width='100%' height='100%' preserveAspectRatio='none' href='data:image/png;base64,${tiny.toString("base64")}'/></svg>`;
+  return `data:image/svg+xml,${svg.replace(/[<>#%"]/g, encodeURIComponent)}`;
 }
 
-function ensureTrailingSlash(p) {
-  return p.endsWith("/") ? p : `${p}/`;
+let responsiveImages = new Map();
+
+// Writes the smaller widths (and WebP copies) of every JPEG/PNG in src/assets/people/
+// next to the original and records what portraitFor needs to build srcsets.
+// Decoding and encoding in plain JS is slow, so every variant and placeholder is
+// cached in .cache/images/ by the source's hash and reused across full rebuilds.
+// `exclude` lists the URL paths (see withheldAssets) to leave out.
+async function writeImageVariants({ writer, exclude = new Set() }) {
+  const images = new Map();
+  const encoder = findModernImageEncoder();
+  const peopleDir = path.join(srcDir, "assets", "people");
+  const files = (await listFiles(peopleDir)).filter((f) => /\.(jpe?g|png)$/i.test(f));
+  await fs.mkdir(imageCacheDir, { recursive: true });
+  let tmpDir = null;
+
+  try {
+    for (const file of files) {
+      const data = await fs.readFile(file);
+      const urlPath = `/${path.relative(srcDir, file).split(path.sep).join("/")}`;
+      if (exclude.has(urlPath) || !imageInfo(data)) continue;
+      const stem = urlPath.replace(/\.[^./]+$/, "");
+      const key = hashInputs(IMAGE_CACHE_VERSION, VARIANT_QUALITY, data);
+      let decoded = null;
+      const source = () => (decoded ||= decodeImage(data));
+
+      const metaPath = path.join(imageCacheDir, `${key}.json`);
+      // The size is the decoded bitmap's, i.e. after any EXIF rotation, so a
+      // sideways-stored JPEG gets portrait variants and width/height attributes.
+      let meta = null;
+      try {
+        meta = JSON.parse(await fs.readFile(metaPath, "utf8"));
+      } catch {
+        const image = source();
+        meta = { width: image.width, height: image.height, placeholder: placeholderFor(image) };
+        await fs.writeFile(metaPath, JSON.stringify(meta), "utf8");
+      }
+
+      const variants = [];
+      const widths = [...IMAGE_WIDTHS.filter((w) => w < meta.width), meta.width];
+      for (const width of widths) {
+        const height = Math.round((meta.height * width) / meta.width);
+        const isOriginal = width === meta.width;
+        const resized = () => (isOriginal ? source() : resize(source(), width, height));
+        if (isOriginal) {
+          variants.push({ path: urlPath, width, type: "image/jpeg" });
+        } else {
+          const cached = path.join(imageCacheDir, `${key}-${width}.jpg`);
+          if (!(await fileExists(cached))) await fs.writeFile(cached, encodeJpeg(resized(), { quality: VARIANT_QUALITY }));
+          const variantPath = `${stem}-${width}.jpg`;
+          await writer.emit(variantPath.slice(1), [key, width], () => fs.readFile(cached));
+          variants.push({ path: variantPath, width, type: "image/jpeg" });
+        }
+        if (encoder) {
+          const cached = path.join(imageCacheDir, `${key}-${width}.webp`);
+          if (!(await fileExists(cached))) {
+            tmpDir ||= await fs.mkdtemp(path.join(os.tmpdir(), "altman-img-"));
+            const input = path.join(tmpDir, "input.png");
+            await fs.writeFile(input, encodePng(resized()));
+            if (spawnSync(encoder.cmd, encoder.args(input, cached), { stdio: "ignore" }).status !== 0) {
+              await fs.rm(cached, { force: true });
+              continue;
+            }
+          }
+          const variantPath = `${isOriginal ? stem : `${stem}-${width}`}.webp`;
+          await writer.emit(variantPath.slice(1), [key, width], () => fs.readFile(cached));
+          variants.push({ path: variantPath, width, type: "image/webp" });
+        }
+      }
+      images.set(urlPath, { width: meta.width, height: meta.height, placeholder: meta.placeholder, variants });
+    }
+  } finally {
+    if (tmpDir) await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+  return images;
 }
 
-async function assetExistsInDist(urlPath) {
-  if (!urlPath) return false;
-  if (urlPath.startsWith("http://") || urlPath.startsWith("https://")) return true;
-  if (!urlPath.startsWith("/")) return false;
-  const filePath = path.join(distDir, urlPath);
+async function fileExists(filePath) {
   try {
     await fs.access(filePath);
     return true;
@@ -85,340 +291,966 @@ async function assetExistsInDist(urlPath) {
   }
 }
 
-function artistLabel(artist) {
-  return artist.discipline || artist.voiceType || "";
+function srcsetFor(site, variants) {
+  return variants.map((v) => `${withBase(site, v.path)} ${v.width}w`).join(", ");
 }
 
-function normalizeForSearch(value) {
-  return String(value || "")
-    .toLowerCase()
-    .normalize("NFKD")
-    .replace(/\p{Diacritic}/gu, "")
-    .trim();
+async function portraitFor({ site, person }) {
+  const exists = await assetExistsInDist(person.photo?.path);
+  const portraitPath = exists ? person.photo.path : "/assets/people/placeholder.svg";
+  return {
+    path: portraitPath,
+    url: withBase(site, portraitPath),
+    alt: person.photo?.alt || t(site, "artist.portraitAlt", { name: person.name }),
+    credit: person.photo?.credit || "",
+    sourceUrl: person.photo?.sourceUrl || "",
+    position: exists ? focusPosition(person.photo?.focus) : "",
+    isPlaceholder: !exists,
+    ...responsivePortrait(site, exists ? responsiveImages.get(portraitPath) : null),
+  };
 }
 
-function renderContactStrip({ site }) {
-  const email = site.contact?.email || "";
-  return `<section class="contact">
-  <h2>Get in Touch</h2>
-  <p>For booking inquiries and general questions</p>
-  ${email ? `<a class="btn" href="mailto:${escapeHtml(email)}">Contact Us</a>` : ""}
-</section>`;
+// `photo.focus` ({ x, y } in percent) as a CSS position; "" keeps the default centre.
+function focusPosition(focus) {
+  if (!Number.isFinite(focus?.x) || !Number.isFinite(focus?.y)) return "";
+  return `${focus.x}% ${focus.y}%`;
 }
 
-async function renderRosterSection({ site, artists, title, intro }) {
-  const types = Array.from(
-    new Set(
-      artists
-        .map((a) => artistLabel(a))
-        .filter(Boolean)
-        .map((t) => t.trim())
-    )
-  ).sort((a, b) => a.localeCompare(b));
+// srcset, intrinsic size and placeholder for renderPortraitImage (scripts/lib/html.mjs).
+function responsivePortrait(site, image) {
+  if (!image) return { srcset: "", sources: [], width: 0, height: 0, placeholder: "" };
+  const jpeg = image.variants.filter((v) => v.type === "image/jpeg");
+  const modern = image.variants.filter((v) => v.type !== "image/jpeg");
+  return {
+    srcset: jpeg.length > 1 ? srcsetFor(site, jpeg) : "",
+    sources: modern.length ? [{ type: modern[0].type, srcset: srcsetFor(site, modern) }] : [],
+    width: image.width,
+    height: image.height,
+    placeholder: image.placeholder,
+  };
+}
 
-  const cards = (await Promise.all(
-    artists.map(async (artist) => {
-      const artistPath = `/artists/${artist.slug}/`;
-      const href = withBase(site, artistPath);
-      const type = artistLabel(artist);
-      const searchable = normalizeForSearch([artist.name, type, artist.location].filter(Boolean).join(" "));
-      const portraitPath = (await assetExistsInDist(artist.photo?.path)) ? artist.photo.path : "/assets/people/placeholder.svg";
-      const portraitUrl = withBase(site, portraitPath);
-      const portraitAlt = artist.photo?.alt || `Portrait of ${artist.name}`;
-
-      return `<article class="artist-card" data-artist-card data-name="${escapeHtml(searchable)}" data-type="${escapeHtml(type)}">
-  <a class="artist-card__media" href="${escapeHtml(href)}" aria-label="${escapeHtml(artist.name)}">
-    <img src="${escapeHtml(portraitUrl)}" alt="${escapeHtml(portraitAlt)}" loading="lazy" decoding="async" />
-  </a>
-  <div class="artist-card__body">
-    <a href="${escapeHtml(href)}"><h3>${escapeHtml(artist.name)}</h3></a>
-    <p class="meta">${escapeHtml([type, artist.location].filter(Boolean).join(" · "))}</p>
-    ${artist.managementNotes ? `<p class="meta artist-card__note">${escapeHtml(artist.managementNotes)}</p>` : ""}
-    ${artist.website ? `<div class="tagrow">
-      <a class="tag" href="${escapeHtml(artist.website)}" target="_blank" rel="noopener noreferrer">Website</a>
-    </div>` : ""}
-  </div>
-</article>`;
-    })
-  )).join("\n");
+function repertoireWorks(artist) {
+  return [...new Set(artistRepertoire(artist).map((entry) => entry.work))];
+}
+
+function facetOptions(artists, valuesOf, compare) {
+  const counts = new Map();
+  for (const artist of artists) {
+    for (const value of valuesOf(artist)) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts].sort(([a], [b]) => compare(a, b));
+}
+
+// The roster grid with its search, facets (discipline, location, repertoire;
+// any value within a facet, every facet), sort and grouping controls, which
+// site.js drives and keeps in the URL. Without scripts the controls stay
+// hidden and the artists are listed by discipline under a jump menu.
+async function renderRosterSection({ site, theme, artists, title, intro }) {
+  const otherLabel = t(site, "roster.other");
+  const typeOrder = VOICE_TYPES.map((v) => translateTerm(site, "voiceType", v));
+  const groupOf = (artist) => artistLabel(artist).trim() || otherLabel;
+  const rank = (label) => (typeOrder.includes(label) ? typeOrder.indexOf(label) : label === otherLabel ? 999 : 500);
+  const byGroup = (a, b) => rank(a) - rank(b) || a.localeCompare(b, site.locale);
+  const byText = (a, b) => a.localeCompare(b, site.locale);
 
+  const facets = [
+    { name: "type", label: t(site, "roster.facet.type"), options: facetOptions(artists, (a) => [artistLabel(a).trim()].filter(Boolean), byGroup) },
+    { name: "loc", label: t(site, "roster.facet.location"), options: facetOptions(artists, (a) => [String(a.location || "").trim()].filter(Boolean), byText) },
+    { name: "rep", label: t(site, "roster.facet.repertoire"), options: facetOptions(artists, repertoireWorks, byText) },
+  ].filter((facet) => facet.options.length);
+
+  const groups = new Map();
+  for (const [index, artist] of artists.entries()) {
+    const type = artistLabel(artist).trim();
+    const group = groupOf(artist);
+    const surname = String(artist.name).trim().split(/\s+/).pop();
+    const attrs = {
+      "data-slug": artist.slug,
+      "data-name": normalizeForSearch([artist.name, type, artist.location, ...repertoireWorks(artist)].filter(Boolean).join(" ")),
+      "data-type": type,
+      "data-loc": String(artist.location || "").trim(),
+      "data-rep": repertoireWorks(artist).join("|"),
+      "data-group": group,
+      "data-group-rank": String(rank(group)),
+      "data-sort-name": normalizeForSearch(artist.name),
+      "data-sort-surname": normalizeForSearch(`${surname} ${artist.name}`),
+      "data-added": artist.addedOn || "",
+      "data-order": String(index),
+    };
+    const dataAttrs = ["data-artist-card", ...Object.entries(attrs).map(([name, value]) => `${name}="${escapeHtml(value)}"`)].join(" ");
+    const card = theme.rosterCard({ site, artist, portrait: await portraitFor({ site, person: artist }), dataAttrs });
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(card);
+  }
+  const groupNames = [...groups.keys()].sort(byGroup);
+  const groupId = (name) => `roster-${normalizeForSearch(name).replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "other"}`;
+
+  const sorts = ["", "name", "surname", "recent"];
   return `<section class="roster" data-roster>
   ${title ? `<h2 class="section-title roster__title">${escapeHtml(title)}</h2>` : ""}
-  ${intro ? `<p class="meta" style="margin-top: 0;">${escapeHtml(intro)}</p>` : ""}
-  <div class="roster__controls" data-roster-controls>
-    <label class="roster__field">
-      <span class="visually-hidden">Search artists</span>
-      <input id="roster-search" class="input" type="search" placeholder="Search artists" autocomplete="off" />
+  ${intro ? `<p class="meta roster__intro">${escapeHtml(intro)}</p>` : ""}
+  <div class="roster__controls" data-roster-controls hidden>
+    <label class="roster__field roster__search">
+      <span class="visually-hidden">${escapeHtml(t(site, "roster.search"))}</span>
+      <input id="roster-search" class="input" type="search" placeholder="${escapeHtml(t(site, "roster.search"))}" autocomplete="off" />
     </label>
+    ${facets
+      .map(
+        (facet) => `<details class="facet" data-facet="${facet.name}">
+      <summary class="select">${escapeHtml(facet.label)}<span class="facet__count" data-facet-count></span></summary>
+      <fieldset class="facet__options">
+        <legend class="visually-hidden">${escapeHtml(facet.label)}</legend>
+        ${facet.options
+          .map(
+            ([value, count]) =>
+              `<label class="facet__option"><input type="checkbox" name="${facet.name}" value="${escapeHtml(value)}" /> ${escapeHtml(value)} <span class="meta">${count}</span></label>`
+          )
+          .join("\n        ")}
+      </fieldset>
+    </details>`
+      )
+      .join("\n    ")}
     <label class="roster__field">
-      <span class="visually-hidden">Filter by discipline</span>
-      <select id="roster-filter" class="select">
-        <option value="">All disciplines</option>
-        ${types.map((t) => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join("")}
+      <span class="visually-hidden">${escapeHtml(t(site, "roster.sort"))}</span>
+      <select id="roster-sort" class="select">
+        ${sorts.map((sort) => `<option value="${sort}">${escapeHtml(t(site, `roster.sort.${sort || "default"}`))}</option>`).join("")}
       </select>
     </label>
-    <div class="roster__count meta"><span id="roster-count">${artists.length}</span> results</div>
+    <label class="roster__toggle"><input id="roster-group" type="checkbox" /> ${escapeHtml(t(site, "roster.group"))}</label>
+    <div class="roster__count meta"><span id="roster-count">${artists.length}</span> ${escapeHtml(t(site, "roster.results"))}</div>
   </div>
-  <div class="artist-grid" aria-label="Artist roster">
-    ${cards}
+  ${
+    groupNames.length > 1
+      ? `<nav class="roster__jump meta" data-roster-jump aria-label="${escapeHtml(t(site, "roster.jump"))}">
+    ${groupNames.map((name) => `<a href="#${groupId(name)}">${escapeHtml(name)}</a>`).join("\n    ")}
+  </nav>`
+      : ""
+  }
+  <div class="roster__results" data-roster-results aria-label="${escapeHtml(t(site, "roster.label"))}">
+    ${groupNames
+      .map(
+        (name) => `<section class="roster__group" id="${groupId(name)}">
+      <h3 class="roster__group-title">${escapeHtml(name)}</h3>
+      <div class="artist-grid">
+        ${groups.get(name).join("\n")}
+      </div>
+    </section>`
+      )
+      .join("\n    ")}
   </div>
-  <div id="roster-empty" class="notice" style="display:none;">No artists match your search.</div>
+  <div id="roster-empty" class="notice" style="display:none;">${escapeHtml(t(site, "roster.empty"))}</div>
 </section>`;
 }
 
-async function renderFeaturedArtistsGrid({ site, artists }) {
-  const featured = artists.slice(0, 9); // Show first 9 artists
+const DEFAULT_FEATURED_COUNT = 9;
 
-  const artistLinks = featured.map(artist => {
-    const type = artistLabel(artist);
-    const href = withBase(site, `/artists/${artist.slug}/`);
-    return `<a href="${escapeHtml(href)}" class="artist">
-  <h3>${escapeHtml(artist.name)}</h3>
-  <span>${escapeHtml(type)}</span>
-</a>`;
-  }).join('\n');
+// The home page's artists: the entries of `site.featured.artists` that are
+// published and within their from/until dates, in their listed order. When
+// more are eligible than `count`, `rotation` picks which: the first ones, or a
+// window that moves on by `count` each day or week (weeks start on Monday), so
+// everyone gets a turn and every build on the same day shows the same ones.
+// Without a list, or with nobody in it eligible, the roster's first artists
+// are shown. Drafts are never featured, so previews show the live home page.
+export function pickFeaturedArtists({ site, artists, today }) {
+  const config = site.featured || {};
+  const count = config.count ?? DEFAULT_FEATURED_COUNT;
+  const bySlug = new Map(artists.filter((a) => !a.draft).map((a) => [a.slug, a]));
+  const eligible = (Array.isArray(config.artists) ? config.artists : [])
+    .filter((entry) => bySlug.has(entry.artist) && (!entry.from || entry.from <= today) && (!entry.until || entry.until >= today))
+    .map((entry) => bySlug.get(entry.artist));
+  if (!eligible.length) return [...bySlug.values()].slice(0, count);
+  if (eligible.length <= count || !["daily", "weekly"].includes(config.rotation)) return eligible.slice(0, count);
+  const day = Math.floor(utcDate(today).getTime() / 86_400_000);
+  // Day 0 (1970-01-01) was a Thursday.
+  const period = config.rotation === "weekly" ? Math.floor((day + 3) / 7) : day;
+  const start = (period * count) % eligible.length;
+  return Array.from({ length: count }, (_, i) => eligible[(start + i) % eligible.length]);
+}
 
-  return `<section class="roster-featured">
-  <div class="roster-header">
-    <h2>Featured Artists</h2>
-    <a href="${escapeHtml(withBase(site, "/artists/"))}">View All</a>
-  </div>
-  <div class="artists-grid">
-    ${artistLinks}
-  </div>
-</section>`;
+async function renderFeaturedArtistsGrid({ site, theme, artists, today }) {
+  const picked = pickFeaturedArtists({ site, artists, today });
+  if (!picked.length) return "";
+  const featured = await Promise.all(
+    picked.map(async (artist) => ({
+      artist,
+      portrait: await portraitFor({ site, person: artist }),
+    }))
+  );
+  return theme.featuredArtists({ site, featured });
+}
+
+function dateFormatter(site, options) {
+  return new Intl.DateTimeFormat(site.locale || "en", { timeZone: "UTC", ...options });
+}
+
+function utcDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`);
+}
+
+// "12 Apr 2026" or "12 Apr – 3 May 2026" in the page's language.
+// `time` ("HH:MM", the venue's local time) is added to the label as given.
+function formatDateSpan(site, dates, time) {
+  const format = dateFormatter(site, { day: "numeric", month: "short", year: "numeric" });
+  const first = dates[0];
+  const last = dates[dates.length - 1];
+  const label = first === last ? format.format(utcDate(first)) : format.formatRange(utcDate(first), utcDate(last));
+  return {
+    start: first,
+    end: last,
+    label: time ? `${label}, ${dateFormatter(site, { hour: "numeric", minute: "2-digit" }).format(new Date(`1970-01-01T${time}:00Z`))}` : label,
+  };
+}
+
+function engagementUid(site, engagement, date) {
+  const key = hashInputs(engagement.artist, engagement.work, engagement.role, engagement.company, engagement.venue);
+  const host = (() => {
+    try {
+      return new URL(resolveBaseUrl(site)).hostname;
+    } catch {
+      return "localhost";
+    }
+  })();
+  return `${engagement.artist}-${key}-${date.replaceAll("-", "")}@${host}`;
+}
+
+function engagementsForArtist(engagements, slug) {
+  return engagements.filter((e) => e.artist === slug);
+}
+
+function upcomingEngagements(engagements, today) {
+  return engagements
+    .map((engagement) => ({ engagement, dates: engagement.dates.filter((d) => d >= today) }))
+    .filter(({ dates }) => dates.length)
+    .sort((a, b) => a.dates[0].localeCompare(b.dates[0]));
+}
+
+function calendarFeedPath(slug) {
+  return slug ? `/calendar/${slug}.ics` : "/calendar/roster.ics";
+}
+
+function renderUpcoming({ site, theme, artist, engagements, today }) {
+  const upcoming = upcomingEngagements(engagementsForArtist(engagements, artist.slug), today);
+  if (!upcoming.length) return "";
+  return `<section class="panel upcoming" aria-labelledby="upcoming-title">
+        <h2 class="profile__subtitle" id="upcoming-title">${escapeHtml(t(site, "artist.upcoming"))}</h2>
+        <ul class="engagements">
+          ${upcoming.map(({ engagement, dates }) => theme.engagement({ site, engagement, when: formatDateSpan(site, dates, engagement.time) })).join("\n")}
+        </ul>
+        <p class="meta upcoming__feed"><a href="${escapeHtml(withBase(site, calendarFeedPath(artist.slug)))}">${escapeHtml(t(site, "calendar.subscribeArtist", { name: artist.name }))}</a></p>
+      </section>`;
+}
+
+function renderCalendarFeed({ site, artists, engagements, artist, today }) {
+  const names = new Map(artists.map((a) => [a.slug, a.name]));
+  const events = engagements.flatMap((engagement) =>
+    engagement.dates.map((date) => ({
+      uid: engagementUid(site, engagement, date),
+      date,
+      time: engagement.time || "",
+      timeZone: engagement.timeZone,
+      summary: `${names.get(engagement.artist)} — ${[engagement.role, engagement.work].filter(Boolean).join(", ")}`,
+      location: [engagement.venue, engagement.city].filter(Boolean).join(", "),
+      description: [engagement.work && engagement.composer ? `${engagement.work} (${engagement.composer})` : "", engagement.company]
+        .filter(Boolean)
+        .join(" — "),
+      url: engagement.link || "",
+    }))
+  );
+  events.sort((a, b) => a.date.localeCompare(b.date) || a.summary.localeCompare(b.summary));
+  return renderCalendar({
+    prodId: `-//${site.agencyName}//Engagements//EN`,
+    name: artist ? `${artist.name} — ${site.agencyName}` : site.agencyName,
+    stamp: today,
+    events,
+  });
+}
+
+function organizationId(site) {
+  return `${absoluteUrl(site, "/")}#organization`;
+}
+
+function organizationJsonLd(site) {
+  const sameAs = siteLinks(site).map((link) => link.url);
+  return {
+    "@context": "https://schema.org",
+    "@type": "Organization",
+    "@id": organizationId(site),
+    name: site.agencyName,
+    url: absoluteUrl(site, "/"),
+    logo: absoluteUrl(site, "/assets/logo.svg"),
+    ...(site.description ? { description: site.description } : {}),
+    ...(site.contact?.email ? { email: site.contact.email } : {}),
+    ...(site.contact?.phone ? { telephone: site.contact.phone } : {}),
+    ...(sameAs.length ? { sameAs } : {}),
+  };
+}
+
+function personJsonLd({ site, artist, portraitPath }) {
+  const sameAs = artistLinks(artist).map((link) => link.url);
+  return {
+    "@type": "Person",
+    name: artist.name,
+    url: absoluteUrl(site, localePath(site, `/artists/${artist.slug}/`)),
+    ...(artistLabel(artist) ? { jobTitle: artistLabel(artist) } : {}),
+    ...(portraitPath ? { image: absoluteUrl(site, portraitPath) } : {}),
+    ...(sameAs.length ? { sameAs } : {}),
+    worksFor: { "@id": organizationId(site) },
+  };
+}
+
+const JSON_LD_URL_KEYS = new Set(["@id", "url", "logo", "image", "sameAs"]);
+
+// JSON-LD is consumed by crawlers, so when the site has a public base URL every
+// URL-valued property must be absolute.
+function validateJsonLd(site, json) {
+  let data = null;
+  try {
+    data = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`Generated JSON-LD is not valid JSON: ${err.message}`);
+  }
+  if (!resolveBaseUrl(site)) return;
+
+  const check = (value, key, trail) => {
+    if (Array.isArray(value)) return value.forEach((v, i) => check(v, key, `${trail}[${i}]`));
+    if (value && typeof value === "object") {
+      return Object.entries(value).forEach(([k, v]) => check(v, k, `${trail}.${k}`));
+    }
+    if (JSON_LD_URL_KEYS.has(key) && typeof value === "string" && !/^https?:\/\/[^/]/.test(value)) {
+      throw new Error(`JSON-LD ${trail} must be an absolute URL: '${value}'`);
+    }
+  };
+  check(data, "", "$");
+}
+
+function renderJsonLd(site, data) {
+  const json = JSON.stringify(data);
+  validateJsonLd(site, json);
+  // "<" is escaped so no string value can close the script element.
+  return `<script type="application/ld+json">${json.replaceAll("<", "\\u003c")}</script>`;
 }
 
-function renderLayout({ site, title, description, canonicalPath, content }) {
+function renderLayout({
+  site,
+  theme,
+  title,
+  description,
+  canonicalPath,
+  content,
+  jsonLd = [],
+  image = DEFAULT_SHARE_IMAGE,
+  ogType = "website",
+  robots = "index,follow",
+}) {
   const baseUrl = resolveBaseUrl(site);
   const canonical = canonicalPath
-    ? safeJoinUrl(baseUrl, sitePathForUrl({ site, baseUrl, urlPath: canonicalPath }))
+    ? safeJoinUrl(baseUrl, sitePathForUrl({ site, baseUrl, urlPath: localePath(site, canonicalPath) }))
     : "";
+  const locales = siteLocales(site);
+  const languages = locales.map((locale) => ({
+    locale,
+    name: site.languageNames?.[locale] || locale,
+    href: withBase(site, localePath(site, canonicalPath || "/", locale)),
+    current: locale === site.locale,
+  }));
+  // hreflang alternates need absolute URLs, so they are only emitted with a base URL.
+  const alternates =
+    canonical && locales.length > 1
+      ? [
+          ...locales.map((locale) => ({ hreflang: locale, locale })),
+          { hreflang: "x-default", locale: defaultLocale(site) },
+        ].map(({ hreflang, locale }) => ({
+          hreflang,
+          href: safeJoinUrl(baseUrl, sitePathForUrl({ site, baseUrl, urlPath: localePath(site, canonicalPath, locale) })),
+        }))
+      : [];
   const metaDescription = (description || site.description || "").trim();
   const fullTitle = title ? `${title} · ${site.agencyName}` : site.agencyName;
-  const year = new Date().getFullYear();
+  const imageUrl = image?.path ? absoluteUrl(site, image.path) : "";
 
-  return `<!doctype html>
-<html lang="en">
-  <head>
-    <meta charset="utf-8" />
+  const head = `<meta charset="utf-8" />
     <meta name="viewport" content="width=device-width, initial-scale=1" />
-    <meta name="color-scheme" content="dark" />
+    <meta name="color-scheme" content="${escapeHtml(theme.colorScheme || "light")}" />
     <title>${escapeHtml(fullTitle)}</title>
-    <meta name="robots" content="index,follow" />
+    <meta name="robots" content="${escapeHtml(robots)}" />
     ${metaDescription ? `<meta name="description" content="${escapeHtml(metaDescription)}" />` : ""}
     ${canonical ? `<link rel="canonical" href="${escapeHtml(canonical)}" />` : ""}
+    ${alternates.map((a) => `<link rel="alternate" hreflang="${escapeHtml(a.hreflang)}" href="${escapeHtml(a.href)}" />`).join("\n    ")}
     <meta property="og:site_name" content="${escapeHtml(site.agencyName)}" />
     <meta property="og:title" content="${escapeHtml(fullTitle)}" />
     ${metaDescription ? `<meta property="og:description" content="${escapeHtml(metaDescription)}" />` : ""}
     ${canonical ? `<meta property="og:url" content="${escapeHtml(canonical)}" />` : ""}
-    <meta property="og:type" content="website" />
-    <meta name="twitter:card" content="summary" />
+    <meta property="og:type" content="${escapeHtml(ogType)}" />
+    ${
+      imageUrl
+        ? `<meta property="og:image" content="${escapeHtml(imageUrl)}" />
+    ${image.type ? `<meta property="og:image:type" content="${escapeHtml(image.type)}" />` : ""}
+    ${image.width && image.height ? `<meta property="og:image:width" content="${image.width}" />
+    <meta property="og:image:height" content="${image.height}" />` : ""}
+    <meta property="og:image:alt" content="${escapeHtml(image.alt || fullTitle)}" />
+    <meta name="twitter:card" content="summary_large_image" />
+    <meta name="twitter:image" content="${escapeHtml(imageUrl)}" />`
+        : `<meta name="twitter:card" content="summary" />`
+    }
+    ${[organizationJsonLd(site), ...jsonLd].map((data) => renderJsonLd(site, data)).join("\n    ")}
     <link rel="icon" href="${escapeHtml(withBase(site, "/assets/favicon.svg"))}" type="image/svg+xml" />
     <link rel="preload" href="${escapeHtml(withBase(site, "/assets/logo.svg"))}" as="image" type="image/svg+xml" />
     <link rel="preconnect" href="https://fonts.googleapis.com">
     <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-    <link href="https://fonts.googleapis.com/css2?family=EB+Garamond:ital,wght@0,400;0,500;1,400&family=Inter:wght@300;400&display=swap" rel="stylesheet">
-    <link rel="stylesheet" href="${escapeHtml(withBase(site, "/assets/styles.css"))}" />
-    <script defer src="${escapeHtml(withBase(site, "/assets/site.js"))}"></script>
-    <script src="https://identity.netlify.com/v1/netlify-identity-widget.js"></script>
-  </head>
-  <body>
-    <a class="skip" href="#main">Skip to content</a>
-    <header>
-      <div class="container">
-        <nav class="nav" aria-label="Primary">
-          <a class="brand" href="${escapeHtml(withBase(site, "/"))}" data-nav>Altman Artists</a>
-          <div class="navlinks">
-            <a class="navlink" href="${escapeHtml(withBase(site, "/artists/"))}" data-nav>Artists</a>
-            <a class="navlink" href="${escapeHtml(withBase(site, "/contact/"))}" data-nav>Contact</a>
-          </div>
-        </nav>
-      </div>
-    </header>
-    <main id="main">
-      <div class="container">
-        ${content}
-      </div>
-    </main>
-    <footer>
-      <div class="container">
-        <div class="footerrow">
-          <span>${escapeHtml(site.agencyName)}</span>
-          <span>Artist Management</span>
-        </div>
-      </div>
-    </footer>
-    <script>
-      if (window.netlifyIdentity) {
-        window.netlifyIdentity.on("init", function(user) {
-          if (!user) {
-            window.netlifyIdentity.on("login", function() {
-              document.location.href = "/admin/";
-            });
-          }
-        });
-      }
-    </script>
-  </body>
-</html>`;
+    ${theme.fonts ? `<link href="${escapeHtml(theme.fonts)}" rel="stylesheet">` : ""}
+    ${theme.stylesheets.map((href) => `<link rel="stylesheet" href="${escapeHtml(withBase(site, href))}" />`).join("\n    ")}
+    <link rel="stylesheet" href="${escapeHtml(withBase(site, "/assets/print.css"))}" media="print" />
+    <script type="module" src="${escapeHtml(withBase(site, "/assets/site.js"))}"></script>
+    <script src="https://identity.netlify.com/v1/netlify-identity-widget.js"></script>`;
+
+  return theme.layout({ site, head, content, languages });
 }
 
-async function renderHome({ site, artists }) {
-  const email = site.contact?.email || "";
+async function renderHome({ site, theme, artists, today }) {
   return renderLayout({
     site,
+    theme,
     title: "",
     description: site.description,
     canonicalPath: "/",
-    content: `<section class="hero">
-  <img src="${escapeHtml(withBase(site, "/assets/logo.svg"))}" alt="Altman Artists" class="hero-logo" />
-  <a class="btn" href="${escapeHtml(withBase(site, "/artists/"))}">Explore Roster</a>
-</section>
-${await renderFeaturedArtistsGrid({ site, artists })}
-${renderContactStrip({ site })}`,
+    content: `${theme.hero({ site })}
+${await renderFeaturedArtistsGrid({ site, theme, artists, today })}
+${theme.contactStrip({ site })}`,
   });
 }
 
-async function renderArtistsIndex({ site, artists }) {
+async function renderArtistsIndex({ site, theme, artists }) {
+  const people = await Promise.all(
+    artists.map(async (artist) => {
+      const portraitPath = (await assetExistsInDist(artist.photo?.path)) ? artist.photo.path : "";
+      return personJsonLd({ site, artist, portraitPath });
+    })
+  );
+
   return renderLayout({
     site,
-    title: "Artists",
-    description: `Roster of artists represented by ${site.agencyName}.`,
+    theme,
+    title: t(site, "artists.title"),
+    description: t(site, "artists.description", { agency: site.agencyName }),
     canonicalPath: "/artists/",
+    jsonLd: [
+      {
+        "@context": "https://schema.org",
+        "@type": "ItemList",
+        name: `${site.agencyName} roster`,
+        url: absoluteUrl(site, localePath(site, "/artists/")),
+        numberOfItems: people.length,
+        itemListElement: people.map((person, index) => ({ "@type": "ListItem", position: index + 1, item: person })),
+      },
+    ],
     content: `<section class="page">
-  <h1>Artists</h1>
-  <p>Search the roster and filter by discipline/voice type.</p>
+  <h1>${escapeHtml(t(site, "artists.title"))}</h1>
+  <p>${escapeHtml(t(site, "artists.intro"))}</p>
+  <p class="meta"><a href="${escapeHtml(pageHref(site, "/repertoire/"))}">${escapeHtml(t(site, "artists.repertoire"))}</a> · <a href="${escapeHtml(pageHref(site, pressKitPath("")))}">${escapeHtml(t(site, "artists.catalogue"))}</a></p>
 </section>
-${await renderRosterSection({ site, artists, title: "", intro: "" })}
-${renderContactStrip({ site })}`,
+${await renderRosterSection({ site, theme, artists, title: "", intro: "" })}
+${theme.contactStrip({ site })}`,
   });
 }
 
-function renderAbout({ site, team }) {
-  const resolvedTeam = Array.isArray(team) ? team : Array.isArray(site.team) ? site.team : [];
+function teamPath(slug) {
+  return `/about/${slug}/`;
+}
+
+// vCards are language-neutral, so there is one per person next to the default-locale page.
+function vcardPath(slug) {
+  return `/about/${slug}.vcf`;
+}
+
+async function renderTeamGrid({ site, theme, team }) {
+  const members = await Promise.all(
+    team.map(async (member) =>
+      theme.teamMember({ site, member, portrait: await portraitFor({ site, person: member }), href: pageHref(site, teamPath(member.slug)) })
+    )
+  );
+  return members.length ? `<div class="team-grid">
+      ${members.join("")}
+    </div>` : "";
+}
+
+async function renderAbout({ site, theme, team }) {
+  const grid = await renderTeamGrid({ site, theme, team });
   return renderLayout({
     site,
-    title: "About",
-    description: `About ${site.agencyName}.`,
+    theme,
+    title: t(site, "about.title"),
+    description: t(site, "about.description", { agency: site.agencyName }),
     canonicalPath: "/about/",
-    content: `<section class="page">
-  <h1>About</h1>
+    jsonLd: [
+      {
+        "@context": "https://schema.org",
+        "@type": "AboutPage",
+        url: absoluteUrl(site, localePath(site, "/about/")),
+        about: { "@id": organizationId(site) },
+        ...(team.length ? { mentions: team.map((member) => ({ "@id": teamMemberId(site, member) })) } : {}),
+      },
+    ],
+    content: `<section class="page about-page">
+  <h1>${escapeHtml(t(site, "about.title"))}</h1>
+  ${site.tagline ? `<p class="about-page__tagline">${escapeHtml(site.tagline)}</p>` : ""}
   <p>${escapeHtml(site.description || "")}</p>
   ${
-    resolvedTeam.length
-      ? `<h2 class="section-title" style="margin-top: 22px;">Team</h2>
-  <ul class="list">
-    ${resolvedTeam.map((m) => `<li>${escapeHtml(m.name)}${m.title ? ` — ${escapeHtml(m.title)}` : ""}</li>`).join("")}
-  </ul>`
+    grid
+      ? `<h2 class="section-title about__team-title">${escapeHtml(t(site, "about.team"))}</h2>
+  ${grid}`
       : ""
   }
 </section>
-${renderContactStrip({ site })}`,
+${theme.contactStrip({ site })}`,
+  });
+}
+
+function teamMemberId(site, member) {
+  return `${absoluteUrl(site, teamPath(member.slug))}#person`;
+}
+
+function teamMemberJsonLd({ site, member, portraitPath }) {
+  return {
+    "@type": "Person",
+    "@id": teamMemberId(site, member),
+    name: member.name,
+    url: absoluteUrl(site, localePath(site, teamPath(member.slug))),
+    ...(member.title ? { jobTitle: member.title } : {}),
+    ...(member.email ? { email: member.email } : {}),
+    ...(portraitPath ? { image: absoluteUrl(site, portraitPath) } : {}),
+    worksFor: { "@id": organizationId(site) },
+  };
+}
+
+async function renderTeamPage({ site, theme, member, bioLocale = site.locale }) {
+  const portrait = await portraitFor({ site, person: member });
+  const portraitInfo = portrait.isPlaceholder ? null : await imageInfoInDist(portrait.path);
+  const bioLang = bioLocale !== site.locale ? ` lang="${escapeHtml(bioLocale)}"` : "";
+  return renderLayout({
+    site,
+    theme,
+    title: member.name,
+    description: t(site, "team.description", {
+      name: member.title ? `${member.name}, ${member.title}` : member.name,
+      agency: site.agencyName,
+    }),
+    canonicalPath: teamPath(member.slug),
+    image: portraitInfo ? { path: portrait.path, ...portraitInfo, alt: portrait.alt } : DEFAULT_SHARE_IMAGE,
+    ogType: "profile",
+    jsonLd: [
+      {
+        "@context": "https://schema.org",
+        ...teamMemberJsonLd({ site, member, portraitPath: portrait.isPlaceholder ? "" : portrait.path }),
+      },
+    ],
+    content: theme.teamProfile({
+      site,
+      member,
+      portrait,
+      bioHtml: member.bio ? `<div class="bio"${bioLang}>${renderMarkdown(site, member.bio)}</div>` : "",
+      vcardHref: withBase(site, vcardPath(member.slug)),
+    }),
   });
 }
 
-async function renderArtistPage({ site, artist }) {
-  const portraitPath = (await assetExistsInDist(artist.photo?.path)) ? artist.photo.path : "/assets/people/placeholder.svg";
-  const portraitUrl = withBase(site, portraitPath);
-  const portraitAlt = artist.photo?.alt || `Portrait of ${artist.name}`;
+function renderTeamVCard({ site, member }) {
+  return renderVCard({
+    name: member.name,
+    org: site.contact?.name || site.agencyName,
+    title: member.title,
+    email: member.email,
+    phone: site.contact?.phone,
+    url: absoluteUrl(site, teamPath(member.slug)),
+    photoUrl: member.photo?.path ? absoluteUrl(site, member.photo.path) : "",
+  });
+}
+
+// The Markdown bio when there is one, else the short `bio`. Untranslated
+// biographies are shown in the default language and marked as such.
+function renderBio({ site, artist, bioMarkdown, bioLocale = site.locale }) {
+  const bioLang = bioLocale && bioLocale !== site.locale ? ` lang="${escapeHtml(bioLocale)}"` : "";
+  return bioMarkdown
+    ? `<div class="bio"${bioLang}>${renderMarkdown(site, bioMarkdown)}</div>`
+    : `<p${artist.bio ? bioLang : ""}>${escapeHtml(artist.bio || site.description || "")}</p>`;
+}
+
+// Why an artist is kept off the public site on `today`, or null when they are
+// shown. A draft stays hidden whatever its dates; otherwise the artist is
+// shown from publishAt up to (not including) unpublishAt.
+export function heldBack(artist, today) {
+  if (artist.status === "draft") return { reason: "draft" };
+  if (artist.status === "alumni-hidden") return { reason: "hidden" };
+  if (artist.publishAt && artist.publishAt > today) return { reason: "scheduled", date: artist.publishAt };
+  if (artist.unpublishAt && artist.unpublishAt <= today) return { reason: "unpublished", date: artist.unpublishAt };
+  return null;
+}
+
+// Headshots of held-back artists stay out of dist/, so they can't be found at
+// /assets/people/<slug>.jpg before the artist is announced (or after they
+// leave). That is each one's photo.path and any file in src/assets/people/
+// named after their slug, unless a shown artist or team member uses it too.
+async function withheldAssets(held, shown) {
+  const used = new Set(shown.map((person) => person.photo?.path));
+  const slugs = new Set(held.map((artist) => artist.slug));
+  const named = (await listFiles(path.join(srcDir, "assets", "people")))
+    .filter((file) => slugs.has(path.basename(file).replace(/\.[^.]+$/, "")))
+    .map((file) => `/${path.relative(srcDir, file).split(path.sep).join("/")}`);
+  return new Set([...held.map((artist) => artist.photo?.path), ...named].filter((p) => p?.startsWith("/assets/") && !used.has(p)));
+}
+
+// Shown at the top of a held-back artist's pages when they are built with
+// --drafts (the `draft` field is only set then).
+function draftBanner(site, artist) {
+  if (!artist.draft) return "";
+  const { reason, date } = artist.draft;
+  const when = date ? dateFormatter(site, { dateStyle: "long" }).format(utcDate(date)) : "";
+  return `<p class="draft-banner" role="note"><strong>${escapeHtml(t(site, "draft.label"))}</strong> ${escapeHtml(
+    t(site, `draft.${reason}`, { date: when })
+  )}</p>`;
+}
+
+async function renderArtistPage({ site, theme, artist, bioMarkdown, bioLocale = site.locale, shareCard, engagements, today }) {
+  const portrait = await portraitFor({ site, person: artist });
+  const portraitInfo = portrait.isPlaceholder ? null : await imageInfoInDist(portrait.path);
+  const shareImage = portraitInfo
+    ? { path: portrait.path, ...portraitInfo, alt: portrait.alt }
+    : { ...(shareCard || DEFAULT_SHARE_IMAGE), alt: artist.name };
+  const bioHtml = renderBio({ site, artist, bioMarkdown, bioLocale });
 
   return renderLayout({
     site,
+    theme,
     title: artist.name,
-    description: `${artist.name}${artistLabel(artist) ? ` (${artistLabel(artist)})` : ""} — represented by ${site.agencyName}.`,
+    description: t(site, "artist.description", {
+      name: `${artist.name}${artistLabel(artist) ? ` (${artistLabel(artist)})` : ""}`,
+      agency: site.agencyName,
+    }),
     canonicalPath: `/artists/${artist.slug}/`,
-    content: `<section class="page">
-  <h1>${escapeHtml(artist.name)}</h1>
-  <p>${escapeHtml([artistLabel(artist), artist.location].filter(Boolean).join(" · "))}</p>
-  ${artist.managementNotes ? `<p class="meta">${escapeHtml(artist.managementNotes)}</p>` : ""}
-  <div class="profile">
-    <figure class="portrait">
-      <img src="${escapeHtml(portraitUrl)}" alt="${escapeHtml(portraitAlt)}" loading="eager" />
-      ${artist.photo?.credit || artist.photo?.sourceUrl ? `<figcaption class="caption">${escapeHtml(artist.photo?.credit || "")}${artist.photo?.sourceUrl ? ` · <a href="${escapeHtml(artist.photo.sourceUrl)}" target="_blank" rel="noopener noreferrer">Source</a>` : ""}</figcaption>` : ""}
-    </figure>
-    <div>
-      <article class="panel">
-        ${artist.bio ? `<p>${escapeHtml(artist.bio)}</p>` : `<p>${escapeHtml(site.description || "")}</p>`}
-        ${
-          Array.isArray(artist.repertoireHighlights) && artist.repertoireHighlights.length
-            ? `<h2 style="margin: 18px 0 10px; font-size: 18px; font-family: var(--display);">Repertoire highlights</h2>
-        <ul class="list">${artist.repertoireHighlights.map((r) => `<li>${escapeHtml(r)}</li>`).join("")}</ul>`
-            : ""
-        }
-      </article>
-      <aside class="panel" style="margin-top: 14px;" aria-label="Artist links and details">
-        <div class="kvs">
-          ${artistLabel(artist) ? `<div class="kv"><strong>Discipline</strong><span>${escapeHtml(artistLabel(artist))}</span></div>` : ""}
-          ${artist.location ? `<div class="kv"><strong>Based in</strong><span>${escapeHtml(artist.location)}</span></div>` : ""}
-          ${artist.website ? `<div class="kv"><strong>Website</strong><a href="${escapeHtml(artist.website)}" target="_blank" rel="noopener noreferrer">Visit site</a></div>` : ""}
-        </div>
-      </aside>
-      <div class="notice">Need a full résumé or media links? <a href="${escapeHtml(withBase(site, "/contact/"))}">Contact us</a>.</div>
-    </div>
-  </div>
-</section>`,
+    robots: artist.draft ? "noindex,nofollow" : undefined,
+    image: shareImage,
+    ogType: "profile",
+    jsonLd: [
+      {
+        "@context": "https://schema.org",
+        ...personJsonLd({ site, artist, portraitPath: portrait.isPlaceholder ? "" : portrait.path }),
+      },
+    ],
+    content:
+      draftBanner(site, artist) +
+      theme.artistProfile({
+        site,
+        artist,
+        portrait,
+        bioHtml,
+        upcoming: renderUpcoming({ site, theme, artist, engagements, today }),
+      }),
   });
 }
 
-async function renderContact({ site, team }) {
+async function renderContact({ site, theme, team }) {
   const email = site.contact?.email || "";
   const phone = site.contact?.phone || "";
   const location = site.contact?.location || "";
-  const resolvedTeam = Array.isArray(team) ? team : Array.isArray(site.team) ? site.team : [];
+  const grid = await renderTeamGrid({ site, theme, team });
 
   return renderLayout({
     site,
-    title: "Contact",
-    description: `Contact ${site.agencyName} for bookings and inquiries.`,
+    theme,
+    title: t(site, "contact.title"),
+    description: t(site, "contact.description", { agency: site.agencyName }),
     canonicalPath: "/contact/",
-    content: `<section class="page" style="text-align: center; max-width: 800px; margin: 80px auto; padding: 0 24px;">
-  <h1>Contact</h1>
-  <p style="margin-bottom: 40px;">For engagements, availability, and general inquiries.</p>
-  ${email ? `<p style="margin-bottom: 20px;"><a href="mailto:${escapeHtml(email)}" style="font-size: 18px; font-weight: 400;">${escapeHtml(email)}</a></p>` : ""}
-  ${phone ? `<p style="margin-bottom: 60px;"><a href="tel:${escapeHtml(phone.replace(/[^\d+]/g, ""))}" style="font-size: 18px; font-weight: 400;">${escapeHtml(phone)}</a></p>` : ""}
+    content: `<section class="page contact-page">
+  <h1>${escapeHtml(t(site, "contact.title"))}</h1>
+  <p class="contact-page__intro">${escapeHtml(t(site, "contact.intro"))}</p>
+  ${email ? `<p class="contact-page__line"><a href="mailto:${escapeHtml(email)}">${escapeHtml(email)}</a></p>` : ""}
+  ${phone ? `<p class="contact-page__line contact-page__line--phone"><a href="tel:${escapeHtml(phone.replace(/[^\d+]/g, ""))}">${escapeHtml(phone)}</a></p>` : ""}
   ${
-    resolvedTeam.length
-      ? `<div style="margin-top: 60px;">
-    <h2 style="font-size: 24px; margin-bottom: 40px; font-weight: 400;">Team</h2>
-    <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 40px; max-width: 700px; margin: 0 auto;">
-      ${(await Promise.all(
-        resolvedTeam.map(async (member) => {
-          const portraitPath = (await assetExistsInDist(member.photo?.path)) ? member.photo.path : "/assets/people/placeholder.svg";
-          const portraitUrl = withBase(site, portraitPath);
-          const portraitAlt = member.photo?.alt || "Portrait of " + member.name;
-          const positionStyle = member.slug === "summer-hassan" ? "center 35%" : "center";
-          return "<div style=\"text-align: center;\">" +
-        "<img src=\"" + escapeHtml(portraitUrl) + "\" alt=\"" + escapeHtml(portraitAlt) + "\" loading=\"lazy\" decoding=\"async\" style=\"width: 180px; height: 180px; border-radius: 50%; object-fit: cover; object-position: " + positionStyle + "; margin-bottom: 16px; border: 1px solid var(--border);\" />" +
-        "<div style=\"font-weight: 500; margin-bottom: 4px;\">" + escapeHtml(member.name) + "</div>" +
-        "<div style=\"font-size: 14px; opacity: 0.6;\">" + escapeHtml(member.title || "") + "</div>" +
-        (member.email ? "<div style=\"font-size: 14px; margin-top: 8px;\"><a href=\"mailto:" + escapeHtml(member.email) + "\" style=\"opacity: 0.8;\">" + escapeHtml(member.email) + "</a></div>" : "") +
-      "</div>";
-        })
-      )).join("")}
-    </div>
+    grid
+      ? `<div class="contact-page__team">
+    <h2>${escapeHtml(t(site, "contact.team"))}</h2>
+    ${grid}
   </div>`
       : ""
   }
-  ${location ? `<p style="opacity: 0.6; margin-top: 60px;">${escapeHtml(location)}</p>` : ""}
+  ${location ? `<p class="contact-page__location">${escapeHtml(location)}</p>` : ""}
 </section>`,
   });
 }
 
-function renderNotFound({ site }) {
+// Printable pages for presenters: a one-page press kit per artist and the whole
+// roster grouped by discipline. Both are kept out of search results (they repeat
+// the artist pages) and styled for paper by src/assets/print.css.
+function pressKitPath(slug) {
+  return slug ? `/press/${slug}/` : "/press/";
+}
+
+async function renderPressKit({ site, theme, artist, bioMarkdown, bioLocale, team }) {
+  return renderLayout({
+    site,
+    theme,
+    title: t(site, "press.kitTitle", { name: artist.name }),
+    description: t(site, "artist.description", { name: artist.name, agency: site.agencyName }),
+    canonicalPath: pressKitPath(artist.slug),
+    robots: artist.draft ? "noindex,nofollow" : "noindex,follow",
+    content:
+      draftBanner(site, artist) +
+      theme.pressKit({
+        site,
+        artist,
+        portrait: await portraitFor({ site, person: artist }),
+        bioHtml: renderBio({ site, artist, bioMarkdown, bioLocale }),
+        contact: theme.pressContact({ site, team }),
+      }),
+  });
+}
+
+async function renderRosterCatalogue({ site, theme, artists, team, today }) {
+  const otherLabel = t(site, "press.otherArtists");
+  const groups = new Map();
+  for (const artist of [...artists].sort((a, b) => a.name.localeCompare(b.name, site.locale))) {
+    const label = artistLabel(artist).trim() || otherLabel;
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push({ artist, portrait: await portraitFor({ site, person: artist }) });
+  }
+  const labels = [...groups.keys()]
+    .filter((label) => label !== otherLabel)
+    .sort((a, b) => a.localeCompare(b, site.locale));
+  if (groups.has(otherLabel)) labels.push(otherLabel);
+
   return renderLayout({
     site,
-    title: "Page not found",
+    theme,
+    title: t(site, "press.catalogueTitle"),
+    description: t(site, "artists.description", { agency: site.agencyName }),
+    canonicalPath: pressKitPath(""),
+    robots: "noindex,follow",
+    content: theme.rosterCatalogue({
+      site,
+      groups: labels.map((label) => ({ label, entries: groups.get(label) })),
+      asOf: dateFormatter(site, { dateStyle: "long" }).format(utcDate(today)),
+      contact: theme.pressContact({ site, team }),
+    }),
+  });
+}
+
+function renderCalendarPage({ site, theme, artists, engagements, today }) {
+  const artistsBySlug = new Map(artists.map((a) => [a.slug, a]));
+  // Each engagement is listed under every month it has upcoming dates in, with
+  // just that month's dates, so filtering by month never shows other months.
+  const months = new Map();
+  for (const { engagement, dates } of upcomingEngagements(engagements, today)) {
+    for (const date of dates) {
+      const month = date.slice(0, 7);
+      if (!months.has(month)) months.set(month, new Map());
+      const entries = months.get(month);
+      if (!entries.has(engagement)) entries.set(engagement, []);
+      entries.get(engagement).push(date);
+    }
+  }
+  const monthKeys = Array.from(months.keys()).sort();
+  const monthLabel = (month) => dateFormatter(site, { month: "long", year: "numeric" }).format(utcDate(`${month}-01`));
+  const calendarArtists = Array.from(new Set(engagements.map((e) => e.artist)))
+    .map((slug) => artistsBySlug.get(slug))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const groups = monthKeys
+    .map((month) => {
+      const items = Array.from(months.get(month).entries())
+        .sort(([a, aDates], [b, bDates]) => aDates[0].localeCompare(bDates[0]) || a.artist.localeCompare(b.artist))
+        .map(([engagement, dates]) =>
+          theme.engagement({
+            site,
+            engagement,
+            artist: artistsBySlug.get(engagement.artist),
+            when: formatDateSpan(site, dates, engagement.time),
+            dataAttrs: `data-engagement data-artist="${escapeHtml(engagement.artist)}"`,
+          })
+        );
+      return `<section class="calendar__month" data-calendar-month="${escapeHtml(month)}">
+    <h2 class="section-title">${escapeHtml(monthLabel(month))}</h2>
+    <ul class="engagements">
+      ${items.join("\n")}
+    </ul>
+  </section>`;
+    })
+    .join("\n  ");
+
+  return renderLayout({
+    site,
+    theme,
+    title: t(site, "calendar.title"),
+    description: t(site, "calendar.description", { agency: site.agencyName }),
+    canonicalPath: "/calendar/",
+    content: `<section class="page calendar">
+  <h1>${escapeHtml(t(site, "calendar.title"))}</h1>
+  <p>${escapeHtml(t(site, "calendar.intro"))}</p>
+  <p class="meta"><a href="${escapeHtml(withBase(site, calendarFeedPath()))}">${escapeHtml(t(site, "calendar.subscribe"))}</a></p>
+  ${
+    monthKeys.length
+      ? `<div class="roster__controls" data-calendar-controls>
+    <label class="roster__field">
+      <span class="visually-hidden">${escapeHtml(t(site, "calendar.filterArtist"))}</span>
+      <select id="calendar-artist" class="select">
+        <option value="">${escapeHtml(t(site, "calendar.allArtists"))}</option>
+        ${calendarArtists.map((a) => `<option value="${escapeHtml(a.slug)}">${escapeHtml(a.name)}</option>`).join("")}
+      </select>
+    </label>
+    <label class="roster__field">
+      <span class="visually-hidden">${escapeHtml(t(site, "calendar.filterMonth"))}</span>
+      <select id="calendar-month" class="select">
+        <option value="">${escapeHtml(t(site, "calendar.allMonths"))}</option>
+        ${monthKeys.map((m) => `<option value="${escapeHtml(m)}">${escapeHtml(monthLabel(m))}</option>`).join("")}
+      </select>
+    </label>
+  </div>
+  ${groups}
+  <div id="calendar-empty" class="notice" style="display:none;">${escapeHtml(t(site, "calendar.noMatch"))}</div>`
+      : `<div class="notice">${escapeHtml(t(site, "calendar.empty"))}</div>`
+  }
+</section>`,
+  });
+}
+
+function renderNotFound({ site, theme }) {
+  return renderLayout({
+    site,
+    theme,
+    title: t(site, "notFound.title"),
     description: site.description,
     canonicalPath: "",
     content: `<section class="page">
-  <h1>Page not found</h1>
-  <p>The page you’re looking for doesn’t exist. Try the roster.</p>
-  <p><a class="cta" href="${escapeHtml(withBase(site, "/artists/"))}"><span>View artists</span><small>/artists/</small></a></p>
+  <h1>${escapeHtml(t(site, "notFound.title"))}</h1>
+  <p>${escapeHtml(t(site, "notFound.body"))}</p>
+  <p><a class="cta" href="${escapeHtml(pageHref(site, "/artists/"))}"><span>${escapeHtml(t(site, "notFound.cta"))}</span><small>${escapeHtml(localePath(site, "/artists/"))}</small></a></p>
 </section>`,
   });
 }
 
+// Every work anyone on the roster lists, with its roles and who sings each.
+// A work listed without a composer takes the one another artist gave it.
+function repertoireCatalogue(site, artists) {
+  const byText = (a, b) => a.localeCompare(b, site.locale);
+  const composers = new Map();
+  for (const artist of artists) {
+    for (const entry of artistRepertoire(artist)) {
+      const key = normalizeForSearch(entry.work);
+      if (entry.composer && !composers.has(key)) composers.set(key, entry.composer);
+    }
+  }
+  const works = new Map();
+  for (const artist of artists) {
+    for (const entry of artistRepertoire(artist)) {
+      const key = normalizeForSearch(entry.work);
+      if (!works.has(key)) works.set(key, { work: entry.work, composer: composers.get(key) || "", roles: new Map() });
+      const roles = works.get(key).roles;
+      const roleKey = normalizeForSearch(entry.role);
+      if (!roles.has(roleKey)) roles.set(roleKey, { role: entry.role, artists: [] });
+      roles.get(roleKey).artists.push({ artist, status: entry.status });
+    }
+  }
+  return [...works.values()]
+    .sort((a, b) => byText(a.work, b.work))
+    .map((work) => ({
+      ...work,
+      // Named roles first; conducting, directing and unnamed roles last.
+      roles: [...work.roles.values()].sort((a, b) => !a.role - !b.role || byText(a.role, b.role)),
+    }));
+}
+
+function renderRepertoireRoles(site, work) {
+  return `<ul class="list repertoire__roles">
+      ${work.roles
+        .map(
+          ({ role, artists }) =>
+            `<li><strong>${escapeHtml(role || t(site, "repertoire.otherRoles"))}</strong>: ${artists
+              .map(
+                ({ artist, status }) =>
+                  `<a href="${escapeHtml(pageHref(site, `/artists/${artist.slug}/`))}">${escapeHtml(artist.name)}</a>${
+                    status === "prepared" ? ` <span class="meta">(${escapeHtml(t(site, "repertoire.prepared"))})</span>` : ""
+                  }`
+              )
+              .join(", ")}</li>`
+        )
+        .join("\n      ")}
+    </ul>`;
+}
+
+// The repertoire in two views: works grouped by composer (surname order,
+// unknown composers last) at /repertoire/, and all works A–Z at
+// /repertoire/works/, which artist pages link each work to.
+function renderRepertoirePage({ site, theme, artists, view }) {
+  const works = repertoireCatalogue(site, artists);
+  const workHref = (work) => `${pageHref(site, "/repertoire/works/")}#${repertoireWorkId(work.work)}`;
+  const views = [
+    { name: "composer", path: "/repertoire/", label: t(site, "repertoire.byComposer") },
+    { name: "work", path: "/repertoire/works/", label: t(site, "repertoire.byWork") },
+  ];
+  const current = views.find((v) => v.name === view);
+
+  let body;
+  if (view === "work") {
+    body = works
+      .map(
+        (work) => `<section class="repertoire__work" id="${escapeHtml(repertoireWorkId(work.work))}">
+    <h2 class="section-title"><cite>${escapeHtml(work.work)}</cite></h2>
+    ${work.composer ? `<p class="meta">${escapeHtml(work.composer)}</p>` : ""}
+    ${renderRepertoireRoles(site, work)}
+  </section>`
+      )
+      .join("\n  ");
+  } else {
+    const unknown = t(site, "repertoire.unknownComposer");
+    const surname = (name) => name.trim().split(/\s+/).pop();
+    const groups = new Map();
+    for (const work of works) {
+      const key = work.composer ? normalizeForSearch(work.composer) : "";
+      if (!groups.has(key)) groups.set(key, { composer: work.composer || unknown, known: Boolean(work.composer), works: [] });
+      groups.get(key).works.push(work);
+    }
+    body = [...groups.values()]
+      .sort(
+        (a, b) =>
+          !a.known - !b.known ||
+          surname(a.composer).localeCompare(surname(b.composer), site.locale) ||
+          a.composer.localeCompare(b.composer, site.locale)
+      )
+      .map(
+        (group) => `<section class="repertoire__composer">
+    <h2 class="section-title">${escapeHtml(group.composer)}</h2>
+    ${group.works
+      .map(
+        (work) => `<h3 class="repertoire__title"><a href="${escapeHtml(workHref(work))}"><cite>${escapeHtml(work.work)}</cite></a></h3>
+    ${renderRepertoireRoles(site, work)}`
+      )
+      .join("\n    ")}
+  </section>`
+      )
+      .join("\n  ");
+  }
+
+  return renderLayout({
+    site,
+    theme,
+    title: view === "work" ? `${t(site, "repertoire.title")} · ${current.label}` : t(site, "repertoire.title"),
+    description: t(site, "repertoire.description", { agency: site.agencyName }),
+    canonicalPath: current.path,
+    content: `<section class="page repertoire">
+  <h1>${escapeHtml(t(site, "repertoire.title"))}</h1>
+  <p>${escapeHtml(t(site, "repertoire.intro"))}</p>
+  <p class="meta">${views
+    .map((v) =>
+      v === current
+        ? `<strong aria-current="page">${escapeHtml(v.label)}</strong>`
+        : `<a href="${escapeHtml(pageHref(site, v.path))}">${escapeHtml(v.label)}</a>`
+    )
+    .join(" · ")}</p>
+  ${works.length ? body : `<p class="meta">${escapeHtml(t(site, "repertoire.empty"))}</p>`}
+</section>
+${theme.contactStrip({ site })}`,
+  });
+}
+
 function renderRobots({ site }) {
   const baseUrl = resolveBaseUrl(site);
   const sitemapPath = sitePathForUrl({ site, baseUrl, urlPath: "/sitemap.xml" });
@@ -426,7 +1258,52 @@ function renderRobots({ site }) {
   return `User-agent: *\nAllow: /\n\nSitemap: ${sitemap}\n`;
 }
 
-function renderSitemap({ site, artists }) {
+function markdownToText(markdown) {
+  return String(markdown || "")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/^\s*(?:#+|[-*+]|\d+\.)\s+/gm, "")
+    .replace(/[*_`]+/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// One entry per artist and team member for the header search in site.js, in
+// the page's language. Field names match the weights search.js ranks them by;
+// empty fields are left out to keep the file small.
+function renderSearchIndex({ site, artists, bios, team, engagements, today }) {
+  const compact = (entry) => Object.fromEntries(Object.entries(entry).filter(([, value]) => value));
+  const entries = [
+    ...artists.map((artist) =>
+      compact({
+        slug: artist.slug,
+        url: pageHref(site, `/artists/${artist.slug}/`),
+        name: artist.name,
+        label: artistLabel(artist),
+        location: artist.location,
+        repertoire: artistRepertoire(artist).map(formatRepertoireEntry).join(" · "),
+        engagements: upcomingEngagements(engagementsForArtist(engagements, artist.slug), today)
+          .map(({ engagement }) =>
+            [engagement.role, engagement.work, engagement.composer, engagement.company, engagement.venue, engagement.city]
+              .filter(Boolean)
+              .join(", ")
+          )
+          .join(" · "),
+        bio: markdownToText(bios.get(artist.slug) ?? artist.bio),
+      })
+    ),
+    ...team.map((member) =>
+      compact({
+        url: pageHref(site, teamPath(member.slug)),
+        name: member.name,
+        label: member.title,
+        bio: markdownToText(member.bio),
+      })
+    ),
+  ];
+  return `${JSON.stringify({ entries })}\n`;
+}
+
+function renderSitemap({ site, artists, team }) {
   const baseUrl = resolveBaseUrl(site);
   if (!baseUrl) return "";
 
@@ -434,111 +1311,464 @@ function renderSitemap({ site, artists }) {
     "/",
     "/artists/",
     "/about/",
+    ...team.map((m) => teamPath(m.slug)),
     ...artists.map((a) => `/artists/${a.slug}/`),
+    "/repertoire/",
+    "/repertoire/works/",
+    "/calendar/",
     "/contact/",
   ];
 
+  // One <url> per page and locale; with several locales each entry also lists
+  // every translation (including itself) as an hreflang alternate.
+  const locales = siteLocales(site);
+  const locUrl = (p, locale) =>
+    safeJoinUrl(baseUrl, sitePathForUrl({ site, baseUrl, urlPath: localePath(site, ensureTrailingSlash(p), locale) }));
+  const alternates = (p) =>
+    locales.length > 1
+      ? [...locales, "x-default"]
+          .map((hreflang) => {
+            const href = locUrl(p, hreflang === "x-default" ? defaultLocale(site) : hreflang);
+            return `    <xhtml:link rel="alternate" hreflang="${escapeHtml(hreflang)}" href="${escapeHtml(href)}"/>\n`;
+          })
+          .join("")
+      : "";
+
   return `<?xml version="1.0" encoding="UTF-8"?>\n` +
-    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n` +
+    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${locales.length > 1 ? ` xmlns:xhtml="http://www.w3.org/1999/xhtml"` : ""}>\n` +
     urls
-      .map((p) => {
-        const urlPath = sitePathForUrl({ site, baseUrl, urlPath: ensureTrailingSlash(p) });
-        return `  <url><loc>${escapeHtml(safeJoinUrl(baseUrl, urlPath))}</loc></url>\n`;
+      .flatMap((p) => locales.map((locale) => [p, locale]))
+      .map(([p, locale]) => {
+        const links = alternates(p);
+        const loc = `<loc>${escapeHtml(locUrl(p, locale))}</loc>`;
+        return links ? `  <url>\n    ${loc}\n${links}  </url>\n` : `  <url>${loc}</url>\n`;
       })
       .join("") +
     `</urlset>\n`;
 }
 
-async function copyDir(src, dest) {
-  await fs.mkdir(dest, { recursive: true });
-  const entries = await fs.readdir(src, { withFileTypes: true });
-  await Promise.all(
-    entries.map(async (entry) => {
-      const from = path.join(src, entry.name);
-      const to = path.join(dest, entry.name);
-      if (entry.isDirectory()) return copyDir(from, to);
-      await fs.copyFile(from, to);
-    })
-  );
+function hashInputs(...parts) {
+  const hash = createHash("sha256");
+  for (const part of parts) {
+    hash.update(Buffer.isBuffer(part) || typeof part === "string" ? part : JSON.stringify(part ?? null));
+    hash.update("\0");
+  }
+  return hash.digest("hex").slice(0, 20);
 }
 
-function validateArtists(artists) {
-  const seen = new Set();
-  for (const artist of artists) {
-    if (!artist?.slug || !artist?.name) {
-      throw new Error(`Each artist must have 'slug' and 'name'. Bad entry: ${JSON.stringify(artist)}`);
+async function readBuildManifest() {
+  try {
+    const manifest = JSON.parse(await fs.readFile(path.join(distDir, manifestFile), "utf8"));
+    return manifest?.version === MANIFEST_VERSION && manifest.outputs ? manifest : null;
+  } catch {
+    return null;
+  }
+}
+
+async function removeEmptyParents(filePath) {
+  let dir = path.dirname(filePath);
+  while (dir.startsWith(distDir) && dir !== distDir) {
+    try {
+      await fs.rmdir(dir);
+    } catch {
+      return;
     }
-    if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(artist.slug)) {
-      throw new Error(`Artist slug must be kebab-case (a-z0-9-): '${artist.slug}'`);
+    dir = path.dirname(dir);
+  }
+}
+
+// Tracks every file written to dist/ together with a hash of the inputs it was
+// produced from. With a previous manifest, outputs whose inputs hash is unchanged
+// (and whose file still exists) are skipped, and outputs that are no longer
+// produced are deleted.
+function createOutputWriter({ previous, globalKey }) {
+  const previousOutputs = previous?.outputs || {};
+  const outputs = {};
+  const report = { written: [], unchanged: [], removed: [] };
+
+  async function isFresh(relPath, inputs) {
+    if (previousOutputs[relPath]?.inputs !== inputs) return false;
+    try {
+      await fs.access(path.join(distDir, relPath));
+      return true;
+    } catch {
+      return false;
     }
-    if (seen.has(artist.slug)) throw new Error(`Duplicate artist slug: '${artist.slug}'`);
-    seen.add(artist.slug);
   }
+
+  async function write(relPath, inputs, produce) {
+    outputs[relPath] = { inputs };
+    if (await isFresh(relPath, inputs)) {
+      report.unchanged.push(relPath);
+      return;
+    }
+    const filePath = path.join(distDir, relPath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, await produce());
+    report.written.push(relPath);
+  }
+
+  return {
+    report,
+    assetHash(urlPath) {
+      return urlPath?.startsWith("/") ? outputs[urlPath.slice(1)]?.inputs || "" : "";
+    },
+    async emit(relPath, inputParts, render) {
+      await write(relPath, hashInputs(globalKey, ...inputParts), render);
+    },
+    async copyFile(from, relPath) {
+      const data = await fs.readFile(from);
+      await write(relPath, hashInputs(data), () => data);
+    },
+    // `skip` lists file names (at any depth) to leave out, `exclude` URL paths.
+    async copyTree(src, relDir, { skip = [], exclude = new Set() } = {}) {
+      let entries = [];
+      try {
+        entries = await fs.readdir(src, { withFileTypes: true });
+      } catch (err) {
+        if (err?.code === "ENOENT") return;
+        throw err;
+      }
+      for (const entry of entries) {
+        const from = path.join(src, entry.name);
+        const relPath = path.posix.join(relDir, entry.name);
+        if (entry.name === ".DS_Store" || skip.includes(entry.name) || exclude.has(`/${relPath}`)) continue;
+        if (entry.isDirectory()) await this.copyTree(from, relPath, { skip, exclude });
+        else await this.copyFile(from, relPath);
+      }
+    },
+    async finish() {
+      for (const relPath of Object.keys(previousOutputs)) {
+        if (outputs[relPath]) continue;
+        const filePath = path.join(distDir, relPath);
+        await fs.rm(filePath, { force: true });
+        await removeEmptyParents(filePath);
+        report.removed.push(relPath);
+      }
+      const manifest = { version: MANIFEST_VERSION, globalKey, outputs };
+      await fs.writeFile(path.join(distDir, manifestFile), `${JSON.stringify(manifest, null, 2)}\n`, "utf8");
+      return report;
+    },
+  };
 }
 
-export async function buildSite() {
-  const site = JSON.parse(await fs.readFile(path.join(dataDir, "site.json"), "utf8"));
-  const artistsData = JSON.parse(await fs.readFile(path.join(dataDir, "artists.json"), "utf8"));
-  const artists = Array.isArray(artistsData)
-    ? artistsData
-    : Array.isArray(artistsData?.artists)
-      ? artistsData.artists
-      : [];
+function describeHeld({ slug, reason, date }) {
+  if (reason === "scheduled") return `${slug} (scheduled for ${date})`;
+  if (reason === "unpublished") return `${slug} (unpublished on ${date})`;
+  return `${slug} (${reason})`;
+}
 
-  let team = Array.isArray(site.team) ? site.team : [];
-  try {
-    team = JSON.parse(await fs.readFile(path.join(dataDir, "team.json"), "utf8"));
-  } catch {
-    // ignore
+export function formatBuildReport(report, { details = false } = {}) {
+  const summary = [`Built dist/: ${report.written.length} written, ${report.unchanged.length} unchanged, ${report.removed.length} removed`];
+  if (report.held?.length) {
+    const label = report.drafts ? "Built as drafts" : "Held back (build with --drafts to preview)";
+    summary.push(`${label}: ${report.held.map(describeHeld).join(", ")}`);
   }
-  validateArtists(artists);
+  const lines = [...summary];
+  if (!details) return summary.join("\n");
+  const isPage = (p) => !p.startsWith("assets/") && !p.startsWith("admin/");
+  const assets = report.written.filter((p) => !isPage(p)).length;
+  lines.push(...report.written.filter(isPage).map((p) => `  + ${p}`));
+  if (assets) lines.push(`  + ${assets} asset file(s)`);
+  lines.push(...report.removed.map((p) => `  - ${p}`));
+  return lines.join("\n");
+}
 
-  await fs.rm(distDir, { recursive: true, force: true });
-  await fs.mkdir(path.join(distDir, "assets"), { recursive: true });
-  await fs.mkdir(path.join(distDir, "artists"), { recursive: true });
-  await fs.mkdir(path.join(distDir, "about"), { recursive: true });
-  await fs.mkdir(path.join(distDir, "contact"), { recursive: true });
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isIsoDate(value) {
+  if (!ISO_DATE.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
 
-  await copyDir(path.join(srcDir, "assets"), path.join(distDir, "assets"));
-  await fs.writeFile(path.join(distDir, ".nojekyll"), "", "utf8");
-  
-  // Copy admin if it exists
+async function listFiles(dir) {
+  let entries;
   try {
-    await copyDir(path.join(srcDir, "admin"), path.join(distDir, "admin"));
-  } catch (e) {
-    // It's okay if admin doesn't exist yet
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err?.code === "ENOENT") return [];
+    throw err;
   }
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...(await listFiles(full)));
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
 
-  // Copy bios page if it exists
-  try {
-    await copyDir(path.join(srcDir, "artists", "bios"), path.join(distDir, "artists", "bios"));
-  } catch (e) {
-    // It's okay if bios doesn't exist yet
+async function hashTree(dir) {
+  const files = await listFiles(dir);
+  const parts = [];
+  for (const file of files) parts.push(path.relative(dir, file), await fs.readFile(file));
+  return hashInputs(...parts);
+}
+
+// Themes live in themes/<name>/theme.mjs and default-export the partials the
+// page renderers call (see themes/default/theme.mjs for the full set).
+async function listThemes() {
+  return (await fs.readdir(themesDir, { withFileTypes: true }).catch(() => []))
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+}
+
+async function loadTheme(site) {
+  const name = String(process.env.THEME || site.theme || "default").trim();
+  const available = await listThemes();
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(name) || !available.includes(name)) {
+    throw new Error(`Unknown theme '${name}'. Available themes: ${available.join(", ") || "(none)"}`);
   }
+  const dir = path.join(themesDir, name);
+  const { default: theme } = await import(pathToFileURL(path.join(dir, "theme.mjs")).href);
+  const required = [
+    "layout",
+    "hero",
+    "featuredArtists",
+    "contactStrip",
+    "rosterCard",
+    "artistProfile",
+    "teamMember",
+    "teamProfile",
+    "engagement",
+    "pressKit",
+    "pressContact",
+    "rosterCatalogue",
+  ];
+  const missing = required.filter((key) => typeof theme?.[key] !== "function");
+  if (missing.length) throw new Error(`Theme '${name}' is missing: ${missing.join(", ")}`);
+  return { ...theme, name, dir };
+}
 
-  await fs.writeFile(path.join(distDir, "index.html"), await renderHome({ site, artists }), "utf8");
-  await fs.mkdir(path.join(distDir, "artists"), { recursive: true });
-  await fs.writeFile(path.join(distDir, "artists", "index.html"), await renderArtistsIndex({ site, artists }), "utf8");
-  await fs.writeFile(path.join(distDir, "about", "index.html"), renderAbout({ site, team }), "utf8");
+// UI strings for each configured locale, from data/i18n/<locale>.json. Missing
+// keys fall back to the default locale's catalog, so that one must be complete.
+async function loadCatalogs(site) {
+  const catalogs = new Map();
+  for (const locale of siteLocales(site)) {
+    if (!/^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/.test(locale)) throw new Error(`Invalid locale code in site.json: '${locale}'`);
+    const file = path.join(i18nDir, `${locale}.json`);
+    let source;
+    try {
+      source = await fs.readFile(file, "utf8");
+    } catch (err) {
+      if (err?.code === "ENOENT") throw new Error(`Missing UI string catalog for locale '${locale}': ${path.relative(projectRoot, file)}`);
+      throw err;
+    }
+    try {
+      catalogs.set(locale, JSON.parse(source));
+    } catch (err) {
+      throw new Error(`${path.relative(projectRoot, file)} is not valid JSON: ${err.message}`);
+    }
+  }
+  if (!siteLocales(site).includes(defaultLocale(site))) {
+    throw new Error(`defaultLocale '${defaultLocale(site)}' is not listed in site.json locales`);
+  }
+  return catalogs;
+}
 
-  for (const artist of artists) {
-    const artistDir = path.join(distDir, "artists", artist.slug);
-    await fs.mkdir(artistDir, { recursive: true });
-    await fs.writeFile(path.join(artistDir, "index.html"), await renderArtistPage({ site, artist }), "utf8");
+const TRANSLATABLE_ARTIST_FIELDS = ["bio", "location", "managementNotes", "repertoireHighlights"];
+const TRANSLATABLE_TEAM_FIELDS = ["title", "bio"];
+
+// Which language a team member's bio is shown in (see localizeRecord).
+function teamBioLocale(site, member, localized) {
+  return localized.bio !== member.bio ? site.locale : defaultLocale(site);
+}
+
+function localizeArtist(site, artist) {
+  const localized = localizeRecord(site, artist, [...TRANSLATABLE_ARTIST_FIELDS, "discipline"]);
+  return {
+    ...localized,
+    voiceType: translateTerm(site, "voiceType", localized.voiceType),
+    ...(localized.discipline ? { discipline: translateTerm(site, "voiceType", localized.discipline) } : {}),
+  };
+}
+
+// `drafts` also builds artists that are held back (drafts, hidden alumni, and
+// those outside their publishAt/unpublishAt dates), marked with a banner and
+// noindex and left out of the sitemap.
+export async function buildSite({ incremental = false, drafts = false } = {}) {
+  const data = await loadData(projectRoot);
+  const issues = await validateData(data);
+  for (const issue of issues.filter((i) => i.level === "warning")) console.warn(formatIssue(issue));
+  const errors = issues.filter((i) => i.level === "error");
+  if (errors.length) {
+    const err = new Error(`Data validation failed:\n${errors.map((i) => `  ${formatIssue(i)}`).join("\n")}`);
+    // Kept structured for the dev server's error overlay.
+    err.issues = errors;
+    throw err;
+  }
+  const { site, team, siteSource } = data;
+  const today = buildDate();
+  const held = data.artists.map((artist) => ({ artist, state: heldBack(artist, today) })).filter(({ state }) => state);
+  const artists = data.artists.flatMap((artist) => {
+    const state = heldBack(artist, today);
+    if (!state) return [artist];
+    return drafts ? [{ ...artist, draft: state }] : [];
+  });
+  const shownSlugs = new Set(artists.map((a) => a.slug));
+  const engagements = sortEngagementDates(data.engagements.filter((e) => shownSlugs.has(e.artist)));
+  const catalogs = await loadCatalogs(site);
+  const locales = siteLocales(site);
+  const baseLocale = defaultLocale(site);
+  const bios = new Map();
+  for (const locale of locales) {
+    bios.set(locale, await loadMarkdownBios(artists, locale === baseLocale ? "" : locale));
   }
+  const theme = await loadTheme(site);
 
-  await fs.writeFile(path.join(distDir, "contact", "index.html"), await renderContact({ site, team }), "utf8");
-  await fs.writeFile(path.join(distDir, "404.html"), renderNotFound({ site }), "utf8");
-  await fs.writeFile(path.join(distDir, "robots.txt"), renderRobots({ site }), "utf8");
+  // Anything every page depends on: the renderers themselves (including the
+  // shared helpers and the active theme), site settings, the environment
+  // that decides URLs and whether WebP variants can be made.
+  const globalKey = hashInputs(
+    MANIFEST_VERSION,
+    await fs.readFile(fileURLToPath(import.meta.url)),
+    await hashTree(scriptsLibDir),
+    theme.name,
+    await hashTree(theme.dir),
+    await hashTree(i18nDir),
+    siteSource,
+    process.env.BASE_PATH ?? "",
+    process.env.BASE_URL ?? "",
+    findModernImageEncoder()?.cmd ?? ""
+  );
+  const previous = incremental ? await readBuildManifest() : null;
+  if (!previous) await fs.rm(distDir, { recursive: true, force: true });
+  await fs.mkdir(distDir, { recursive: true });
+  const writer = createOutputWriter({ previous, globalKey });
 
-  const sitemap = renderSitemap({ site, artists });
-  if (sitemap) await fs.writeFile(path.join(distDir, "sitemap.xml"), sitemap, "utf8");
+  const withheld = drafts ? new Set() : await withheldAssets(held.map(({ artist }) => artist), [...artists, ...team]);
+  await writer.copyTree(path.join(srcDir, "assets"), "assets", { exclude: withheld });
+  await writer.copyTree(path.join(theme.dir, "assets"), `assets/themes/${theme.name}`);
+  await writer.emit(".nojekyll", [], () => "");
+  const shareCards = await writeShareCards({ site, artists, writer });
+  responsiveImages = await writeImageVariants({ writer, exclude: withheld });
+  const cmsSource = await fs.readFile(path.join(srcDir, "admin", "config.yml"), "utf8");
+  await writer.copyTree(path.join(srcDir, "admin"), "admin", { skip: ["config.yml"] });
+  await writer.emit("admin/config.yml", [cmsSource, await listThemes()], async () =>
+    renderCmsConfig(parseYaml(cmsSource), {
+      locales,
+      defaultLocale: baseLocale,
+      languageNames: Object.fromEntries(locales.map((locale) => [locale, catalogs.get(locale)["language.name"] || locale])),
+      themes: await listThemes(),
+    })
+  );
+  await writer.copyTree(path.join(srcDir, "artists", "bios"), "artists/bios");
+
+  const artistPhotos = artists.map((a) => writer.assetHash(a.photo?.path));
+  const teamPhotos = team.map((m) => writer.assetHash(m.photo?.path));
+
+  for (const locale of locales) {
+    const localSite = localizeSite(site, { locale, catalogs });
+    const localArtists = artists.map((artist) => localizeArtist(localSite, artist));
+    const localTeam = team.map((member) => localizeRecord(localSite, member, TRANSLATABLE_TEAM_FIELDS));
+    const prefix = locale === baseLocale ? "" : `${locale}/`;
+    const args = { site: localSite, theme };
+
+    await writer.emit(`${prefix}index.html`, [locale, artists, artistPhotos, today], () =>
+      renderHome({ ...args, artists: localArtists, today })
+    );
+    await writer.emit(`${prefix}artists/index.html`, [locale, artists, artistPhotos], () =>
+      renderArtistsIndex({ ...args, artists: localArtists })
+    );
+    await writer.emit(`${prefix}about/index.html`, [locale, team, teamPhotos], () => renderAbout({ ...args, team: localTeam }));
+    for (const [index, member] of localTeam.entries()) {
+      await writer.emit(`${prefix}about/${member.slug}/index.html`, [locale, member, teamPhotos[index]], () =>
+        renderTeamPage({ ...args, member, bioLocale: teamBioLocale(localSite, team[index], member) })
+      );
+    }
+
+    const searchBios = new Map();
+    for (const [index, artist] of localArtists.entries()) {
+      // A translated Markdown bio wins; a translated plain `bio` beats the default-locale Markdown.
+      const hasTranslatedBio = artist.bio !== artists[index].bio;
+      const translatedMarkdown = bios.get(locale).get(artist.slug);
+      const bioMarkdown =
+        translatedMarkdown ?? (hasTranslatedBio ? undefined : bios.get(baseLocale).get(artist.slug));
+      const bioLocale = translatedMarkdown || hasTranslatedBio ? locale : baseLocale;
+      if (bioMarkdown) searchBios.set(artist.slug, bioMarkdown);
+      const shareCard = shareCards.get(artist.slug);
+      await writer.emit(
+        `${prefix}artists/${artist.slug}/index.html`,
+        [
+          locale,
+          artist,
+          bioMarkdown,
+          bioLocale,
+          writer.assetHash(artist.photo?.path),
+          shareCard,
+          upcomingEngagements(engagementsForArtist(engagements, artist.slug), today),
+        ],
+        () => renderArtistPage({ ...args, artist, bioMarkdown, bioLocale, shareCard, engagements, today })
+      );
+      await writer.emit(
+        `${prefix}press/${artist.slug}/index.html`,
+        [locale, artist, bioMarkdown, bioLocale, writer.assetHash(artist.photo?.path), team],
+        () => renderPressKit({ ...args, artist, bioMarkdown, bioLocale, team: localTeam })
+      );
+    }
+    await writer.emit(
+      `${prefix}search.json`,
+      [locale, artists, [...searchBios], team, upcomingEngagements(engagements, today)],
+      () => renderSearchIndex({ site: localSite, artists: localArtists, bios: searchBios, team: localTeam, engagements, today })
+    );
+    await writer.emit(`${prefix}press/index.html`, [locale, artists, artistPhotos, team, today], () =>
+      renderRosterCatalogue({ ...args, artists: localArtists, team: localTeam, today })
+    );
+
+    for (const view of ["composer", "work"]) {
+      await writer.emit(`${prefix}repertoire/${view === "work" ? "works/" : ""}index.html`, [locale, artists], () =>
+        renderRepertoirePage({ ...args, artists: localArtists, view })
+      );
+    }
+    await writer.emit(`${prefix}calendar/index.html`, [locale, engagements, artists.map((a) => a.name), today], () =>
+      renderCalendarPage({ ...args, artists: localArtists, engagements, today })
+    );
+    await writer.emit(`${prefix}contact/index.html`, [locale, team, teamPhotos], () =>
+      renderContact({ ...args, team: localTeam })
+    );
+    // Static hosts serve a single 404 page, so only the default locale gets one.
+    if (!prefix) await writer.emit("404.html", [], () => renderNotFound(args));
+  }
+  // Feeds are language-neutral, so there is one set for all locales. Every artist
+  // gets one (possibly empty) so subscriptions keep working as dates are added.
+  await writer.emit("calendar/roster.ics", [engagements, artists.map((a) => a.name), today], () =>
+    renderCalendarFeed({ site, artists, engagements, today })
+  );
+  for (const artist of artists) {
+    const own = engagementsForArtist(engagements, artist.slug);
+    await writer.emit(`calendar/${artist.slug}.ics`, [own, artist.name, today], () =>
+      renderCalendarFeed({ site, artists, engagements: own, artist, today })
+    );
+  }
+  for (const member of team) {
+    await writer.emit(`about/${member.slug}.vcf`, [member, site.contact], () => renderTeamVCard({ site, member }));
+  }
+  await writer.emit("robots.txt", [], () => renderRobots({ site }));
+  if (resolveBaseUrl(site)) {
+    const listed = artists.filter((a) => !a.draft);
+    await writer.emit("sitemap.xml", [listed.map((a) => a.slug), team.map((m) => m.slug)], () =>
+      renderSitemap({ site, artists: listed, team })
+    );
+  }
+
+  const report = await writer.finish();
+  return {
+    ...report,
+    drafts,
+    held: held.map(({ artist, state }) => ({ slug: artist.slug, name: artist.name, ...state })),
+  };
 }
 
 const isCli = import.meta.url === pathToFileURL(path.resolve(process.argv[1] || "")).href;
 if (isCli) {
-  buildSite().catch((err) => {
-    console.error(err);
-    process.exitCode = 1;
-  });
+  const incremental = process.argv.includes("--incremental");
+  const drafts = process.argv.includes("--drafts");
+  buildSite({ incremental, drafts })
+    .then((report) => console.log(formatBuildReport(report, { details: incremental })))
+    .catch((err) => {
+      console.error(err);
+      process.exitCode = 1;
+    });
 }
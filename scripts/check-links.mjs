@@ -0,0 +1,298 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { absoluteUrl, resolveBasePath } from "./lib/urls.mjs";
+
+const projectRoot = path.resolve(process.cwd());
+const distDir = path.join(projectRoot, "dist");
+const siteFile = path.join(projectRoot, "data", "site.json");
+
+// Pages that are fine to leave unlinked: the error page and the CMS.
+const DEFAULT_ORPHAN_ALLOW = ["404.html", "admin/"];
+const SKIPPED_SCHEMES = /^(?:mailto|tel|javascript|data|blob):/i;
+// Origin used to resolve relative references; never requested.
+const LOCAL_ORIGIN = "http://dist.invalid";
+
+function usage() {
+  return [
+    "Usage:",
+    "  node scripts/check-links.mjs [--external] [--endpoint <url>] [--allow-orphan <path>]... [--strict]",
+    "",
+    "Crawls dist/ from index.html and checks every href, src and srcset (with BASE_PATH applied):",
+    "broken internal links, missing assets, pages nothing links to and sitemap entries with no file.",
+    "Run it after `node scripts/build.mjs`, with the same BASE_PATH/BASE_URL.",
+    "",
+    "Options:",
+    "  --external            Also check external http(s) URLs",
+    "  --endpoint <url>      Ask this HTTP endpoint instead of the URLs themselves: each URL is",
+    "                        requested as GET <endpoint>?url=<url> and the response status is used",
+    "                        (default: LINK_CHECK_ENDPOINT)",
+    "  --timeout <ms>        Timeout per external request (default: 10000)",
+    "  --allow-orphan <path> Don't report this dist/ path (or directory prefix) as an orphan",
+    "                        (404.html and admin/ are always allowed)",
+    "  --strict              Exit with an error on warnings (orphans, external failures) too",
+  ].join("\n");
+}
+
+function parseArgs(argv) {
+  const args = {
+    external: false,
+    endpoint: process.env.LINK_CHECK_ENDPOINT || "",
+    timeout: 10000,
+    allowOrphans: [...DEFAULT_ORPHAN_ALLOW],
+    strict: false,
+  };
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") args.help = true;
+    else if (arg === "--external") args.external = true;
+    else if (arg === "--strict") args.strict = true;
+    else if (arg === "--endpoint") args.endpoint = argv[++i] || "";
+    else if (arg === "--timeout") args.timeout = Number(argv[++i]);
+    else if (arg === "--allow-orphan") args.allowOrphans.push(String(argv[++i] || "").replace(/^\/+/, ""));
+    else throw new Error(`Unknown argument: ${arg}\n\n${usage()}`);
+  }
+  if (!Number.isFinite(args.timeout) || args.timeout <= 0) throw new Error("--timeout must be a positive number of milliseconds");
+  if (args.endpoint) new URL(args.endpoint); // throws on a malformed endpoint
+  return args;
+}
+
+async function listDist(dir = distDir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...(await listDist(full)));
+    else if (entry.isFile()) files.push(path.relative(distDir, full).split(path.sep).join("/"));
+  }
+  return files;
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  for (const match of source.matchAll(/([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g)) {
+    attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? "");
+  }
+  return attrs;
+}
+
+// Every href/src/srcset reference in a page. Script bodies and comments are
+// dropped first so URLs inside inline JS or JSON-LD aren't mistaken for links.
+function extractReferences(html) {
+  const markup = html.replace(/<!--[\s\S]*?-->/g, "").replace(/<(script|style)\b([^>]*)>[\s\S]*?<\/\1>/gi, "<$1$2>");
+  const refs = [];
+  for (const match of markup.matchAll(/<([a-z][a-z0-9-]*)\b([^>]*)>/gi)) {
+    const tag = match[1].toLowerCase();
+    const attrs = parseAttributes(match[2]);
+    // Connection hints name an origin, not a resource.
+    if (tag === "link" && /\b(?:preconnect|dns-prefetch)\b/i.test(attrs.rel || "")) continue;
+    for (const name of ["href", "src"]) {
+      if (attrs[name] !== undefined) refs.push({ tag, attr: name, url: attrs[name].trim() });
+    }
+    if (attrs.srcset) {
+      for (const candidate of attrs.srcset.split(",")) {
+        const url = candidate.trim().split(/\s+/)[0];
+        if (url) refs.push({ tag, attr: "srcset", url });
+      }
+    }
+  }
+  return refs;
+}
+
+// The URL path a dist/ file is served at, e.g. "artists/x/index.html" → "/repo/artists/x/".
+function pageUrl(basePath, file) {
+  const urlPath = `/${file}`.replace(/(^|\/)index\.html$/, "$1");
+  return `${basePath}${urlPath}`;
+}
+
+function createResolver({ site, basePath, files }) {
+  const siteRoot = absoluteUrl(site, "/");
+  const absoluteRoot = /^https?:\/\//.test(siteRoot) ? siteRoot : "";
+
+  // Site path (without BASE_PATH) → dist/ file, following the static-host rules
+  // the dev server uses: "/x/" serves x/index.html and "/x" a file or x/index.html.
+  function fileFor(sitePath) {
+    const relative = sitePath.replace(/^\/+/, "");
+    if (!relative || relative.endsWith("/")) return files.has(`${relative}index.html`) ? `${relative}index.html` : null;
+    if (files.has(relative)) return relative;
+    return files.has(`${relative}/index.html`) ? `${relative}/index.html` : null;
+  }
+
+  // → { kind: "skip" } | { kind: "external", url } | { kind: "internal", path, file } |
+  //   { kind: "outside", path } for same-site paths that miss BASE_PATH.
+  return function resolve(ref, fromFile) {
+    if (!ref || ref.startsWith("#") || SKIPPED_SCHEMES.test(ref)) return { kind: "skip" };
+    let target = ref;
+    if (absoluteRoot && target.startsWith(absoluteRoot)) {
+      target = `${basePath}/${target.slice(absoluteRoot.length)}`;
+    } else if (/^(?:[a-z][a-z0-9+.-]*:)?\/\//i.test(target)) {
+      return /^(?:https?:)?\/\//i.test(target) ? { kind: "external", url: new URL(target, "https://x").href } : { kind: "skip" };
+    }
+    let url;
+    try {
+      url = new URL(target, `${LOCAL_ORIGIN}${pageUrl(basePath, fromFile)}`);
+    } catch {
+      return { kind: "internal", path: ref, file: null };
+    }
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch {
+      pathname = url.pathname;
+    }
+    if (basePath && pathname !== basePath && !pathname.startsWith(`${basePath}/`)) return { kind: "outside", path: pathname };
+    const sitePath = pathname.slice(basePath.length) || "/";
+    return { kind: "internal", path: pathname, file: fileFor(sitePath) };
+  };
+}
+
+function sitemapUrls(xml) {
+  const urls = [];
+  for (const match of xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/g)) urls.push(decodeEntities(match[1]));
+  for (const match of xml.matchAll(/<xhtml:link\b[^>]*\bhref="([^"]+)"/g)) urls.push(decodeEntities(match[1]));
+  return [...new Set(urls)];
+}
+
+async function checkExternal(urls, { endpoint, timeout }) {
+  const failures = new Map();
+  const queue = [...urls];
+  async function request(url) {
+    if (endpoint) {
+      const target = new URL(endpoint);
+      target.searchParams.set("url", url);
+      return fetch(target, { signal: AbortSignal.timeout(timeout) });
+    }
+    const response = await fetch(url, { method: "HEAD", redirect: "follow", signal: AbortSignal.timeout(timeout) });
+    // Some servers don't implement HEAD.
+    if (response.status === 405 || response.status === 501) {
+      return fetch(url, { redirect: "follow", signal: AbortSignal.timeout(timeout) });
+    }
+    return response;
+  }
+  async function worker() {
+    while (queue.length) {
+      const url = queue.shift();
+      try {
+        const response = await request(url);
+        await response.body?.cancel();
+        if (response.status >= 400) failures.set(url, `HTTP ${response.status}`);
+      } catch (err) {
+        failures.set(url, err?.name === "TimeoutError" ? "timed out" : err?.cause?.code || err?.message || String(err));
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(4, queue.length) }, worker));
+  return failures;
+}
+
+function describeSources(sources) {
+  const list = [...sources];
+  const shown = list.slice(0, 3).join(", ");
+  return list.length > 3 ? `${shown} and ${list.length - 3} more` : shown;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.help) {
+    process.stdout.write(`${usage()}\n`);
+    return;
+  }
+
+  const site = JSON.parse(await fs.readFile(siteFile, "utf8"));
+  const basePath = resolveBasePath(site);
+  let fileList;
+  try {
+    fileList = await listDist();
+  } catch (err) {
+    if (err?.code === "ENOENT") throw new Error("dist/ does not exist; run `node scripts/build.mjs` first");
+    throw err;
+  }
+  const files = new Set(fileList);
+  if (!files.has("index.html")) throw new Error("dist/index.html does not exist; run `node scripts/build.mjs` first");
+  const resolve = createResolver({ site, basePath, files });
+
+  // Problems are grouped by target so a broken nav link is reported once, with the pages using it.
+  const problems = new Map();
+  const report = (level, message, target, source) => {
+    const key = `${level}\0${message}\0${target}`;
+    if (!problems.has(key)) problems.set(key, { level, message, target, sources: new Set() });
+    if (source) problems.get(key).sources.add(source);
+  };
+
+  const pages = fileList.filter((f) => f.endsWith(".html")).sort();
+  const linksFrom = new Map();
+  const external = new Set();
+  for (const page of pages) {
+    const targets = new Set();
+    for (const ref of extractReferences(await fs.readFile(path.join(distDir, page), "utf8"))) {
+      const resolved = resolve(ref.url, page);
+      if (resolved.kind === "external") external.add(resolved.url);
+      else if (resolved.kind === "outside") report("error", `${ref.attr} outside BASE_PATH ${basePath}`, ref.url, page);
+      else if (resolved.kind === "internal" && !resolved.file) {
+        const isPageLink = ref.tag === "a" || /\/$/.test(resolved.path) || /\.html$/.test(resolved.path);
+        report("error", isPageLink ? "broken link" : "missing asset", ref.url, page);
+      } else if (resolved.kind === "internal") targets.add(resolved.file);
+    }
+    linksFrom.set(page, targets);
+  }
+
+  const reached = new Set(["index.html"]);
+  const queue = ["index.html"];
+  while (queue.length) {
+    for (const target of linksFrom.get(queue.shift()) || []) {
+      if (target.endsWith(".html") && !reached.has(target)) {
+        reached.add(target);
+        queue.push(target);
+      }
+    }
+  }
+  for (const page of pages) {
+    if (reached.has(page) || args.allowOrphans.some((allowed) => page === allowed || (allowed.endsWith("/") && page.startsWith(allowed)))) continue;
+    report("warning", "orphan page (not linked from any page reachable from index.html)", page);
+  }
+
+  if (files.has("sitemap.xml")) {
+    for (const url of sitemapUrls(await fs.readFile(path.join(distDir, "sitemap.xml"), "utf8"))) {
+      const resolved = resolve(url, "sitemap.xml");
+      if (resolved.kind === "external") report("error", "sitemap entry is not on this site (check BASE_URL)", url, "sitemap.xml");
+      else if (resolved.kind === "outside") report("error", `sitemap entry outside BASE_PATH ${basePath}`, url, "sitemap.xml");
+      else if (resolved.kind === "internal" && !resolved.file) report("error", "sitemap entry has no file", url, "sitemap.xml");
+    }
+  } else {
+    report("warning", "no sitemap", "sitemap.xml");
+  }
+
+  if (args.external && external.size) {
+    process.stdout.write(`Checking ${external.size} external URL(s)${args.endpoint ? ` via ${args.endpoint}` : ""}…\n`);
+    const failures = await checkExternal([...external].sort(), args);
+    for (const [url, reason] of failures) report("warning", `external URL failed: ${reason}`, url);
+  }
+
+  const sorted = [...problems.values()].sort((a, b) => (a.level === b.level ? 0 : a.level === "error" ? -1 : 1));
+  for (const problem of sorted) {
+    const from = problem.sources.size ? ` (in ${describeSources(problem.sources)})` : "";
+    process.stdout.write(`${problem.level}: ${problem.message}: ${problem.target}${from}\n`);
+  }
+  const errors = sorted.filter((p) => p.level === "error").length;
+  const warnings = sorted.length - errors;
+  process.stdout.write(
+    `${sorted.length ? "\n" : ""}Checked ${pages.length} page(s), ${reached.size} reachable from index.html` +
+      `${args.external ? `, ${external.size} external URL(s)` : ""}: ${errors} error(s), ${warnings} warning(s)\n`
+  );
+  if (errors || (args.strict && warnings)) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -1,16 +1,50 @@
 import http from "node:http";
 import fs from "node:fs/promises";
+import { watch } from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
-import { buildSite } from "./build.mjs";
+import { buildSite, formatBuildReport } from "./build.mjs";
+import { escapeHtml } from "./lib/html.mjs";
+import { createCmsRequestHandler } from "./lib/local-backend.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const distDir = path.resolve(__dirname, "..", "dist");
 const projectDir = path.resolve(__dirname, "..");
-const watchRoots = [path.join(projectDir, "data"), path.join(projectDir, "src"), path.join(projectDir, "scripts")];
+const watchRoots = ["data", "src", "scripts", "bios", "themes"].map((dir) => path.join(projectDir, dir));
 
 const port = Number(process.env.PORT || 5173);
+const POLL_INTERVAL = 650;
+const DEBOUNCE = 120;
+
+function usage() {
+  return [
+    "Usage:",
+    "  node scripts/dev.mjs [--poll] [--no-drafts]",
+    "",
+    "Builds the site, serves dist/ on http://127.0.0.1:$PORT (default 5173) and rebuilds",
+    "incrementally when data/, src/, bios/, themes/ or scripts/ change. Open tabs swap",
+    "changed stylesheets in place and reload only when the page they show was rebuilt.",
+    "",
+    "Options:",
+    "  --poll        Watch by checking modification times instead of file system events",
+    "                (for network drives and containers where events don't arrive)",
+    "  --no-drafts   Leave out held-back artists (drafts, hidden alumni, scheduled) as",
+    "                the deployed site does; by default they are built with a banner",
+  ].join("\n");
+}
+
+function parseArgs(argv) {
+  const args = { poll: false, drafts: true };
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") args.help = true;
+    else if (arg === "--poll") args.poll = true;
+    else if (arg === "--no-drafts") args.drafts = false;
+    else throw new Error(`Unknown argument: ${arg}\n\n${usage()}`);
+  }
+  return args;
+}
 
 const MIME = new Map([
   [".html", "text/html; charset=utf-8"],
@@ -20,17 +54,28 @@ const MIME = new Map([
   [".xml", "application/xml; charset=utf-8"],
   [".webmanifest", "application/manifest+json; charset=utf-8"],
   [".json", "application/json; charset=utf-8"],
+  [".vcf", "text/vcard; charset=utf-8"],
   [".svg", "image/svg+xml"],
   [".png", "image/png"],
   [".jpg", "image/jpeg"],
   [".jpeg", "image/jpeg"],
   [".gif", "image/gif"],
+  [".webp", "image/webp"],
   [".ico", "image/x-icon"],
+  [".ics", "text/calendar; charset=utf-8"],
+  [".yml", "text/yaml; charset=utf-8"],
+  [".pdf", "application/pdf"],
 ]);
 
 function toFilePath(urlPath) {
   const clean = urlPath.split("?")[0].split("#")[0];
-  const decoded = decodeURIComponent(clean);
+  let decoded;
+  try {
+    decoded = decodeURIComponent(clean);
+  } catch {
+    // A malformed escape (`%E0`); the request gets a 400.
+    return null;
+  }
   const normalized = path.posix.normalize(decoded);
   if (normalized.includes("..")) return null;
   if (normalized === "/") return path.join(distDir, "index.html");
@@ -38,43 +83,176 @@ function toFilePath(urlPath) {
   return path.join(distDir, normalized);
 }
 
-const clients = new Set();
-function broadcastReload() {
-  const payload = `event: reload\ndata: ${Date.now()}\n\n`;
-  for (const res of clients) {
-    try {
-      res.write(payload);
-    } catch {
-      clients.delete(res);
+// Open tabs, each with the dist/ file it is showing (from the `page` query the
+// client sends), so a rebuild only reloads the tabs whose page changed.
+const clients = new Map();
+
+function send(res, event, data) {
+  try {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  } catch {
+    clients.delete(res);
+  }
+}
+
+function pageFile(urlPath) {
+  const filePath = toFilePath(urlPath || "/");
+  return filePath ? path.relative(distDir, filePath).split(path.sep).join("/") : "";
+}
+
+// Turns a build report into what the open tabs should do. Stylesheets are
+// swapped in place. Pages (and feeds, vCards, …) reload the tabs showing them;
+// the admin app reloads when its config changes. Scripts and shared images
+// (logo, favicon) can appear on any page, so they reload every tab. Headshots
+// are left out: the pages that show one are rebuilt when it changes.
+function tabUpdates(report) {
+  const changed = [...report.written, ...report.removed];
+  const stylesheets = changed.filter((p) => p.endsWith(".css")).map((p) => `/${p}`);
+  const reloadAll = changed.some(
+    (p) => p.endsWith(".js") || (p.startsWith("assets/") && !p.startsWith("assets/people/") && !p.endsWith(".css"))
+  );
+  const pages = new Set(changed.filter((p) => !p.endsWith(".css")));
+  if (changed.some((p) => p.startsWith("admin/"))) pages.add("admin/index.html");
+  return { stylesheets, reloadAll, pages };
+}
+
+function notifyClients(report) {
+  const { stylesheets, reloadAll, pages } = tabUpdates(report);
+  let reloaded = 0;
+  for (const [res, page] of clients) {
+    if (reloadAll || pages.has(page)) {
+      send(res, "reload", Date.now());
+      reloaded += 1;
+    } else if (stylesheets.length) {
+      send(res, "css", stylesheets);
     }
   }
+  return { reloaded, swapped: stylesheets.length ? clients.size - reloaded : 0 };
+}
+
+// The last failed build, as { message, location, issues }. Tabs get it when
+// they connect and show it over the page until a build succeeds.
+let buildError = null;
+
+function describeError(err) {
+  if (Array.isArray(err?.issues)) {
+    return { message: "Data validation failed", location: "", issues: err.issues };
+  }
+  // The first stack frame in this project's code (a theme, a data helper, …).
+  const frame = String(err?.stack || "")
+    .split("\n")
+    .slice(1)
+    .find((line) => line.includes(projectDir));
+  const location = /([^\s(]+:\d+:\d+)\)?$/.exec(frame?.trim() || "")?.[1].replace(/^file:\/\//, "") || "";
+  return {
+    message: String(err?.message || err),
+    location: location ? path.relative(projectDir, location) : "",
+    issues: [],
+  };
+}
+
+function reportBuildError(err) {
+  buildError = describeError(err);
+  for (const res of clients.keys()) send(res, "build-error", buildError);
+  // eslint-disable-next-line no-console
+  console.error("Build failed:", err.issues ? err.message : err);
+}
+
+function clearBuildError() {
+  if (!buildError) return;
+  buildError = null;
+  for (const res of clients.keys()) send(res, "build-ok", Date.now());
 }
 
+// Stands in for pages that don't exist because the first build failed; it
+// reloads once a build succeeds.
+function renderErrorPage(error) {
+  const issues = error.issues
+    .map((i) => `<li><code>${escapeHtml(i.file)}</code> <code>${escapeHtml(i.path)}</code>: ${escapeHtml(i.message)}</li>`)
+    .join("");
+  return `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8" /><title>Build failed</title></head>
+<body style="font: 15px/1.5 system-ui, sans-serif; max-width: 60rem; margin: 3rem auto; padding: 0 1rem">
+  <h1>Build failed</h1>
+  <p>${escapeHtml(error.message)}${error.location ? ` <code>${escapeHtml(error.location)}</code>` : ""}</p>
+  ${issues ? `<ul>${issues}</ul>` : ""}
+  <p>Fix the problem and save; this page reloads when the site builds.</p>
+  <script>new EventSource("/__reload").addEventListener("build-ok", () => location.reload());</script>
+</body>
+</html>
+`;
+}
+
+// Where a changed source file ends up; used to explain a rebuild and to flag
+// code the running server has already loaded.
+function classifyChange(relPath) {
+  const [root] = relPath.split("/");
+  if (relPath.endsWith(".css") && (root === "src" || root === "themes")) return "style";
+  if (root === "scripts" || (root === "themes" && relPath.endsWith(".mjs"))) return "code";
+  if (root === "src" && relPath.startsWith("src/assets/")) return "asset";
+  return "content";
+}
+
+// Changes are collected while a rebuild runs and built together right after
+// it, so none is lost and builds never overlap.
+const pending = new Set();
+const buildOptions = { drafts: true };
 let rebuildTimer = null;
 let rebuilding = false;
-async function scheduleRebuild(reason) {
+
+function queueChange(relPath) {
+  pending.add(relPath);
+  if (rebuilding) return;
   if (rebuildTimer) clearTimeout(rebuildTimer);
-  rebuildTimer = setTimeout(async () => {
-    if (rebuilding) return;
-    rebuilding = true;
-    try {
-      await buildSite();
-      // eslint-disable-next-line no-console
-      console.log(`Rebuilt (${reason})`);
-      broadcastReload();
-    } catch (err) {
+  rebuildTimer = setTimeout(rebuild, DEBOUNCE);
+}
+
+async function rebuild() {
+  rebuildTimer = null;
+  const changes = [...pending].sort();
+  pending.clear();
+  rebuilding = true;
+  try {
+    const code = changes.filter((p) => classifyChange(p) === "code");
+    if (code.length) {
       // eslint-disable-next-line no-console
-      console.error("Rebuild failed:", err);
-    } finally {
-      rebuilding = false;
+      console.warn(`Restart the dev server to load changes to ${code.join(", ")}`);
     }
-  }, 120);
+    const report = await buildSite({ ...buildOptions, incremental: true });
+    clearBuildError();
+    const { reloaded, swapped } = notifyClients(report);
+    const shown = changes.length > 3 ? `${changes.slice(0, 3).join(", ")} and ${changes.length - 3} more` : changes.join(", ");
+    // eslint-disable-next-line no-console
+    console.log(
+      `Rebuilt (${shown})\n${formatBuildReport(report, { details: true })}\n` +
+        `  ${reloaded} tab(s) reloaded${swapped ? `, ${swapped} restyled` : ""}`
+    );
+  } catch (err) {
+    reportBuildError(err);
+  } finally {
+    rebuilding = false;
+    if (pending.size) rebuildTimer = setTimeout(rebuild, DEBOUNCE);
+  }
 }
 
+// Decap CMS's local backend (`local_backend` in src/admin/config.yml), so
+// /admin/ edits the files in this checkout and the watcher rebuilds the site.
+// Only the admin page served here may call it.
+const handleCmsRequest = createCmsRequestHandler(projectDir, {
+  origins: [`http://127.0.0.1:${port}`, `http://localhost:${port}`],
+});
+
 const server = http.createServer(async (req, res) => {
   const urlPath = req.url || "/";
 
+  if (urlPath.split("?")[0] === "/api/v1") {
+    await handleCmsRequest(req, res);
+    return;
+  }
+
   if (urlPath.startsWith("/__reload")) {
+    const page = new URL(urlPath, "http://localhost").searchParams.get("page");
     res.writeHead(200, {
       "Content-Type": "text/event-stream",
       "Cache-Control": "no-cache",
@@ -82,7 +260,8 @@ const server = http.createServer(async (req, res) => {
       "Access-Control-Allow-Origin": "*",
     });
     res.write("retry: 500\n\n");
-    clients.add(res);
+    clients.set(res, pageFile(page));
+    if (buildError) send(res, "build-error", buildError);
     req.on("close", () => clients.delete(res));
     return;
   }
@@ -103,6 +282,11 @@ const server = http.createServer(async (req, res) => {
     });
     res.end(data);
   } catch {
+    if (buildError && /^(\.html)?$/.test(path.extname(filePath))) {
+      res.writeHead(500, { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" });
+      res.end(renderErrorPage(buildError));
+      return;
+    }
     try {
       const notFound = await fs.readFile(path.join(distDir, "404.html"));
       res.writeHead(404, { "Content-Type": "text/html; charset=utf-8" });
@@ -120,10 +304,11 @@ server.on("error", (err) => {
   process.exitCode = 1;
 });
 
-server.listen({ port, host: "127.0.0.1" }, () => {
-  // eslint-disable-next-line no-console
-  console.log(`Serving ${distDir} on http://127.0.0.1:${port}`);
-});
+function isIgnored(relPath) {
+  const name = path.basename(relPath);
+  // Finder metadata and editor swap/backup files.
+  return name === ".DS_Store" || name === "4913" || name.endsWith("~") || /\.sw[a-p]$/.test(name);
+}
 
 async function listFilesRecursive(dir) {
   const out = [];
@@ -140,9 +325,8 @@ async function listFilesRecursive(dir) {
   return out;
 }
 
-async function computeWatchState() {
-  const roots = await Promise.all(watchRoots.map((r) => listFilesRecursive(r)));
-  const files = roots.flat().filter((f) => !f.endsWith(".DS_Store"));
+async function computeWatchState(root) {
+  const files = (await listFilesRecursive(root)).filter((f) => !isIgnored(f));
   const state = new Map();
 
   await Promise.all(
@@ -159,25 +343,73 @@ async function computeWatchState() {
   return state;
 }
 
-async function main() {
-  await buildSite();
-
-  let prev = await computeWatchState();
+async function pollRoot(root, onChange) {
+  let prev = await computeWatchState(root);
   setInterval(async () => {
-    const next = await computeWatchState();
-    if (next.size !== prev.size) {
-      prev = next;
-      scheduleRebuild("files-changed");
-      return;
-    }
+    const next = await computeWatchState(root);
     for (const [file, mtime] of next) {
-      if (prev.get(file) !== mtime) {
-        prev = next;
-        scheduleRebuild(path.relative(projectDir, file));
-        return;
-      }
+      if (prev.get(file) !== mtime) onChange(file);
+    }
+    for (const file of prev.keys()) {
+      if (!next.has(file)) onChange(file);
+    }
+    prev = next;
+  }, POLL_INTERVAL);
+}
+
+// Recursive fs.watch where the platform supports it; polling otherwise, or if
+// the watcher fails later (e.g. the folder is replaced).
+async function watchRoot(root, { poll, onChange }) {
+  if (poll) return pollRoot(root, onChange);
+  try {
+    const watcher = watch(root, { recursive: true }, (_event, filename) => {
+      // Some platforms don't report the file name; the root is enough to rebuild.
+      onChange(filename ? path.join(root, filename.toString()) : root);
+    });
+    watcher.on("error", (err) => {
+      watcher.close();
+      // eslint-disable-next-line no-console
+      console.warn(`Watching ${path.relative(projectDir, root)}/ failed (${err.code || err.message}); polling instead`);
+      pollRoot(root, onChange);
+    });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.warn(`Can't watch ${path.relative(projectDir, root)}/ for events (${err.code || err.message}); polling instead`);
+    await pollRoot(root, onChange);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.help) {
+    process.stdout.write(`${usage()}\n`);
+    return;
+  }
+
+  server.listen({ port, host: "127.0.0.1" }, () => {
+    // eslint-disable-next-line no-console
+    console.log(`Serving ${distDir} on http://127.0.0.1:${port}`);
+  });
+  buildOptions.drafts = args.drafts;
+  try {
+    // eslint-disable-next-line no-console
+    console.log(formatBuildReport(await buildSite(buildOptions)));
+  } catch (err) {
+    reportBuildError(err);
+  }
+
+  const onChange = (file) => {
+    const relPath = path.relative(projectDir, file).split(path.sep).join("/");
+    if (!isIgnored(relPath)) queueChange(relPath);
+  };
+  for (const root of watchRoots) {
+    try {
+      await fs.access(root);
+    } catch {
+      continue;
     }
-  }, 650);
+    await watchRoot(root, { poll: args.poll, onChange });
+  }
 }
 
 main().catch((err) => {
@@ -11,6 +11,8 @@ function usage() {
     "  node scripts/download-assets.mjs [--force] [--dry-run] [--only <slug>]...",
     "",
     "Downloads headshots defined by `photo.sourceUrl` into `src/assets/...` based on `photo.path`.",
+    "People without a `photo.path` get `/assets/people/<slug>.jpg`, written to the data file once",
+    "the download succeeds.",
   ].join("\n");
 }
 
@@ -47,6 +49,11 @@ async function loadJson(filePath) {
   return JSON.parse(data);
 }
 
+async function saveJson(filePath, data) {
+  await fs.writeFile(filePath, `${JSON.stringify(data, null, 2)}\n`, "utf8");
+  process.stdout.write(`Updated ${path.relative(projectRoot, filePath)}\n`);
+}
+
 function collectPeople({ artists, team }) {
   const all = [];
 
@@ -57,8 +64,9 @@ function collectPeople({ artists, team }) {
     throw new Error(`Expected data/team.json to be an array, got: ${typeof team}`);
   }
 
-  for (const artist of artists || []) all.push({ type: "artist", ...artist });
-  for (const member of team || []) all.push({ type: "team", ...member });
+  // `record` is the entry in the data file, for writing back a new photo.path.
+  for (const artist of artists || []) all.push({ type: "artist", ...artist, record: artist });
+  for (const member of team || []) all.push({ type: "team", ...member, record: member });
 
   const seen = new Set();
   for (const person of all) {
@@ -109,9 +117,11 @@ async function main() {
 
   const artistsData = await loadJson(path.join(dataDir, "artists.json"));
   const artists = Array.isArray(artistsData) ? artistsData : artistsData?.artists;
+  let teamData = null;
   let team = [];
   try {
-    team = await loadJson(path.join(dataDir, "team.json"));
+    teamData = await loadJson(path.join(dataDir, "team.json"));
+    team = Array.isArray(teamData) ? teamData : teamData?.team;
   } catch {
     team = [];
   }
@@ -125,8 +135,11 @@ async function main() {
     .map((person) => {
       const photo = person.photo || null;
       const sourceUrl = String(photo?.sourceUrl || "").trim();
-      const destPath = assetDestFromPublicPath(photo?.path);
-      return { person, photo, sourceUrl, destPath };
+      // Imports leave photo.path unset until there is a file, so the build
+      // shows the placeholder instead of failing on a missing image.
+      const newPath = photo?.path ? "" : `/assets/people/${person.slug}.jpg`;
+      const destPath = assetDestFromPublicPath(photo?.path || newPath);
+      return { person, photo, sourceUrl, destPath, newPath };
     })
     .filter((t) => t.sourceUrl && t.destPath);
 
@@ -135,7 +148,8 @@ async function main() {
     return;
   }
 
-  for (const { person, sourceUrl, destPath } of targets) {
+  const changed = new Set();
+  for (const { person, sourceUrl, destPath, newPath } of targets) {
     process.stdout.write(`${person.slug} → ${path.relative(projectRoot, destPath)}\n`);
     const result = await downloadOne({ person, destPath, sourceUrl, force: args.force, dryRun: args.dryRun });
     if (result.status === "downloaded") {
@@ -145,7 +159,15 @@ async function main() {
     } else if (result.status === "dry_run") {
       process.stdout.write("  dry-run\n");
     }
+    if (newPath && (result.status === "downloaded" || result.status === "skipped_exists")) {
+      person.record.photo = { ...person.record.photo, path: newPath, alt: person.record.photo?.alt || `Portrait of ${person.name}` };
+      changed.add(person.type);
+      process.stdout.write(`  set photo.path to ${newPath}\n`);
+    }
   }
+
+  if (changed.has("artist")) await saveJson(path.join(dataDir, "artists.json"), artistsData);
+  if (changed.has("team")) await saveJson(path.join(dataDir, "team.json"), teamData);
 }
 
 main().catch((err) => {
@@ -1,23 +1,43 @@
 import fs from "node:fs/promises";
 import path from "node:path";
-import os from "node:os";
-import { spawnSync } from "node:child_process";
+import { crop, decodeImage, encodeJpeg, encodePng, imageInfo, resize } from "./lib/image.mjs";
 
 const projectRoot = path.resolve(process.cwd());
 const srcDir = path.join(projectRoot, "src");
 const peopleDir = path.join(srcDir, "assets", "people");
+const dataFiles = ["artists.json", "team.json"].map((file) => path.join(projectRoot, "data", file));
+const IMAGE_EXTENSIONS = new Set([".jpg", ".jpeg", ".png"]);
 
 function usage() {
   return [
     "Usage:",
     "  node scripts/import-headshot.mjs --src <path> --slug <kebab-case> [options]",
+    "  node scripts/import-headshot.mjs --dir <folder> [--map <mapping.json>] [options]",
+    "  node scripts/import-headshot.mjs --check [--fix] [options]",
+    "",
+    "Crops a headshot to the aspect ratio around its focal point, scales it down to fit the",
+    "output size (it is never enlarged) and writes src/assets/people/<slug>.<format>. The focal",
+    "point is moved with the crop and saved as photo.focus for whoever uses the image in",
+    "data/artists.json or data/team.json.",
+    "",
+    "Modes:",
+    "  --src <path> --slug <slug>  Import one image",
+    "  --dir <folder>              Import every JPEG/PNG in a folder. Slugs come from --map, a JSON",
+    '                              object of file name → slug ({ "IMG_0412.jpg": "hailey-clark" }',
+    '                              or, with a focal point, { "slug": "…", "focus": { "x": 50, "y": 30 } });',
+    "                              without --map they are derived from the file names",
+    "  --check                     List headshots in src/assets/people/ that are larger than the",
+    "                              output size, not the aspect ratio, or PNG (exits 1 if any are)",
+    "  --check --fix               Re-import those in place as JPEG (cropped around their photo.focus),",
+    "                              delete converted PNGs and update photo paths in the data files",
     "",
     "Options:",
     "  --width <px>          Output width (default: 1200)",
     "  --height <px>         Output height (default: 1500)",
     "  --aspect <w:h>        Crop aspect ratio (default: 4:5)",
+    "  --focus <x,y>         Focal point in the source, in percent from the top-left (default: 50,50)",
     "  --format <ext>        Output format: jpg|png (default: jpg)",
-    "  --quality <0-100>     JPEG quality percent via sips formatOptions (default: 85)",
+    "  --quality <0-100>     JPEG quality (default: 85)",
     "  --force               Overwrite existing output",
   ].join("\n");
 }
@@ -26,9 +46,14 @@ function parseArgs(argv) {
   const args = {
     src: "",
     slug: "",
+    dir: "",
+    map: "",
+    check: false,
+    fix: false,
     width: 1200,
     height: 1500,
     aspect: "4:5",
+    focus: "",
     format: "jpg",
     quality: 85,
     force: false,
@@ -38,11 +63,16 @@ function parseArgs(argv) {
     const arg = argv[i];
     if (arg === "--help" || arg === "-h") args.help = true;
     else if (arg === "--force") args.force = true;
+    else if (arg === "--check") args.check = true;
+    else if (arg === "--fix") args.fix = true;
     else if (arg === "--src") args.src = String(argv[++i] || "");
     else if (arg === "--slug") args.slug = String(argv[++i] || "");
+    else if (arg === "--dir") args.dir = String(argv[++i] || "");
+    else if (arg === "--map") args.map = String(argv[++i] || "");
     else if (arg === "--width") args.width = Number(argv[++i]);
     else if (arg === "--height") args.height = Number(argv[++i]);
     else if (arg === "--aspect") args.aspect = String(argv[++i] || "");
+    else if (arg === "--focus") args.focus = String(argv[++i] || "");
     else if (arg === "--format") args.format = String(argv[++i] || "");
     else if (arg === "--quality") args.quality = Number(argv[++i]);
     else throw new Error(`Unknown arg: ${arg}`);
@@ -57,6 +87,15 @@ function assertKebabCase(slug) {
   }
 }
 
+function slugify(value) {
+  return value
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
 function parseAspect(value) {
   const match = /^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/.exec(value.trim());
   if (!match) throw new Error(`Invalid aspect ratio '${value}' (expected W:H like 4:5)`);
@@ -68,121 +107,275 @@ function parseAspect(value) {
   return w / h;
 }
 
-function run(cmd, args) {
-  const res = spawnSync(cmd, args, { encoding: "utf8" });
-  if (res.status !== 0) {
-    const err = res.stderr?.trim() || res.stdout?.trim() || `Exit ${res.status}`;
-    throw new Error(`${cmd} failed: ${err}`);
-  }
-  return res.stdout || "";
+function parseFocus(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*[,/ ]\s*(\d+(?:\.\d+)?)$/.exec(String(value).trim());
+  const focus = match && { x: Number(match[1]), y: Number(match[2]) };
+  if (!focus || focus.x > 100 || focus.y > 100) throw new Error(`Invalid focal point '${value}' (expected x,y in percent like 50,30)`);
+  return focus;
 }
 
-function getImageSize(filePath) {
-  const out = run("sips", ["-g", "pixelWidth", "-g", "pixelHeight", "-1", filePath]);
-  const widthMatch = /pixelWidth:\s*(\d+)/.exec(out);
-  const heightMatch = /pixelHeight:\s*(\d+)/.exec(out);
-  if (!widthMatch || !heightMatch) {
-    throw new Error(`Could not read image size via sips: ${filePath}`);
-  }
-  return { width: Number(widthMatch[1]), height: Number(heightMatch[1]) };
+function validFocus(focus) {
+  return Number.isFinite(focus?.x) && Number.isFinite(focus?.y) ? focus : null;
 }
 
-async function main() {
-  const args = parseArgs(process.argv);
-  if (args.help) {
-    console.log(usage());
-    return;
-  }
-
-  if (!args.src || !args.slug) {
-    throw new Error(`Missing required args.\n\n${usage()}`);
-  }
-
-  assertKebabCase(args.slug);
-
+function resolveOptions(args) {
   const format = args.format.toLowerCase();
   if (!["jpg", "jpeg", "png"].includes(format)) {
     throw new Error(`Unsupported --format '${args.format}' (use jpg or png)`);
   }
-
-  const outExt = format === "jpeg" ? "jpg" : format;
-  const outputWidth = Number(args.width);
-  const outputHeight = Number(args.height);
-  if (!Number.isFinite(outputWidth) || !Number.isFinite(outputHeight) || outputWidth <= 0 || outputHeight <= 0) {
+  const width = Number(args.width);
+  const height = Number(args.height);
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
     throw new Error(`Invalid --width/--height`);
   }
+  if (!Number.isFinite(args.quality)) throw new Error(`Invalid --quality`);
+  return {
+    ext: format === "jpeg" ? "jpg" : format,
+    width,
+    height,
+    aspect: parseAspect(args.aspect),
+    quality: Math.max(0, Math.min(100, args.quality)),
+    force: args.force,
+  };
+}
+
+// The largest box with the target aspect ratio, centred on the focal point as far
+// as the image edges allow.
+function cropBox(width, height, aspect, focus = { x: 50, y: 50 }) {
+  let cropWidth = width;
+  let cropHeight = height;
+  if (width / height > aspect) cropWidth = Math.round(height * aspect);
+  else if (width / height < aspect) cropHeight = Math.round(width / aspect);
+  cropWidth = Math.max(1, Math.min(width, cropWidth));
+  cropHeight = Math.max(1, Math.min(height, cropHeight));
+  const offset = (percent, size, cropSize) => Math.max(0, Math.min(size - cropSize, Math.round((percent / 100) * size - cropSize / 2)));
+  return {
+    x: offset(focus.x, width, cropWidth),
+    y: offset(focus.y, height, cropHeight),
+    width: cropWidth,
+    height: cropHeight,
+  };
+}
+
+// Where the source's focal point ends up inside the crop, in whole percent.
+function focusInCrop(focus, box, width, height) {
+  const percent = (value, size, start, cropSize) =>
+    Math.max(0, Math.min(100, Math.round(((value / 100) * size - start) / cropSize * 100)));
+  return { x: percent(focus.x, width, box.x, box.width), y: percent(focus.y, height, box.y, box.height) };
+}
 
-  const quality = Math.max(0, Math.min(100, Number(args.quality)));
-  const targetAspect = parseAspect(args.aspect);
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-  const srcPath = path.resolve(projectRoot, args.src);
-  await fs.access(srcPath);
+// Returns the written file and the focal point within it (null when none was given).
+async function importHeadshot(srcPath, slug, options, focus = null) {
+  assertKebabCase(slug);
+  const destPath = path.join(peopleDir, `${slug}.${options.ext}`);
+  if (!options.force && (await exists(destPath))) {
+    throw new Error(`Output already exists: ${path.relative(projectRoot, destPath)} (use --force to overwrite)`);
+  }
+
+  const source = decodeImage(await fs.readFile(srcPath));
+  const box = cropBox(source.width, source.height, options.aspect, focus || undefined);
+  const scale = Math.min(1, options.width / box.width, options.height / box.height);
+  const outputWidth = Math.max(1, Math.round(box.width * scale));
+  const outputHeight = Math.max(1, Math.round(box.height * scale));
+  const image = resize(crop(source, box), outputWidth, outputHeight);
+  const encoded = options.ext === "png" ? encodePng(image) : encodeJpeg(image, { quality: options.quality });
 
-  const destPath = path.join(peopleDir, `${args.slug}.${outExt}`);
   await fs.mkdir(path.dirname(destPath), { recursive: true });
+  await fs.writeFile(destPath, encoded);
+  const note = scale === 1 && (outputWidth < options.width || outputHeight < options.height) ? " (source is smaller than the output size)" : "";
+  process.stdout.write(
+    `Wrote ${path.relative(projectRoot, destPath)} ${outputWidth}x${outputHeight}, ${Math.round(encoded.length / 1024)} KB${note}\n`
+  );
+  return { destPath, focus: focus ? focusInCrop(focus, box, source.width, source.height) : null };
+}
 
-  if (!args.force) {
+async function loadPeople() {
+  const docs = [];
+  for (const file of dataFiles) {
+    let data;
     try {
-      await fs.access(destPath);
-      throw new Error(`Output already exists: ${path.relative(projectRoot, destPath)} (use --force to overwrite)`);
-    } catch {
-      // proceed
+      data = JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (err) {
+      if (err?.code === "ENOENT") continue;
+      throw err;
+    }
+    const list = Array.isArray(data) ? data : (data?.artists ?? data?.team);
+    const people = Array.isArray(list) ? list : [];
+    docs.push({ file, data, people, changed: false });
+  }
+  return docs;
+}
+
+function personWithPhoto(docs, urlPath) {
+  for (const doc of docs) {
+    const person = doc.people.find((p) => p?.photo?.path === urlPath);
+    if (person) return person;
+  }
+  return null;
+}
+
+// Applies { from, to, focus } photo updates to everyone whose photo.path is `from`.
+// A null focus removes photo.focus, which would describe the previous image.
+async function updatePhotos(updates) {
+  const docs = await loadPeople();
+  for (const { from, to, focus } of updates) {
+    for (const doc of docs) {
+      for (const person of doc.people.filter((p) => p?.photo?.path === from)) {
+        const before = JSON.stringify(person.photo);
+        person.photo.path = to;
+        if (focus) person.photo.focus = focus;
+        else delete person.photo.focus;
+        if (JSON.stringify(person.photo) !== before) {
+          doc.changed = true;
+          const what = [from !== to && `path ${to}`, focus ? `focus ${focus.x},${focus.y}` : before.includes('"focus"') && "cleared focus"];
+          process.stdout.write(`  ${person.slug || person.name}: ${what.filter(Boolean).join(", ")}\n`);
+        }
+      }
     }
   }
+  for (const doc of docs.filter((d) => d.changed)) {
+    await fs.writeFile(doc.file, `${JSON.stringify(doc.data, null, 2)}\n`, "utf8");
+    process.stdout.write(`Updated ${path.relative(projectRoot, doc.file)}\n`);
+  }
+}
 
-  const { width: inputWidth, height: inputHeight } = getImageSize(srcPath);
-  const inputAspect = inputWidth / inputHeight;
+function peoplePath(destPath) {
+  return `/assets/people/${path.basename(destPath)}`;
+}
 
-  let cropWidth = inputWidth;
-  let cropHeight = inputHeight;
-  if (inputAspect > targetAspect) {
-    cropWidth = Math.floor(inputHeight * targetAspect);
-    cropHeight = inputHeight;
-  } else if (inputAspect < targetAspect) {
-    cropWidth = inputWidth;
-    cropHeight = Math.floor(inputWidth / targetAspect);
+async function readMapping(mapPath) {
+  const mapping = JSON.parse(await fs.readFile(path.resolve(projectRoot, mapPath), "utf8"));
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new Error(`${mapPath} must be a JSON object of file name → slug`);
   }
+  return mapping;
+}
 
-  cropWidth = Math.max(1, Math.min(inputWidth, cropWidth));
-  cropHeight = Math.max(1, Math.min(inputHeight, cropHeight));
+async function importFolder(dir, mapPath, options) {
+  const folder = path.resolve(projectRoot, dir);
+  const mapping = mapPath ? await readMapping(mapPath) : null;
+  const files = (await fs.readdir(folder)).filter((f) => IMAGE_EXTENSIONS.has(path.extname(f).toLowerCase())).sort();
+  let failed = 0;
+  let skipped = 0;
+  const updates = [];
+  for (const file of files) {
+    const name = path.basename(file, path.extname(file));
+    const entry = mapping ? mapping[file] ?? mapping[name] : slugify(name);
+    const slug = typeof entry === "object" && entry ? entry.slug : entry;
+    if (!slug) {
+      process.stdout.write(`Skipped ${file} (not in ${mapPath})\n`);
+      skipped++;
+      continue;
+    }
+    try {
+      const focus = typeof entry === "object" ? validFocus(entry.focus) : null;
+      const result = await importHeadshot(path.join(folder, file), slug, options, focus);
+      updates.push({ from: peoplePath(result.destPath), to: peoplePath(result.destPath), focus: result.focus });
+    } catch (err) {
+      process.stderr.write(`Failed ${file}: ${err.message}\n`);
+      failed++;
+    }
+  }
+  if (mapping) {
+    const found = new Set(files.flatMap((f) => [f, path.basename(f, path.extname(f))]));
+    for (const key of Object.keys(mapping).filter((k) => !found.has(k))) {
+      process.stdout.write(`Not found: ${key} (listed in ${mapPath})\n`);
+    }
+  }
+  await updatePhotos(updates);
+  process.stdout.write(`\n${files.length - failed - skipped} imported, ${skipped} skipped, ${failed} failed\n`);
+  if (failed) process.exitCode = 1;
+}
 
-  const offsetX = Math.max(0, Math.floor((inputWidth - cropWidth) / 2));
-  const offsetY = Math.max(0, Math.floor((inputHeight - cropHeight) / 2));
+// Problems with one headshot, read from its header only.
+async function headshotProblems(filePath, options) {
+  const info = imageInfo(await fs.readFile(filePath));
+  if (!info) return ["not a readable JPEG or PNG"];
+  const problems = [];
+  if (info.type === "image/png") {
+    problems.push(path.extname(filePath).toLowerCase() === ".png" ? "PNG" : `PNG data saved as ${path.extname(filePath)}`);
+  }
+  if (info.width > options.width || info.height > options.height) {
+    problems.push(`oversized ${info.width}x${info.height} (max ${options.width}x${options.height})`);
+  }
+  if (Math.abs(info.width / info.height - options.aspect) > options.aspect * 0.01) {
+    problems.push(`aspect ${(info.width / info.height).toFixed(3)} (expected ${options.aspect.toFixed(3)})`);
+  }
+  return problems;
+}
 
-  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "opera-headshot-"));
-  try {
-    const croppedPath = path.join(tmpDir, `cropped.${outExt}`);
-    const resizedPath = path.join(tmpDir, `resized.${outExt}`);
-
-    run("sips", [
-      "-c",
-      String(cropHeight),
-      String(cropWidth),
-      "--cropOffset",
-      String(offsetY),
-      String(offsetX),
-      srcPath,
-      "-o",
-      croppedPath,
-    ]);
-
-    const sipsResizeArgs = ["-z", String(outputHeight), String(outputWidth), croppedPath];
-    if (outExt === "jpg") {
-      sipsResizeArgs.push("-s", "formatOptions", String(Math.round(quality)));
+async function checkHeadshots(options, { fix }) {
+  const files = (await fs.readdir(peopleDir)).filter((f) => IMAGE_EXTENSIONS.has(path.extname(f).toLowerCase())).sort();
+  const flagged = [];
+  for (const file of files) {
+    const problems = await headshotProblems(path.join(peopleDir, file), options);
+    if (problems.length) {
+      flagged.push(file);
+      process.stdout.write(`${path.posix.join("src/assets/people", file)}: ${problems.join(", ")}\n`);
     }
-    sipsResizeArgs.push("-o", resizedPath);
-    run("sips", sipsResizeArgs);
+  }
+  if (!flagged.length) {
+    process.stdout.write(`All ${files.length} headshot(s) are ${options.width}x${options.height} or smaller JPEGs at the right aspect.\n`);
+    return;
+  }
+  if (!fix) {
+    process.stdout.write(`\n${flagged.length} of ${files.length} headshot(s) need work. Re-run with --fix to re-import them.\n`);
+    process.exitCode = 1;
+    return;
+  }
 
-    await fs.copyFile(resizedPath, destPath);
-  } finally {
-    await fs.rm(tmpDir, { recursive: true, force: true });
+  const docs = await loadPeople();
+  const updates = [];
+  for (const file of flagged) {
+    const srcPath = path.join(peopleDir, file);
+    const slug = slugify(path.basename(file, path.extname(file)));
+    const focus = validFocus(personWithPhoto(docs, `/assets/people/${file}`)?.photo?.focus);
+    const result = await importHeadshot(srcPath, slug, { ...options, force: true }, focus);
+    if (result.destPath !== srcPath) await fs.rm(srcPath);
+    updates.push({ from: `/assets/people/${file}`, to: peoplePath(result.destPath), focus: result.focus });
+  }
+  await updatePhotos(updates);
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.help) {
+    console.log(usage());
+    return;
   }
 
-  process.stdout.write(`Wrote ${path.relative(projectRoot, destPath)}\n`);
+  const options = resolveOptions(args);
+  if (args.check) {
+    await checkHeadshots(options, { fix: args.fix });
+    return;
+  }
+  if (args.fix) throw new Error(`--fix only works with --check.\n\n${usage()}`);
+  if (args.dir) {
+    await importFolder(args.dir, args.map, options);
+    return;
+  }
+  if (!args.src || !args.slug) {
+    throw new Error(`Missing required args.\n\n${usage()}`);
+  }
+  const result = await importHeadshot(path.resolve(projectRoot, args.src), args.slug, options, args.focus ? parseFocus(args.focus) : null);
+  const urlPath = peoplePath(result.destPath);
+  if (!personWithPhoto(await loadPeople(), urlPath)) {
+    process.stdout.write(`Set photo.path to ${urlPath}${result.focus ? ` and photo.focus to { "x": ${result.focus.x}, "y": ${result.focus.y} }` : ""} in the data file.\n`);
+    return;
+  }
+  await updatePhotos([{ from: urlPath, to: urlPath, focus: result.focus }]);
 }
 
 main().catch((err) => {
   console.error(err);
   process.exitCode = 1;
 });
-
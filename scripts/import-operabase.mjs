@@ -0,0 +1,353 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { formatRepertoireEntry } from "./lib/html.mjs";
+
+const projectRoot = path.resolve(process.cwd());
+const dataDir = path.join(projectRoot, "data");
+const artistsFile = path.join(dataDir, "artists.json");
+
+// Operabase profession names → the voiceType options in src/admin/config.yml.
+const PROFESSION_MAP = new Map([
+  ["soprano", "Soprano"],
+  ["mezzo-soprano", "Mezzo-soprano"],
+  ["countertenor", "Countertenor"],
+  ["tenor", "Tenor"],
+  ["baritone", "Baritone"],
+  ["bass", "Bass"],
+  ["bass-baritone", "Bass-baritone"],
+  ["stage director", "Director"],
+  ["director", "Director"],
+  ["conductor", "Conductor"],
+  ["pianist", "Pianist"],
+  ["composer", "Composer"],
+  ["choreographer", "Choreographer"],
+]);
+
+const IMPORTED_FIELDS = ["name", "voiceType", "operabaseUrl", "photo.sourceUrl", "photo.credit", "repertoire"];
+
+function usage() {
+  return [
+    "Usage:",
+    "  node scripts/import-operabase.mjs <dump.html|dump.json>... [--slug <slug>] [--apply]",
+    "",
+    "Parses saved Operabase profile pages (the HTML, or the __NEXT_DATA__ JSON) offline",
+    "and merges name, voice type, headshot URL, profile URL and productions into data/artists.json.",
+    "",
+    "Options:",
+    "  --slug <slug>   Target artist slug (only with a single dump; default: matched by",
+    "                  operabaseUrl, then by slugified name)",
+    "  --apply         Write the changes (default: preview the per-field diff only)",
+    "",
+    "Fields that were edited by hand since the last import are never overwritten.",
+  ].join("\n");
+}
+
+function parseArgs(argv) {
+  const args = { files: [], slug: "", apply: false };
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") args.help = true;
+    else if (arg === "--apply") args.apply = true;
+    else if (arg === "--slug") {
+      const slug = argv[i + 1];
+      if (!slug) throw new Error("--slug requires a slug");
+      args.slug = slug;
+      i++;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown arg: ${arg}`);
+    } else {
+      args.files.push(arg);
+    }
+  }
+  return args;
+}
+
+function slugify(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .replace(/\p{Diacritic}/gu, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function decodeHtmlEntities(value) {
+  return value
+    .replaceAll("&quot;", '"')
+    .replaceAll("&#39;", "'")
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">")
+    .replaceAll("&amp;", "&");
+}
+
+export function parseDump(raw, fileLabel) {
+  const text = raw.trimStart();
+  if (!text.startsWith("<")) return JSON.parse(text);
+
+  const match = /<script[^>]*id=["']__NEXT_DATA__["'][^>]*>([\s\S]*?)<\/script>/i.exec(text);
+  if (!match) throw new Error(`${fileLabel}: no __NEXT_DATA__ script found (is this a saved Operabase page?)`);
+  const json = match[1].trim();
+  return JSON.parse(json.startsWith("{") ? json : decodeHtmlEntities(json));
+}
+
+function findQueryData(nextData, predicate) {
+  const queries = nextData?.props?.pageProps?.dehydratedState?.queries;
+  if (!Array.isArray(queries)) return [];
+  return queries
+    .filter((q) => predicate((q?.queryKey || []).map((k) => String(k))))
+    .map((q) => q?.state?.data)
+    .filter(Boolean);
+}
+
+function firstName(list) {
+  if (!Array.isArray(list)) return "";
+  for (const item of list) {
+    const name = item?.name || item?.work?.name || item?.entity?.name;
+    if (name) return String(name);
+  }
+  return "";
+}
+
+// The composer is on the work object, wherever the production keeps that.
+function composerOf(item) {
+  const works = [item?.work, ...(Array.isArray(item?.productionWorks) ? item.productionWorks : []), ...(Array.isArray(item?.works) ? item.works : [])];
+  for (const entry of works) {
+    const work = entry?.work || entry;
+    const name = work?.composer?.name || firstName(work?.composers);
+    if (name) return String(name);
+  }
+  return "";
+}
+
+// The production queries Operabase embeds differ by page/tab; read the common shapes
+// and skip anything that doesn't at least name a work.
+function normalizeProduction(item) {
+  const work = item?.work?.name || firstName(item?.productionWorks) || firstName(item?.works) || item?.name || "";
+  if (!work) return null;
+  const role =
+    item?.role?.name ||
+    item?.character?.name ||
+    firstName(item?.roles) ||
+    firstName(item?.castRoles) ||
+    firstName(item?.profileRoles) ||
+    "";
+  const company = item?.company?.name || firstName(item?.companies) || item?.producer?.name || "";
+  const venue = item?.venue?.name || firstName(item?.venues) || "";
+  const startDate = String(item?.startDate || item?.minDate || item?.firstPerformanceDate || "").slice(0, 10);
+  return { role: String(role), work: String(work), composer: composerOf(item), company: String(company), venue: String(venue), startDate };
+}
+
+function extractProductions(nextData) {
+  const out = [];
+  for (const data of findQueryData(nextData, (key) => key.some((k) => /PRODUCTION|PERFORMANCE|REPERTOIRE/i.test(k)))) {
+    const items = Array.isArray(data) ? data : Array.isArray(data?.data) ? data.data : [];
+    for (const item of items) {
+      const production = normalizeProduction(item);
+      if (production) out.push(production);
+    }
+  }
+
+  const seen = new Set();
+  return out.filter((p) => {
+    const key = `${p.role}|${p.work}|${p.company}|${p.startDate}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// "" for professions without a voice type, which are left for a person to pick.
+function mapProfession(name) {
+  return PROFESSION_MAP.get(String(name || "").trim().toLowerCase()) || "";
+}
+
+export function extractProfile(nextData, fileLabel) {
+  if (nextData?.page === "/404") {
+    throw new Error(`${fileLabel}: this dump is Operabase's 404 page, not a profile. Save the page again from the profile URL.`);
+  }
+
+  const [details] = findQueryData(nextData, (key) => key.includes("GET_ARTIST_DETAILS"));
+  const routeContext = nextData?.props?.initialProps?.pageProps?.obRouteContext;
+  const routeEntity = routeContext?.paths?.find((p) => p?.context?.entityType === "profile")?.context?.entity;
+  if (!details && !routeEntity) throw new Error(`${fileLabel}: no artist profile data found in dump`);
+
+  const professions = Array.isArray(details?.professions) ? details.professions : [];
+  const primary = professions.find((p) => p?.isPrimary) || professions[0];
+  const profession = primary?.profession?.name || details?.headline || "";
+
+  const routeUrl = String(routeContext?.url || "").replace(/^\/+/, "").split(/[?#]/)[0];
+  const profilePath = routeEntity?.slug || (routeUrl && !routeUrl.startsWith("[") ? routeUrl : "");
+  const operabaseUrl = profilePath ? `https://www.operabase.com/${profilePath}/en` : "";
+
+  const image = details?.image || {};
+  const headshotUrl = image.large || image.original || image.medium || "";
+
+  return {
+    name: String(details?.name || routeEntity?.name || "").trim(),
+    profession: String(profession).trim(),
+    voiceType: mapProfession(profession),
+    operabaseUrl,
+    headshotUrl: headshotUrl.startsWith("https://") ? headshotUrl : "",
+    productions: extractProductions(nextData),
+  };
+}
+
+function getField(obj, fieldPath) {
+  return fieldPath.split(".").reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+function setField(obj, fieldPath, value) {
+  const keys = fieldPath.split(".");
+  let target = obj;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] == null || typeof target[key] !== "object") target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+function isEmptyValue(value) {
+  if (value == null) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return String(value).trim() === "";
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Productions with a role become structured `repertoire` entries, one per
+// role and work.
+export function importedValues(profile) {
+  const seen = new Set();
+  const repertoire = [];
+  for (const p of profile.productions) {
+    const key = `${p.role}|${p.work}`;
+    if (!p.role || seen.has(key)) continue;
+    seen.add(key);
+    repertoire.push({ role: p.role, work: p.work, ...(p.composer ? { composer: p.composer } : {}) });
+  }
+
+  return {
+    name: profile.name,
+    voiceType: profile.voiceType,
+    operabaseUrl: profile.operabaseUrl,
+    "photo.sourceUrl": profile.headshotUrl,
+    "photo.credit": profile.headshotUrl ? "Operabase" : "",
+    repertoire,
+  };
+}
+
+// A field counts as hand-edited when it has a value that differs from what the
+// previous import wrote (recorded under `operabaseImport.values`).
+function planArtistChanges(artist, incoming) {
+  const previous = artist.operabaseImport?.values || {};
+  const changes = [];
+  for (const field of IMPORTED_FIELDS) {
+    const next = incoming[field];
+    if (isEmptyValue(next)) continue;
+    const current = getField(artist, field);
+    if (sameValue(current, next)) continue;
+
+    if (isEmptyValue(current)) changes.push({ field, current, next, action: "add" });
+    else if (field in previous && sameValue(current, previous[field])) changes.push({ field, current, next, action: "update" });
+    else changes.push({ field, current, next, action: "keep" });
+  }
+  return changes;
+}
+
+function findArtist(artists, { slug, profile }) {
+  if (slug) return artists.find((a) => a.slug === slug) || null;
+  if (profile.operabaseUrl) {
+    const byUrl = artists.find((a) => a.operabaseUrl && a.operabaseUrl === profile.operabaseUrl);
+    if (byUrl) return byUrl;
+  }
+  return artists.find((a) => a.slug === slugify(profile.name)) || null;
+}
+
+function formatValue(value) {
+  if (isEmptyValue(value)) return "(empty)";
+  if (Array.isArray(value)) {
+    const items = value.slice(0, 3).map((item) => (item && typeof item === "object" ? formatRepertoireEntry(item) : item));
+    return `[${value.length}] ${items.join("; ")}${value.length > 3 ? "; …" : ""}`;
+  }
+  return JSON.stringify(value);
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.help) {
+    console.log(usage());
+    return;
+  }
+  if (!args.files.length) throw new Error(`No dump files given.\n\n${usage()}`);
+  if (args.slug && args.files.length > 1) throw new Error("--slug can only be used with a single dump");
+
+  const artistsData = JSON.parse(await fs.readFile(artistsFile, "utf8"));
+  const artists = Array.isArray(artistsData) ? artistsData : artistsData?.artists;
+  if (!Array.isArray(artists)) throw new Error("Expected data/artists.json to contain an artists array");
+
+  const importedAt = new Date().toISOString().slice(0, 10);
+  let pending = 0;
+
+  for (const file of args.files) {
+    const fileLabel = path.relative(projectRoot, path.resolve(projectRoot, file));
+    const profile = extractProfile(parseDump(await fs.readFile(path.resolve(projectRoot, file), "utf8"), fileLabel), fileLabel);
+    const incoming = importedValues(profile);
+
+    process.stdout.write(`${fileLabel}: ${profile.name || "(no name)"} · ${profile.voiceType || profile.profession || "(no profession)"} · ${profile.productions.length} production(s)\n`);
+    if (profile.profession && !profile.voiceType) {
+      process.stderr.write(`  warning: Operabase profession '${profile.profession}' has no voice type, so voiceType is left unset (set it by hand or add it to PROFESSION_MAP)\n`);
+    }
+
+    let artist = findArtist(artists, { slug: args.slug, profile });
+    if (!artist) {
+      const slug = args.slug || slugify(profile.name);
+      if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug)) throw new Error(`${fileLabel}: cannot derive a kebab-case slug from '${profile.name}'`);
+      // No photo.path until the headshot is downloaded; the build shows the placeholder.
+      artist = { slug, name: "" };
+      artists.unshift(artist);
+      process.stdout.write(`  + new artist '${slug}'\n`);
+    } else {
+      process.stdout.write(`  → ${artist.slug}\n`);
+    }
+
+    const changes = planArtistChanges(artist, incoming);
+    if (!changes.length) process.stdout.write("    (no changes)\n");
+    for (const change of changes) {
+      const marker = change.action === "add" ? "+" : change.action === "update" ? "~" : "=";
+      const note = change.action === "keep" ? "  (hand-edited, kept)" : "";
+      process.stdout.write(`    ${marker} ${change.field}: ${formatValue(change.current)} → ${formatValue(change.next)}${note}\n`);
+    }
+
+    const applied = changes.filter((c) => c.action !== "keep");
+    pending += applied.length;
+    for (const change of applied) setField(artist, change.field, change.next);
+    if (applied.some((c) => c.field === "photo.sourceUrl")) {
+      process.stdout.write(`    (then run: node scripts/download-assets.mjs --only ${artist.slug} --force)\n`);
+    }
+
+    const values = { ...(artist.operabaseImport?.values || {}) };
+    for (const field of IMPORTED_FIELDS) {
+      if (!isEmptyValue(incoming[field])) values[field] = incoming[field];
+    }
+    artist.operabaseImport = { importedAt, values };
+  }
+
+  if (!args.apply) {
+    process.stdout.write(`\n${pending} change(s) previewed. Re-run with --apply to write data/artists.json.\n`);
+    return;
+  }
+
+  await fs.writeFile(artistsFile, `${JSON.stringify(artistsData, null, 2)}\n`, "utf8");
+  process.stdout.write(`\nWrote ${pending} change(s) to ${path.relative(projectRoot, artistsFile)}\n`);
+}
+
+const isCli = import.meta.url === pathToFileURL(path.resolve(process.argv[1] || "")).href;
+if (isCli) {
+  main().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,173 @@
+import { SCHEMAS } from "./schema.mjs";
+import { stringifyYaml } from "./yaml.mjs";
+
+// Builds the Decap CMS "Site Data" collection from the schemas in schema.mjs, so
+// the editor, the validator and the renderers all read one definition. The
+// hand-written part of the config (backend, media folders, the biographies
+// collection) stays in src/admin/config.yml; the build appends this collection
+// and publishes the result as /admin/config.yml.
+
+const COLLECTION = "config";
+
+// One CMS file entry per data file; `name` is what relation widgets point at.
+const DATA_FILES = [
+  {
+    name: "artists",
+    label: "Artist Roster",
+    file: "data/artists.json",
+    description: "Add, remove, and edit artists on the roster.",
+    schema: SCHEMAS.artists,
+  },
+  {
+    name: "team",
+    label: "Team",
+    file: "data/team.json",
+    description: "Staff shown on the About and Contact pages. Each member gets a profile page at /about/<slug>/ and a downloadable contact card.",
+    schema: SCHEMAS.team,
+  },
+  {
+    name: "engagements",
+    label: "Engagements",
+    file: "data/engagements.json",
+    description: "Upcoming performances. Shown on artist pages, the Calendar page and the iCal feeds; past dates are hidden automatically.",
+    schema: SCHEMAS.engagements,
+  },
+  {
+    name: "site",
+    label: "Site Settings",
+    file: "data/site.json",
+    description: "Agency name, description, contact details and social links.",
+    schema: SCHEMAS.site,
+  },
+];
+
+// Browser-side versions of schema.mjs's string formats, as Decap [pattern, message] pairs.
+// `https` lets http:// through like the validator does (with a warning there),
+// since one old link would otherwise block saving the whole file.
+const PATTERNS = {
+  slug: ["[a-z0-9]+(?:-[a-z0-9]+)*", "Must be lowercase kebab-case (e.g. nicole-chevalier)"],
+  https: ["https?://.*", "Must be a full http(s):// link; use https:// where the site supports it"],
+  url: ["https?://.*", "Must be a full http(s):// link"],
+  email: ["[^\\s@]+@[^\\s@]+\\.[^\\s@]+", "Must be an email address"],
+  time: ["(?:[01]\\d|2[0-3]):[0-5]\\d", "Must be a 24-hour time (e.g. 19:30)"],
+};
+
+function humanize(name) {
+  return name.replace(/([a-z])([A-Z])/g, "$1 $2").replace(/^./, (c) => c.toUpperCase());
+}
+
+function stringWidget(node, ctx) {
+  if (node.ref === "artist") {
+    const artists = DATA_FILES.find((f) => f.schema === SCHEMAS.artists);
+    return {
+      widget: "relation",
+      collection: COLLECTION,
+      file: artists.name,
+      search_fields: ["artists.*.name"],
+      display_fields: ["artists.*.name"],
+      value_field: "artists.*.slug",
+    };
+  }
+  if (node.ref === "theme") return { widget: "select", options: ctx.themes };
+  if (node.ref === "locale") return { widget: "select", options: ctx.locales };
+  if (node.enum) return { widget: "select", options: node.enum };
+  if (node.format === "date") return { widget: "datetime", format: "YYYY-MM-DD", date_format: "YYYY-MM-DD", time_format: false };
+  if (node.format === "asset") return { widget: "image" };
+  const pattern = PATTERNS[node.format];
+  if (!pattern) return { widget: "string" };
+  return { widget: "string", pattern: [node.required ? `^${pattern[0]}$` : `^(${pattern[0]})?$`, pattern[1]] };
+}
+
+function widgetFor(node, ctx) {
+  if (node.type === "any") return { widget: "hidden" };
+  if (node.type === "string") return stringWidget(node, ctx);
+  if (node.type === "number") return { widget: "number", value_type: node.integer ? "int" : "float", min: node.min, max: node.max };
+  if (node.type === "array") {
+    const items = node.items;
+    if (items.type === "object") return { widget: "list", fields: cmsFields(items, ctx) };
+    if (items.type === "string" && items.enum) return { widget: "select", multiple: true, options: items.enum };
+    if (items.type === "string" && !items.format && !items.ref) return { widget: "list" };
+    return { widget: "list", field: cmsField((items.label || "item").toLowerCase(), { ...items, required: true }, ctx) };
+  }
+  if (node.type === "object" && node.properties) return { widget: "object", fields: cmsFields(node, ctx) };
+  if (node.type === "object" && node.keys === "locale") {
+    return {
+      widget: "object",
+      fields: ctx.locales
+        .filter((locale) => locale !== ctx.defaultLocale)
+        .map((locale) => ({
+          label: ctx.languageNames[locale] || locale,
+          name: locale,
+          widget: "object",
+          collapsed: true,
+          required: false,
+          fields: cmsFields(node.values, ctx),
+        })),
+    };
+  }
+  if (node.type === "object" && Array.isArray(node.keys)) {
+    return { widget: "object", fields: node.keys.map((key) => cmsField(key, { ...node.values, label: node.keyLabels?.[key] }, ctx)) };
+  }
+  throw new Error(`No CMS widget for a schema node of type '${node.type}'`);
+}
+
+function cmsField(name, node, ctx) {
+  const { widget, ...settings } = { ...widgetFor(node, ctx), ...node.cms };
+  return {
+    label: node.label || humanize(name),
+    name,
+    widget,
+    ...settings,
+    ...(node.required ? {} : { required: false }),
+    ...(node.hint ? { hint: node.hint } : {}),
+  };
+}
+
+function cmsFields(node, ctx) {
+  return Object.entries(node.properties || {})
+    .filter(([, child]) => child.cms !== false)
+    .map(([name, child]) => cmsField(name, child, ctx));
+}
+
+// `base` is the parsed src/admin/config.yml. `ctx` supplies what the schemas
+// leave to the site: { locales, defaultLocale, languageNames, themes }.
+export function cmsConfig(base, ctx) {
+  const dataCollection = {
+    name: COLLECTION,
+    label: "Site Data",
+    files: DATA_FILES.map(({ name, label, file, description, schema }) => ({ name, label, file, description, fields: cmsFields(schema, ctx) })),
+  };
+  return { ...base, collections: [...(base?.collections || []), dataCollection] };
+}
+
+export function renderCmsConfig(base, ctx) {
+  return `# Generated by scripts/build.mjs from src/admin/config.yml and scripts/lib/schema.mjs. Do not edit.\n${stringifyYaml(cmsConfig(base, ctx))}`;
+}
+
+// The hand-written base must leave the data files to the generator.
+export function checkCmsBase(base, { file }) {
+  const issues = [];
+  const dataFiles = new Set(DATA_FILES.map((f) => f.file));
+  (base?.collections || []).forEach((collection, c) => {
+    if (collection?.name === COLLECTION) {
+      issues.push({
+        level: "error",
+        file,
+        path: `$.collections[${c}].name`,
+        value: collection.name,
+        message: "is reserved for the generated Site Data collection",
+      });
+    }
+    (collection?.files || []).forEach((entry, f) => {
+      if (!dataFiles.has(entry?.file)) return;
+      issues.push({
+        level: "error",
+        file,
+        path: `$.collections[${c}].files[${f}].file`,
+        value: entry.file,
+        message: "is generated from scripts/lib/schema.mjs; remove it from the config",
+      });
+    });
+  });
+  return issues;
+}
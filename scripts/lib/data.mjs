@@ -0,0 +1,226 @@
+import fs from "node:fs/promises";
+import { existsSync } from "node:fs";
+import path from "node:path";
+import { checkCmsBase, cmsConfig } from "./cms.mjs";
+import { SCHEMAS, validateDocument } from "./schema.mjs";
+import { parseYaml } from "./yaml.mjs";
+
+// Loading and validating everything under data/ (plus the CMS config). Problems
+// are returned as issues ({ level, file, path, value, message }) rather than
+// thrown, so `scripts/validate.mjs` can report all of them at once.
+
+function lineAndColumn(source, offset) {
+  const before = source.slice(0, offset);
+  const line = before.split("\n").length;
+  return { line, column: offset - before.lastIndexOf("\n") };
+}
+
+async function readJson(rootDir, file, { optional = false } = {}) {
+  let source;
+  try {
+    source = await fs.readFile(path.join(rootDir, file), "utf8");
+  } catch (err) {
+    if (err?.code !== "ENOENT") throw err;
+    if (optional) return { file, missing: true, issues: [] };
+    return { file, missing: true, issues: [{ level: "error", file, path: "$", message: "file is missing" }] };
+  }
+  try {
+    return { file, source, data: JSON.parse(source), issues: [] };
+  } catch (err) {
+    const offset = Number(/position (\d+)/.exec(err.message)?.[1]);
+    let where = "";
+    if (Number.isFinite(offset) && !/\(line \d+/.test(err.message)) {
+      const { line, column } = lineAndColumn(source, offset);
+      where = ` at line ${line}, column ${column}`;
+    }
+    return {
+      file,
+      source,
+      issues: [{ level: "error", file, path: "$", message: `is not valid JSON${where}: ${err.message}` }],
+    };
+  }
+}
+
+// artists.json, team.json and engagements.json are `{ "<key>": [...] }` (the CMS
+// needs a top-level object), but a bare array is accepted too.
+function listFrom(data, key) {
+  return Array.isArray(data) ? data : Array.isArray(data?.[key]) ? data[key] : [];
+}
+
+export async function loadData(rootDir) {
+  const site = await readJson(rootDir, "data/site.json");
+  const artists = await readJson(rootDir, "data/artists.json");
+  const team = await readJson(rootDir, "data/team.json", { optional: true });
+  const engagements = await readJson(rootDir, "data/engagements.json", { optional: true });
+  const siteData = site.data && typeof site.data === "object" && !Array.isArray(site.data) ? site.data : {};
+
+  return {
+    rootDir,
+    files: { site, artists, team, engagements },
+    siteSource: site.source ?? "",
+    site: siteData,
+    artists: listFrom(artists.data, "artists"),
+    team: listFrom(team.data, "team"),
+    engagements: listFrom(engagements.data, "engagements"),
+  };
+}
+
+function siteLocaleList(site) {
+  return Array.isArray(site.locales) && site.locales.length ? site.locales : ["en"];
+}
+
+async function checkCatalogs(rootDir, site) {
+  const locales = siteLocaleList(site);
+  const base = site.defaultLocale || locales[0];
+  const issues = [];
+  const catalogs = new Map();
+  for (const locale of locales) {
+    if (typeof locale !== "string") continue;
+    const result = await readJson(rootDir, `data/i18n/${locale}.json`);
+    issues.push(...result.issues);
+    if (result.data && typeof result.data === "object") catalogs.set(locale, result.data);
+  }
+  const baseCatalog = catalogs.get(base);
+  if (!baseCatalog) return issues;
+  for (const [locale, catalog] of catalogs) {
+    if (locale === base) continue;
+    const missing = Object.keys(baseCatalog).filter((key) => !(key in catalog));
+    if (missing.length) {
+      issues.push({
+        level: "warning",
+        file: `data/i18n/${locale}.json`,
+        path: "$",
+        value: missing,
+        message: `is missing ${missing.length} key(s) that fall back to ${base}`,
+      });
+    }
+  }
+  return issues;
+}
+
+// bios/*.md is the CMS's Biographies folder, so anything else in it shows up
+// there as an artist's biography. The `slug` front matter (the CMS's Slug
+// field) has to match the file name.
+async function checkBios(rootDir, slugs) {
+  const issues = [];
+  const files = (await fs.readdir(path.join(rootDir, "bios")).catch(() => [])).filter((f) => f.endsWith(".md")).sort();
+  for (const name of files) {
+    const file = `bios/${name}`;
+    const slug = name.slice(0, -3);
+    if (!slugs.has(slug)) {
+      issues.push({ level: "warning", file, path: "$", value: slug, message: "does not match any artist slug in data/artists.json" });
+    }
+    const frontMatter = /^\uFEFF?---\r?\n([\s\S]*?)\r?\n---\r?\n/.exec(await fs.readFile(path.join(rootDir, file), "utf8"));
+    const field = frontMatter && /^slug:\s*["']?([^"'\r\n]*?)["']?\s*$/m.exec(frontMatter[1]);
+    if (field?.[1] !== slug) {
+      issues.push({
+        level: "warning",
+        file,
+        path: "$.slug",
+        value: field?.[1] ?? null,
+        message: `front matter should have slug: ${slug} (the file name)`,
+      });
+    }
+  }
+  return issues;
+}
+
+// `cms: true` also checks src/admin/config.yml and that the CMS config can be
+// generated from it.
+export async function validateData(data, { cms = false } = {}) {
+  const { rootDir, files, site, artists } = data;
+  const issues = Object.values(files).flatMap((f) => f.issues);
+  const locales = siteLocaleList(site);
+  const slugs = new Set(artists.map((a) => a?.slug));
+  const refs = {
+    artist: (slug) => (slugs.has(slug) ? "" : "does not match any artist slug in data/artists.json"),
+    theme: (name) => (existsSync(path.join(rootDir, "themes", name, "theme.mjs")) ? "" : `no theme named '${name}' in themes/`),
+    locale: (code) => (locales.includes(code) ? "" : `is not one of the site's locales (${locales.join(", ")})`),
+  };
+  const assetExists = (urlPath) => existsSync(path.join(rootDir, "src", urlPath));
+
+  for (const [name, file] of Object.entries(files)) {
+    if (file.data === undefined) continue;
+    let schema = SCHEMAS[name];
+    if (Array.isArray(file.data) && schema.type === "object") schema = Object.values(schema.properties)[0];
+    issues.push(...validateDocument(schema, file.data, { file: file.file, refs, assetExists }));
+  }
+
+  artists.forEach((artist, index) => {
+    if (artist && typeof artist === "object" && !artist.voiceType && !artist.discipline) {
+      const prefix = Array.isArray(files.artists.data) ? "$" : "$.artists";
+      issues.push({
+        level: "warning",
+        file: files.artists.file,
+        path: `${prefix}[${index}]`,
+        value: artist.slug,
+        message: "has no voiceType or discipline, so its roster card has no label",
+      });
+    }
+  });
+
+  artists.forEach((artist, index) => {
+    if (artist?.publishAt && artist?.unpublishAt && artist.unpublishAt <= artist.publishAt) {
+      const prefix = Array.isArray(files.artists.data) ? "$" : "$.artists";
+      issues.push({
+        level: "error",
+        file: files.artists.file,
+        path: `${prefix}[${index}].unpublishAt`,
+        value: artist.unpublishAt,
+        message: `must be after publishAt (${artist.publishAt})`,
+      });
+    }
+  });
+
+  const featured = Array.isArray(site?.featured?.artists) ? site.featured.artists : [];
+  featured.forEach((entry, index) => {
+    if (entry?.from && entry?.until && entry.until < entry.from) {
+      issues.push({
+        level: "error",
+        file: files.site.file,
+        path: `$.featured.artists[${index}].until`,
+        value: entry.until,
+        message: `must not be before from (${entry.from})`,
+      });
+    }
+  });
+
+  data.engagements.forEach((engagement, index) => {
+    if (!engagement || typeof engagement !== "object") return;
+    const prefix = Array.isArray(files.engagements.data) ? "$" : "$.engagements";
+    if (!engagement.work && !engagement.role) {
+      issues.push({
+        level: "error",
+        file: files.engagements.file,
+        path: `${prefix}[${index}]`,
+        value: engagement.artist,
+        message: "needs a 'work' or 'role'",
+      });
+    }
+    // A time without its zone would show at that hour wherever the reader is.
+    if (engagement.time && !engagement.timeZone) {
+      issues.push({
+        level: "error",
+        file: files.engagements.file,
+        path: `${prefix}[${index}].timeZone`,
+        value: engagement.time,
+        message: "is required with a time",
+      });
+    }
+  });
+
+  issues.push(...(await checkCatalogs(rootDir, site)));
+  issues.push(...(await checkBios(rootDir, slugs)));
+
+  if (cms) {
+    const file = "src/admin/config.yml";
+    try {
+      const base = parseYaml(await fs.readFile(path.join(rootDir, file), "utf8"));
+      issues.push(...checkCmsBase(base, { file }));
+      cmsConfig(base, { locales, defaultLocale: site.defaultLocale || locales[0], languageNames: {}, themes: [] });
+    } catch (err) {
+      issues.push({ level: "error", file, path: "$", message: err.message });
+    }
+  }
+  return issues;
+}
@@ -0,0 +1,242 @@
+import { withBase } from "./urls.mjs";
+
+export function escapeHtml(value) {
+  return String(value)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+export function artistLabel(artist) {
+  return artist.discipline || artist.voiceType || "";
+}
+
+// Older free-text `repertoireHighlights` entries: "Donna Anna — Don Giovanni",
+// optionally with the composer in brackets ("… — Don Giovanni (Mozart)").
+// Text without a dash is taken to be the work itself.
+export function parseRepertoireEntry(text) {
+  const parts = String(text).split(/\s+[—–-]\s+/);
+  const role = parts.length > 1 ? parts.shift().trim() : "";
+  const rest = parts.join(" — ").trim();
+  const withComposer = /^(.+?)\s*\(([^()]+)\)$/.exec(rest);
+  return {
+    role,
+    work: withComposer ? withComposer[1].trim() : rest,
+    composer: withComposer ? withComposer[2].trim() : "",
+    status: "",
+  };
+}
+
+// An artist's repertoire as { role, work, composer, status }: the structured
+// `repertoire` entries, then any older highlights that don't repeat one of them.
+export function artistRepertoire(artist) {
+  const structured = (Array.isArray(artist.repertoire) ? artist.repertoire : []).map((entry) => ({
+    role: String(entry?.role || "").trim(),
+    work: String(entry?.work || "").trim(),
+    composer: String(entry?.composer || "").trim(),
+    status: String(entry?.status || "").trim(),
+  }));
+  const legacy = (Array.isArray(artist.repertoireHighlights) ? artist.repertoireHighlights : []).map(parseRepertoireEntry);
+  const seen = new Set();
+  return [...structured, ...legacy].filter((entry) => {
+    const key = `${normalizeForSearch(entry.role)}|${normalizeForSearch(entry.work)}`;
+    if (!entry.work || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// "Donna Anna — Don Giovanni (Mozart)"
+export function formatRepertoireEntry(entry) {
+  const work = entry.composer ? `${entry.work} (${entry.composer})` : entry.work;
+  return entry.role ? `${entry.role} — ${work}` : work;
+}
+
+// Where a work is listed on the A–Z repertoire page.
+export function repertoireWorkId(work) {
+  return `work-${normalizeForSearch(work).replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "untitled"}`;
+}
+
+export function normalizeForSearch(value) {
+  return String(value || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/\p{Diacritic}/gu, "")
+    .trim();
+}
+
+function safeMarkdownHref(site, href) {
+  const trimmed = String(href || "").trim();
+  if (/^(https?:|mailto:)/i.test(trimmed)) return trimmed;
+  if (trimmed.startsWith("/")) return withBase(site, trimmed);
+  if (trimmed.startsWith("#")) return trimmed;
+  return "";
+}
+
+// Bare URLs are set aside while the emphasis rules run, so the underscores and
+// asterisks in them aren't read as emphasis. A URL doesn't take a trailing * or
+// _ with it, so **https://…** still works.
+const BARE_URL = /\bhttps?:\/\/[^\s<>]*[^\s<>*_]/gi;
+
+function renderMarkdownEmphasis(text) {
+  const urls = [];
+  const protectedText = text.replaceAll("\0", "").replace(BARE_URL, (url) => `\0${urls.push(url) - 1}\0`);
+  return escapeHtml(protectedText)
+    .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+    .replace(/__(.+?)__/g, "<strong>$1</strong>")
+    .replace(/\*(.+?)\*/g, "<em>$1</em>")
+    .replace(/(^|[^\p{L}\p{N}])_(.+?)_(?![\p{L}\p{N}])/gu, "$1<em>$2</em>")
+    .replace(/\0(\d+)\0/g, (_, index) => escapeHtml(urls[Number(index)]));
+}
+
+// `[label](href)`; the href may hold balanced parentheses (…/wiki/Tosca_(opera)).
+const MARKDOWN_LINK = /\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+
+function renderMarkdownInline(site, text) {
+  let out = "";
+  let last = 0;
+  for (const match of text.matchAll(MARKDOWN_LINK)) {
+    out += renderMarkdownEmphasis(text.slice(last, match.index));
+    const href = safeMarkdownHref(site, match[2]);
+    const label = renderMarkdownEmphasis(match[1]);
+    if (!href) out += label;
+    else if (/^https?:/i.test(href)) out += `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+    else out += `<a href="${escapeHtml(href)}">${label}</a>`;
+    last = match.index + match[0].length;
+  }
+  return out + renderMarkdownEmphasis(text.slice(last));
+}
+
+// Deliberately small Markdown subset (paragraphs, headings, lists, emphasis, links).
+// Raw HTML is always escaped so CMS-edited bios can't inject markup.
+export function renderMarkdown(site, source) {
+  const lines = String(source || "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push(`<p>${renderMarkdownInline(site, paragraph.join(" "))}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) blocks.push(`<${list.tag}>${list.items.map((item) => `<li>${renderMarkdownInline(site, item)}</li>`).join("")}</${list.tag}>`);
+    list = null;
+  };
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+    const bullet = /^[-*+]\s+(.*)$/.exec(line);
+    const numbered = /^\d+[.)]\s+(.*)$/.exec(line);
+
+    if (!line) {
+      flushParagraph();
+      flushList();
+    } else if (heading) {
+      flushParagraph();
+      flushList();
+      const level = Math.min(6, heading[1].length + 1);
+      blocks.push(`<h${level}>${renderMarkdownInline(site, heading[2])}</h${level}>`);
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const tag = bullet ? "ul" : "ol";
+      if (list?.tag !== tag) {
+        flushList();
+        list = { tag, items: [] };
+      }
+      list.items.push((bullet || numbered)[1]);
+    } else if (list && /^\s/.test(rawLine)) {
+      list.items[list.items.length - 1] += ` ${line}`;
+    } else {
+      flushList();
+      paragraph.push(line);
+    }
+  }
+  flushParagraph();
+  flushList();
+  return blocks.join("\n");
+}
+
+const LINK_ICON_ATTRS = 'class="linkicon" viewBox="0 0 16 16" width="14" height="14" fill="none" stroke="currentColor" stroke-width="1.3" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"';
+
+export const LINK_TYPES = {
+  website: { label: "Website", icon: '<circle cx="8" cy="8" r="6.5"/><ellipse cx="8" cy="8" rx="2.8" ry="6.5"/><path d="M1.5 8h13"/>' },
+  operabase: { label: "Operabase", icon: '<path d="M6 12.5V3.5l7-1.5v9"/><circle cx="4.2" cy="12.5" r="1.8"/><circle cx="11.2" cy="11" r="1.8"/>' },
+  instagram: { label: "Instagram", icon: '<rect x="2" y="2" width="12" height="12" rx="3.5"/><circle cx="8" cy="8" r="2.8"/><circle cx="11.6" cy="4.4" r=".4"/>' },
+  youtube: { label: "YouTube", icon: '<rect x="1.5" y="3.5" width="13" height="9" rx="2.5"/><path d="M6.8 6v4l3.4-2z"/>' },
+  facebook: { label: "Facebook", icon: '<path d="M9.5 14.5V8.5h2l.3-2.3H9.5V4.8c0-.7.2-1.1 1.1-1.1h1.2V1.6a14 14 0 0 0-1.8-.1C8.3 1.5 7.2 2.5 7.2 4.3v1.9H5.3v2.3h1.9v6z"/>' },
+  linkedin: { label: "LinkedIn", icon: '<rect x="1.5" y="1.5" width="13" height="13" rx="2"/><path d="M4.8 7v4.5M4.8 4.6v.1M7.6 11.5V7m0 2.2c0-1.3.9-2.2 2-2.2s1.8.8 1.8 2.1v2.4"/>' },
+  spotify: { label: "Spotify", icon: '<circle cx="8" cy="8" r="6.5"/><path d="M4.6 6.3c2.3-.7 4.9-.5 7 .7M5 8.6c1.9-.5 3.9-.3 5.5.6M5.4 10.8c1.4-.3 2.8-.2 4 .5"/>' },
+  other: { label: "Link", icon: '<path d="M6.8 9.2a2.8 2.8 0 0 0 4 0l2-2a2.8 2.8 0 0 0-4-4l-.9.9"/><path d="M9.2 6.8a2.8 2.8 0 0 0-4 0l-2 2a2.8 2.8 0 0 0 4 4l.9-.9"/>' },
+};
+
+// Merges the structured `links` list with the older `website`/`operabaseUrl` fields,
+// dropping empties and duplicate URLs.
+export function artistLinks(artist) {
+  const links = [
+    ...(Array.isArray(artist.links) ? artist.links : []),
+    { type: "operabase", url: artist.operabaseUrl },
+    { type: "website", url: artist.website },
+  ];
+  const seen = new Set();
+  return links
+    .map((link) => ({
+      type: LINK_TYPES[link?.type] ? link.type : "other",
+      url: String(link?.url || "").trim(),
+      label: String(link?.label || "").trim(),
+    }))
+    .filter((link) => {
+      if (!link.url || seen.has(link.url)) return false;
+      seen.add(link.url);
+      return true;
+    });
+}
+
+export function siteLinks(site) {
+  return Object.entries(site.links || {})
+    .map(([type, url]) => ({ type: LINK_TYPES[type] ? type : "other", url: String(url || "").trim(), label: "" }))
+    .filter((link) => link.url);
+}
+
+export function renderLinkRow(links, { className = "tagrow", linkClass = "tag" } = {}) {
+  if (!links.length) return "";
+  return `<div class="${className}">${links
+    .map((link) => {
+      const type = LINK_TYPES[link.type] || LINK_TYPES.other;
+      return `<a class="${linkClass}" href="${escapeHtml(link.url)}" target="_blank" rel="noopener noreferrer"><svg ${LINK_ICON_ATTRS}>${type.icon}</svg>${escapeHtml(link.label || type.label)}</a>`;
+    })
+    .join("")}</div>`;
+}
+
+// A portrait from build.mjs's portraitFor as an <img> with srcset/sizes, intrinsic
+// width/height and the blurred placeholder as its background, wrapped in <picture>
+// when there are WebP variants. `sizes` describes the rendered width in the theme's CSS.
+// The photo's focal point becomes object-position, so cropped views keep the face.
+// `priority` marks the page's main image (fetchpriority="high"); use it once per page.
+export function renderPortraitImage(portrait, { sizes = "100vw", className = "", loading = "lazy", priority = false, style = "" } = {}) {
+  const styles = [style];
+  if (portrait.position) styles.push(`object-position: ${portrait.position}`);
+  if (portrait.placeholder) {
+    styles.push(`background-image: url("${portrait.placeholder}")`, "background-size: cover");
+    if (portrait.position) styles.push(`background-position: ${portrait.position}`);
+  }
+  const attrs = [
+    className && `class="${escapeHtml(className)}"`,
+    `src="${escapeHtml(portrait.url)}"`,
+    portrait.srcset && `srcset="${escapeHtml(portrait.srcset)}" sizes="${escapeHtml(sizes)}"`,
+    portrait.width && portrait.height && `width="${portrait.width}" height="${portrait.height}"`,
+    `alt="${escapeHtml(portrait.alt)}"`,
+    `loading="${loading}"`,
+    priority ? `fetchpriority="high"` : `decoding="async"`,
+    styles.filter(Boolean).length && `style="${escapeHtml(styles.filter(Boolean).join("; "))}"`,
+  ].filter(Boolean);
+  const img = `<img ${attrs.join(" ")} />`;
+  if (!portrait.sources?.length) return img;
+  const sources = portrait.sources
+    .map((source) => `<source type="${escapeHtml(source.type)}" srcset="${escapeHtml(source.srcset)}" sizes="${escapeHtml(sizes)}" />`)
+    .join("");
+  return `<picture>${sources}${img}</picture>`;
+}
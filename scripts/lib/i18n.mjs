@@ -0,0 +1,66 @@
+import { withBase } from "./urls.mjs";
+
+// `site` here is the per-locale view built by localizeSite(): the site settings
+// plus `locale`, the merged UI `strings` and every locale's display name.
+
+export function siteLocales(site) {
+  const locales = Array.isArray(site.locales) && site.locales.length ? site.locales : ["en"];
+  return Array.from(new Set(locales.map((l) => String(l).trim()).filter(Boolean)));
+}
+
+export function defaultLocale(site) {
+  return site.defaultLocale || siteLocales(site)[0];
+}
+
+// The default locale is served from the root; every other locale gets a /<locale>/ prefix.
+export function localePath(site, urlPath, locale = site.locale) {
+  if (!urlPath?.startsWith("/") || !locale || locale === defaultLocale(site)) return urlPath;
+  return `/${locale}${urlPath}`;
+}
+
+// Link to another page of the site in the current locale.
+export function pageHref(site, urlPath) {
+  return withBase(site, localePath(site, urlPath));
+}
+
+// Looks a UI string up in the current catalog (already merged over the default
+// locale's) and fills `{name}` placeholders. Unknown keys render as the key.
+export function t(site, key, params = {}) {
+  const template = site.strings?.[key] ?? key;
+  return String(template).replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Catalog lookup for data values such as voice types ("voiceType.Soprano"),
+// falling back to the value itself.
+export function translateTerm(site, group, value) {
+  if (!value) return value;
+  return site.strings?.[`${group}.${value}`] ?? value;
+}
+
+// Overlays `record.translations[locale]` onto the record for the given fields;
+// anything missing or empty stays in the default language.
+export function localizeRecord(site, record, fields) {
+  const overrides = record?.translations?.[site.locale];
+  if (!overrides || site.locale === defaultLocale(site)) return record;
+  const localized = { ...record };
+  for (const field of fields) {
+    const value = overrides[field];
+    if (Array.isArray(value) ? value.length : typeof value === "string" ? value.trim() : value != null) {
+      localized[field] = value;
+    }
+  }
+  return localized;
+}
+
+export function localizeSite(site, { locale, catalogs }) {
+  const base = defaultLocale(site);
+  const localized = localizeRecord({ ...site, locale }, site, ["description", "tagline"]);
+  return {
+    ...localized,
+    locale,
+    strings: { ...catalogs.get(base), ...catalogs.get(locale) },
+    languageNames: Object.fromEntries(
+      siteLocales(site).map((l) => [l, catalogs.get(l)?.["language.name"] || l])
+    ),
+  };
+}
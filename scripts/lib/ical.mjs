@@ -0,0 +1,100 @@
+// Minimal RFC 5545 writer for all-day and timed events. The text escaping and
+// line folding are shared with the vCard writer (vcard.mjs), which uses the same rules.
+
+export function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Content lines are folded at 75 octets; continuation lines start with a space.
+export function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const length = Buffer.byteLength(char, "utf8");
+    if (size + length > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += length;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function icsDate(isoDate) {
+  return isoDate.replaceAll("-", "");
+}
+
+function nextDay(isoDate) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+// The UTC instant of a wall-clock time ("HH:MM") on `isoDate` in an IANA time
+// zone, as an iCalendar UTC date-time (20260412T173000Z). Writing UTC saves a
+// VTIMEZONE block per zone; every calendar app converts it back.
+export function zonedDateTime(isoDate, time, timeZone) {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const format = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+  });
+  const offsetAt = (instant) => {
+    const parts = Object.fromEntries(format.formatToParts(instant).map((part) => [part.type, Number(part.value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - instant;
+  };
+  // The offset is taken again at the first guess, which lands on the right
+  // side of a daylight saving change.
+  const instant = wall - offsetAt(wall - offsetAt(wall));
+  return `${new Date(instant).toISOString().replace(/[-:]/g, "").slice(0, 15)}Z`;
+}
+
+// `events`: [{ uid, date: "YYYY-MM-DD", time?: "HH:MM", timeZone?, summary,
+// location?, description?, url? }]. Events with a `time` (and its venue's
+// `timeZone`) start then and have no end; the rest are all-day.
+// `stamp` is the DTSTAMP for every event (YYYY-MM-DD); pass the build date so
+// unchanged feeds stay byte-identical within a day.
+export function renderCalendar({ prodId, name, stamp, events }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${prodId}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${icsDate(stamp)}T000000Z`,
+      ...(event.time
+        ? [`DTSTART:${zonedDateTime(event.date, event.time, event.timeZone)}`]
+        : [`DTSTART;VALUE=DATE:${icsDate(event.date)}`, `DTEND;VALUE=DATE:${icsDate(nextDay(event.date))}`]),
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
@@ -0,0 +1,974 @@
+import zlib from "node:zlib";
+
+// Dependency-free image handling for headshots: JPEG (baseline and progressive)
+// and PNG decoding, crop, resize and JPEG/PNG encoding. Images are
+// { width, height, data } with `data` as 8-bit RGB rows; alpha is flattened
+// onto white, since headshots end up as JPEGs.
+
+// Type and pixel size from the file header, without decoding. JPEG sizes are
+// as displayed, i.e. after the EXIF orientation decodeJpeg applies (5–8 turn
+// the image a quarter, swapping width and height).
+export function imageInfo(buf) {
+  if (buf.length > 24 && buf.readUInt32BE(0) === 0x89504e47) {
+    return { type: "image/png", width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+  if (buf.length > 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+    let offset = 2;
+    let orientation = 1;
+    while (offset + 9 < buf.length) {
+      if (buf[offset] !== 0xff) return null;
+      const marker = buf[offset + 1];
+      const length = buf.readUInt16BE(offset + 2);
+      if (marker === 0xe1) orientation = exifOrientation(buf.subarray(offset + 4, offset + 2 + length));
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isStartOfFrame) {
+        const width = buf.readUInt16BE(offset + 7);
+        const height = buf.readUInt16BE(offset + 5);
+        return orientation >= 5 ? { type: "image/jpeg", width: height, height: width } : { type: "image/jpeg", width, height };
+      }
+      offset += 2 + length;
+    }
+  }
+  return null;
+}
+
+export function decodeImage(buf) {
+  const info = imageInfo(buf);
+  if (info?.type === "image/png") return decodePng(buf);
+  if (info?.type === "image/jpeg") return decodeJpeg(buf);
+  throw new Error("Unsupported image format (expected JPEG or PNG)");
+}
+
+export function createImage(width, height) {
+  return { width, height, data: new Uint8Array(width * height * 3) };
+}
+
+// ---------------------------------------------------------------------------
+// JPEG decoding (ITU T.81: baseline and progressive Huffman, 8-bit samples)
+
+const ZIGZAG = new Int32Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5, 12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51, 58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47,
+  55, 62, 63,
+]);
+
+// DCT basis: COS[u * 8 + x] = c(u) / 2 * cos((2x + 1)uπ / 16), so the 2-D DCT is
+// COS · block · COSᵀ and its inverse COSᵀ · coefficients · COS.
+const COS = new Float64Array(64);
+for (let u = 0; u < 8; u++) {
+  for (let x = 0; x < 8; x++) {
+    COS[u * 8 + x] = (u === 0 ? Math.SQRT1_2 : 1) * 0.5 * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+  }
+}
+
+function buildHuffmanTable(counts, symbols) {
+  const maxcode = new Int32Array(17).fill(-1);
+  const valptr = new Int32Array(17);
+  const mincode = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    valptr[length] = k;
+    mincode[length] = code;
+    code += counts[length - 1];
+    k += counts[length - 1];
+    if (counts[length - 1]) maxcode[length] = code - 1;
+    code <<= 1;
+  }
+  return { maxcode, valptr, mincode, symbols };
+}
+
+class BitReader {
+  constructor(data, pos) {
+    this.data = data;
+    this.pos = pos;
+    this.byte = 0;
+    this.bits = 0;
+    this.atMarker = false;
+  }
+
+  bit() {
+    if (this.bits === 0) {
+      let byte = 0;
+      if (!this.atMarker && this.pos < this.data.length) {
+        byte = this.data[this.pos++];
+        if (byte === 0xff) {
+          const next = this.data[this.pos];
+          if (next === 0) this.pos++;
+          else {
+            // A marker ends the entropy-coded data; the rest reads as zeros.
+            this.atMarker = true;
+            this.pos--;
+            byte = 0;
+          }
+        }
+      }
+      this.byte = byte;
+      this.bits = 8;
+    }
+    this.bits--;
+    return (this.byte >> this.bits) & 1;
+  }
+
+  receive(length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = (value << 1) | this.bit();
+    return value;
+  }
+
+  receiveExtend(length) {
+    if (length === 0) return 0;
+    const value = this.receive(length);
+    return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+  }
+
+  decode(table) {
+    let code = 0;
+    for (let length = 1; length <= 16; length++) {
+      code = (code << 1) | this.bit();
+      if (code <= table.maxcode[length]) return table.symbols[table.valptr[length] + code - table.mincode[length]];
+    }
+    throw new Error("Corrupt JPEG: invalid Huffman code");
+  }
+
+  // Skips to just past the next RSTn marker.
+  restart() {
+    this.bits = 0;
+    this.atMarker = false;
+    const { data } = this;
+    while (this.pos + 1 < data.length && !(data[this.pos] === 0xff && data[this.pos + 1] >= 0xd0 && data[this.pos + 1] <= 0xd7)) {
+      this.pos++;
+    }
+    this.pos += 2;
+  }
+}
+
+function decodeScan(reader, frame, components, { restartInterval, ss, se, ah, al }) {
+  let eobrun = 0;
+
+  function baseline(c, coeffs, offset) {
+    const t = reader.decode(c.dcTable);
+    c.pred += reader.receiveExtend(t);
+    coeffs[offset] = c.pred;
+    for (let k = 1; k < 64; ) {
+      const rs = reader.decode(c.acTable);
+      const s = rs & 15;
+      const r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) break;
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) break;
+      coeffs[offset + ZIGZAG[k]] = reader.receiveExtend(s);
+      k++;
+    }
+  }
+
+  function dcFirst(c, coeffs, offset) {
+    const t = reader.decode(c.dcTable);
+    c.pred += reader.receiveExtend(t);
+    coeffs[offset] = c.pred * (1 << al);
+  }
+
+  function dcRefine(c, coeffs, offset) {
+    if (reader.bit()) coeffs[offset] |= 1 << al;
+  }
+
+  function acFirst(c, coeffs, offset) {
+    if (eobrun > 0) {
+      eobrun--;
+      return;
+    }
+    for (let k = ss; k <= se; ) {
+      const rs = reader.decode(c.acTable);
+      const s = rs & 15;
+      const r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) {
+          eobrun = (1 << r) - 1;
+          if (r) eobrun += reader.receive(r);
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) break;
+      coeffs[offset + ZIGZAG[k]] = reader.receiveExtend(s) * (1 << al);
+      k++;
+    }
+  }
+
+  // Successive approximation for AC coefficients (G.1.2.3), as in libjpeg.
+  function acRefine(c, coeffs, offset) {
+    const p1 = 1 << al;
+    const m1 = -1 << al;
+    let k = ss;
+    const refine = (z) => {
+      if (reader.bit() && (coeffs[z] & p1) === 0) coeffs[z] += coeffs[z] >= 0 ? p1 : m1;
+    };
+    if (eobrun <= 0) {
+      for (; k <= se; k++) {
+        const rs = reader.decode(c.acTable);
+        let r = rs >> 4;
+        let value = 0;
+        if (rs & 15) {
+          value = reader.bit() ? p1 : m1;
+        } else if (r !== 15) {
+          eobrun = 1 << r;
+          if (r) eobrun += reader.receive(r);
+          break;
+        }
+        for (; k <= se; k++) {
+          const z = offset + ZIGZAG[k];
+          if (coeffs[z] !== 0) refine(z);
+          else if (--r < 0) break;
+        }
+        if (value && k <= se) coeffs[offset + ZIGZAG[k]] = value;
+      }
+    }
+    if (eobrun > 0) {
+      for (; k <= se; k++) {
+        const z = offset + ZIGZAG[k];
+        if (coeffs[z] !== 0) refine(z);
+      }
+      eobrun--;
+    }
+  }
+
+  let decodeBlock = baseline;
+  if (frame.progressive) {
+    if (ss === 0) decodeBlock = ah === 0 ? dcFirst : dcRefine;
+    else decodeBlock = ah === 0 ? acFirst : acRefine;
+  }
+
+  for (const c of components) c.pred = 0;
+  const single = components.length === 1;
+  const total = single
+    ? components[0].blocksPerLine * components[0].blocksPerColumn
+    : frame.mcusPerLine * frame.mcusPerColumn;
+  for (let n = 0; n < total; n++) {
+    if (restartInterval && n > 0 && n % restartInterval === 0) {
+      reader.restart();
+      for (const c of components) c.pred = 0;
+      eobrun = 0;
+    }
+    if (single) {
+      const c = components[0];
+      const row = Math.floor(n / c.blocksPerLine);
+      const col = n % c.blocksPerLine;
+      decodeBlock(c, c.coeffs, (row * c.blocksPerLineForMcu + col) * 64);
+    } else {
+      const mcuRow = Math.floor(n / frame.mcusPerLine);
+      const mcuCol = n % frame.mcusPerLine;
+      for (const c of components) {
+        for (let y = 0; y < c.v; y++) {
+          for (let x = 0; x < c.h; x++) {
+            const row = mcuRow * c.v + y;
+            const col = mcuCol * c.h + x;
+            decodeBlock(c, c.coeffs, (row * c.blocksPerLineForMcu + col) * 64);
+          }
+        }
+      }
+    }
+  }
+}
+
+// Dequantizes and inverse-transforms every block of a component into an 8-bit plane.
+function componentPlane(c) {
+  const stride = c.blocksPerLineForMcu * 8;
+  const plane = new Uint8Array(stride * c.blocksPerColumnForMcu * 8);
+  const block = new Float64Array(64);
+  const tmp = new Float64Array(64);
+  const q = c.quantTable;
+  for (let row = 0; row < c.blocksPerColumnForMcu; row++) {
+    for (let col = 0; col < c.blocksPerLineForMcu; col++) {
+      const offset = (row * c.blocksPerLineForMcu + col) * 64;
+      for (let i = 0; i < 64; i++) block[i] = c.coeffs[offset + i] * q[i];
+      // tmp = COSᵀ · block, then out = tmp · COS
+      for (let y = 0; y < 8; y++) {
+        for (let v = 0; v < 8; v++) {
+          let sum = 0;
+          for (let u = 0; u < 8; u++) sum += COS[u * 8 + y] * block[u * 8 + v];
+          tmp[y * 8 + v] = sum;
+        }
+      }
+      for (let y = 0; y < 8; y++) {
+        const out = (row * 8 + y) * stride + col * 8;
+        for (let x = 0; x < 8; x++) {
+          let sum = 0;
+          for (let v = 0; v < 8; v++) sum += tmp[y * 8 + v] * COS[v * 8 + x];
+          const value = Math.round(sum + 128);
+          plane[out + x] = value < 0 ? 0 : value > 255 ? 255 : value;
+        }
+      }
+    }
+  }
+  return { plane, stride };
+}
+
+// EXIF orientation (1–8) from an APP1 segment, or 1.
+function exifOrientation(segment) {
+  if (segment.length < 14 || segment.toString("latin1", 0, 6) !== "Exif\0\0") return 1;
+  const tiff = 6;
+  const little = segment[tiff] === 0x49;
+  const u16 = (at) => (little ? segment.readUInt16LE(at) : segment.readUInt16BE(at));
+  const u32 = (at) => (little ? segment.readUInt32LE(at) : segment.readUInt32BE(at));
+  const ifd = tiff + u32(tiff + 4);
+  if (ifd + 2 > segment.length) return 1;
+  const count = u16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > segment.length) break;
+    if (u16(entry) === 0x0112) {
+      const value = u16(entry + 8);
+      return value >= 1 && value <= 8 ? value : 1;
+    }
+  }
+  return 1;
+}
+
+function applyOrientation(image, orientation) {
+  if (orientation === 1) return image;
+  const { width: w, height: h, data } = image;
+  const swap = orientation >= 5;
+  const out = createImage(swap ? h : w, swap ? w : h);
+  const source = {
+    2: (x, y) => [w - 1 - x, y],
+    3: (x, y) => [w - 1 - x, h - 1 - y],
+    4: (x, y) => [x, h - 1 - y],
+    5: (x, y) => [y, x],
+    6: (x, y) => [y, h - 1 - x],
+    7: (x, y) => [w - 1 - y, h - 1 - x],
+    8: (x, y) => [w - 1 - y, x],
+  }[orientation];
+  for (let y = 0; y < out.height; y++) {
+    for (let x = 0; x < out.width; x++) {
+      const [sx, sy] = source(x, y);
+      const from = (sy * w + sx) * 3;
+      const to = (y * out.width + x) * 3;
+      out.data[to] = data[from];
+      out.data[to + 1] = data[from + 1];
+      out.data[to + 2] = data[from + 2];
+    }
+  }
+  return out;
+}
+
+export function decodeJpeg(buf) {
+  const quantTables = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = -1;
+  let orientation = 1;
+  let pos = 2;
+
+  while (pos < buf.length) {
+    if (buf[pos] !== 0xff) {
+      pos++;
+      continue;
+    }
+    const marker = buf[pos + 1];
+    if (marker === 0xff || marker === 0x00 || (marker >= 0xd0 && marker <= 0xd7)) {
+      pos++;
+      continue;
+    }
+    if (marker === 0xd9) break;
+    const length = buf.readUInt16BE(pos + 2);
+    const start = pos + 4;
+    const end = pos + 2 + length;
+    const segment = buf.subarray(start, end);
+    pos = end;
+
+    if (marker === 0xe1) orientation = exifOrientation(segment);
+    else if (marker === 0xee && segment.toString("latin1", 0, 5) === "Adobe") adobeTransform = segment[11];
+    else if (marker === 0xdb) {
+      for (let i = 0; i < segment.length; ) {
+        const precision = segment[i] >> 4;
+        const id = segment[i] & 15;
+        const table = new Int32Array(64);
+        for (let k = 0; k < 64; k++) {
+          table[ZIGZAG[k]] = precision ? segment.readUInt16BE(i + 1 + k * 2) : segment[i + 1 + k];
+        }
+        quantTables[id] = table;
+        i += 1 + 64 * (precision ? 2 : 1);
+      }
+    } else if (marker === 0xc4) {
+      for (let i = 0; i < segment.length; ) {
+        const tableClass = segment[i] >> 4;
+        const id = segment[i] & 15;
+        const counts = segment.subarray(i + 1, i + 17);
+        const total = counts.reduce((sum, n) => sum + n, 0);
+        const table = buildHuffmanTable(counts, segment.subarray(i + 17, i + 17 + total));
+        (tableClass === 0 ? dcTables : acTables)[id] = table;
+        i += 17 + total;
+      }
+    } else if (marker === 0xdd) {
+      restartInterval = segment.readUInt16BE(0);
+    } else if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+      if (segment[0] !== 8) throw new Error(`Unsupported JPEG sample precision: ${segment[0]} bits`);
+      const height = segment.readUInt16BE(1);
+      const width = segment.readUInt16BE(3);
+      if (!width || !height) throw new Error("Unsupported JPEG: image size is not in the frame header");
+      const components = [];
+      for (let i = 0; i < segment[5]; i++) {
+        const at = 6 + i * 3;
+        components.push({ id: segment[at], h: segment[at + 1] >> 4, v: segment[at + 1] & 15, tq: segment[at + 2] });
+      }
+      const maxH = Math.max(...components.map((c) => c.h));
+      const maxV = Math.max(...components.map((c) => c.v));
+      const mcusPerLine = Math.ceil(width / (8 * maxH));
+      const mcusPerColumn = Math.ceil(height / (8 * maxV));
+      for (const c of components) {
+        c.blocksPerLine = Math.ceil(Math.ceil((width * c.h) / maxH) / 8);
+        c.blocksPerColumn = Math.ceil(Math.ceil((height * c.v) / maxV) / 8);
+        c.blocksPerLineForMcu = mcusPerLine * c.h;
+        c.blocksPerColumnForMcu = mcusPerColumn * c.v;
+        c.coeffs = new Int16Array(c.blocksPerLineForMcu * c.blocksPerColumnForMcu * 64);
+      }
+      frame = { progressive: marker === 0xc2, width, height, components, maxH, maxV, mcusPerLine, mcusPerColumn };
+    } else if (marker >= 0xc3 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      throw new Error("Unsupported JPEG: lossless, hierarchical and arithmetic-coded JPEGs cannot be decoded");
+    } else if (marker === 0xda) {
+      if (!frame) throw new Error("Corrupt JPEG: scan before frame header");
+      const components = [];
+      for (let i = 0; i < segment[0]; i++) {
+        const c = frame.components.find((fc) => fc.id === segment[1 + i * 2]);
+        if (!c) throw new Error("Corrupt JPEG: scan refers to an unknown component");
+        c.dcTable = dcTables[segment[2 + i * 2] >> 4];
+        c.acTable = acTables[segment[2 + i * 2] & 15];
+        components.push(c);
+      }
+      const at = 1 + segment[0] * 2;
+      const reader = new BitReader(buf, end);
+      decodeScan(reader, frame, components, {
+        restartInterval,
+        ss: segment[at],
+        se: segment[at + 1],
+        ah: segment[at + 2] >> 4,
+        al: segment[at + 2] & 15,
+      });
+      // Continue with the next marker that isn't part of the entropy-coded data.
+      pos = reader.pos;
+      while (pos + 1 < buf.length && !(buf[pos] === 0xff && buf[pos + 1] !== 0 && !(buf[pos + 1] >= 0xd0 && buf[pos + 1] <= 0xd7))) pos++;
+    }
+  }
+
+  if (!frame) throw new Error("Corrupt JPEG: no frame header");
+  const { width, height, components, maxH, maxV } = frame;
+  if (components.length !== 1 && components.length !== 3) {
+    throw new Error(`Unsupported JPEG: ${components.length} colour components (CMYK JPEGs cannot be decoded)`);
+  }
+  const planes = components.map((c) => {
+    c.quantTable = quantTables[c.tq];
+    if (!c.quantTable) throw new Error("Corrupt JPEG: missing quantization table");
+    return { ...componentPlane(c), h: c.h, v: c.v };
+  });
+  // Adobe transform 0, or components named R/G/B, means the samples are already RGB.
+  const isRgb = adobeTransform === 0 || components.map((c) => c.id).join() === "82,71,66";
+
+  const image = createImage(width, height);
+  const { data } = image;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const samples = planes.map((p) => p.plane[Math.floor((y * p.v) / maxV) * p.stride + Math.floor((x * p.h) / maxH)]);
+      const out = (y * width + x) * 3;
+      if (samples.length === 1) {
+        data[out] = data[out + 1] = data[out + 2] = samples[0];
+      } else if (isRgb) {
+        data[out] = samples[0];
+        data[out + 1] = samples[1];
+        data[out + 2] = samples[2];
+      } else {
+        const [Y, cb, cr] = samples;
+        data[out] = clamp(Y + 1.402 * (cr - 128));
+        data[out + 1] = clamp(Y - 0.344136 * (cb - 128) - 0.714136 * (cr - 128));
+        data[out + 2] = clamp(Y + 1.772 * (cb - 128));
+      }
+    }
+  }
+  return applyOrientation(image, orientation);
+}
+
+function clamp(value) {
+  const rounded = Math.round(value);
+  return rounded < 0 ? 0 : rounded > 255 ? 255 : rounded;
+}
+
+// ---------------------------------------------------------------------------
+// PNG decoding (non-interlaced; any bit depth and colour type)
+
+export function decodePng(buf) {
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  for (let pos = 8; pos + 8 <= buf.length; ) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString("latin1", pos + 4, pos + 8);
+    const body = buf.subarray(pos + 8, pos + 8 + length);
+    pos += 12 + length;
+    if (type === "IHDR") {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        depth: body[8],
+        colorType: body[9],
+        interlace: body[12],
+      };
+    } else if (type === "PLTE") palette = body;
+    else if (type === "tRNS") transparency = body;
+    else if (type === "IDAT") idat.push(body);
+    else if (type === "IEND") break;
+  }
+  if (!header) throw new Error("Corrupt PNG: missing IHDR");
+  if (header.interlace) throw new Error("Unsupported PNG: interlaced (Adam7) images cannot be decoded; re-save without interlacing");
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+  if (!channels) throw new Error(`Corrupt PNG: unknown colour type ${header.colorType}`);
+  if (header.colorType === 3 && !palette) throw new Error("Corrupt PNG: palette image without PLTE");
+
+  const { width, height, depth, colorType } = header;
+  const bitsPerPixel = channels * depth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  if (raw.length < (stride + 1) * height) throw new Error("Corrupt PNG: image data is truncated");
+
+  const image = createImage(width, height);
+  const max = (1 << depth) - 1;
+  let previous = new Uint8Array(stride);
+  let current = new Uint8Array(stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    for (let i = 0; i < stride; i++) {
+      const a = i >= bytesPerPixel ? current[i - bytesPerPixel] : 0;
+      const b = previous[i];
+      const c = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      let predictor = 0;
+      if (filter === 1) predictor = a;
+      else if (filter === 2) predictor = b;
+      else if (filter === 3) predictor = (a + b) >> 1;
+      else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        predictor = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      } else if (filter !== 0) throw new Error(`Corrupt PNG: unknown filter type ${filter}`);
+      current[i] = (line[i] + predictor) & 0xff;
+    }
+
+    // Samples are scaled to 8 bits (16-bit images keep the high byte).
+    const sample = (x, channel) => {
+      const index = x * channels + channel;
+      if (depth === 8) return current[index];
+      if (depth === 16) return current[index * 2];
+      const bit = index * depth;
+      return (current[bit >> 3] >> (8 - depth - (bit & 7))) & max;
+    };
+    for (let x = 0; x < width; x++) {
+      let r;
+      let g;
+      let b;
+      let alpha = 255;
+      if (colorType === 3) {
+        const index = sample(x, 0);
+        r = palette[index * 3];
+        g = palette[index * 3 + 1];
+        b = palette[index * 3 + 2];
+        if (transparency && index < transparency.length) alpha = transparency[index];
+      } else if (colorType === 0 || colorType === 4) {
+        const gray = depth < 8 ? Math.round((sample(x, 0) * 255) / max) : sample(x, 0);
+        r = g = b = gray;
+        if (colorType === 4) alpha = sample(x, 1);
+      } else {
+        r = sample(x, 0);
+        g = sample(x, 1);
+        b = sample(x, 2);
+        if (colorType === 6) alpha = sample(x, 3);
+      }
+      const out = (y * width + x) * 3;
+      if (alpha === 255) {
+        image.data[out] = r;
+        image.data[out + 1] = g;
+        image.data[out + 2] = b;
+      } else {
+        image.data[out] = clamp((r * alpha + 255 * (255 - alpha)) / 255);
+        image.data[out + 1] = clamp((g * alpha + 255 * (255 - alpha)) / 255);
+        image.data[out + 2] = clamp((b * alpha + 255 * (255 - alpha)) / 255);
+      }
+    }
+    [previous, current] = [current, previous];
+  }
+  return image;
+}
+
+// ---------------------------------------------------------------------------
+// Crop and resize
+
+export function crop(image, { x, y, width, height }) {
+  if (x < 0 || y < 0 || width < 1 || height < 1 || x + width > image.width || y + height > image.height) {
+    throw new Error(`Crop ${width}x${height}+${x}+${y} is outside the ${image.width}x${image.height} image`);
+  }
+  const out = createImage(width, height);
+  for (let row = 0; row < height; row++) {
+    const from = ((y + row) * image.width + x) * 3;
+    out.data.set(image.data.subarray(from, from + width * 3), row * width * 3);
+  }
+  return out;
+}
+
+function lanczos3(x) {
+  if (x === 0) return 1;
+  if (x <= -3 || x >= 3) return 0;
+  const px = Math.PI * x;
+  return (3 * Math.sin(px) * Math.sin(px / 3)) / (px * px);
+}
+
+// Per output pixel: the first input pixel and the normalized filter weights.
+// The filter is widened when shrinking so every input pixel contributes.
+function resampleWeights(inSize, outSize) {
+  const scale = inSize / outSize;
+  const filterScale = Math.max(1, scale);
+  const support = 3 * filterScale;
+  return Array.from({ length: outSize }, (_, i) => {
+    const center = (i + 0.5) * scale;
+    const start = Math.max(0, Math.floor(center - support));
+    const end = Math.min(inSize, Math.ceil(center + support));
+    const weights = new Float64Array(end - start);
+    let total = 0;
+    for (let j = start; j < end; j++) {
+      const weight = lanczos3((j + 0.5 - center) / filterScale);
+      weights[j - start] = weight;
+      total += weight;
+    }
+    for (let j = 0; j < weights.length; j++) weights[j] /= total;
+    return { start, weights };
+  });
+}
+
+export function resize(image, width, height) {
+  if (width === image.width && height === image.height) return image;
+  const horizontal = resampleWeights(image.width, width);
+  const vertical = resampleWeights(image.height, height);
+  const tmp = new Float32Array(width * image.height * 3);
+  for (let y = 0; y < image.height; y++) {
+    const row = y * image.width;
+    for (let x = 0; x < width; x++) {
+      const { start, weights } = horizontal[x];
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const from = (row + start + k) * 3;
+        r += image.data[from] * weights[k];
+        g += image.data[from + 1] * weights[k];
+        b += image.data[from + 2] * weights[k];
+      }
+      const to = (y * width + x) * 3;
+      tmp[to] = r;
+      tmp[to + 1] = g;
+      tmp[to + 2] = b;
+    }
+  }
+  const out = createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    const { start, weights } = vertical[y];
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const from = ((start + k) * width + x) * 3;
+        r += tmp[from] * weights[k];
+        g += tmp[from + 1] * weights[k];
+        b += tmp[from + 2] * weights[k];
+      }
+      const to = (y * width + x) * 3;
+      out.data[to] = clamp(r);
+      out.data[to + 1] = clamp(g);
+      out.data[to + 2] = clamp(b);
+    }
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// JPEG encoding (baseline, 4:2:0, the example tables from ITU T.81 Annex K)
+
+const LUMA_QUANT = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55, 14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87,
+  80, 62, 18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92, 49, 64, 78, 87, 103, 121, 120, 101, 72, 92,
+  95, 98, 112, 100, 103, 99,
+];
+const CHROMA_QUANT = [
+  17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99, 24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99,
+  99, 99, ...new Array(32).fill(99),
+];
+
+const DC_SYMBOLS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+const HUFFMAN_SPECS = {
+  dcLuma: { counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0], symbols: DC_SYMBOLS },
+  dcChroma: { counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0], symbols: DC_SYMBOLS },
+  acLuma: {
+    counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+    symbols: [
+      0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07, 0x22, 0x71, 0x14,
+      0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0, 0x24, 0x33, 0x62, 0x72, 0x82, 0x09,
+      0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28, 0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a,
+      0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65,
+      0x66, 0x67, 0x68, 0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88,
+      0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7, 0xa8, 0xa9,
+      0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca,
+      0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea,
+      0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8, 0xf9, 0xfa,
+    ],
+  },
+  acChroma: {
+    counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+    symbols: [
+      0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71, 0x13, 0x22, 0x32,
+      0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0, 0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16,
+      0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26, 0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39,
+      0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64,
+      0x65, 0x66, 0x67, 0x68, 0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86,
+      0x87, 0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+      0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5, 0xc6, 0xc7, 0xc8,
+      0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9,
+      0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8, 0xf9, 0xfa,
+    ],
+  },
+};
+
+function huffmanCodes({ counts, symbols }) {
+  const codes = new Int32Array(256);
+  const lengths = new Int32Array(256);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < counts[length - 1]; i++) {
+      codes[symbols[k]] = code++;
+      lengths[symbols[k]] = length;
+      k++;
+    }
+    code <<= 1;
+  }
+  return { codes, lengths };
+}
+
+// libjpeg's quality scaling: 50 keeps the example tables, 100 makes every step 1.
+function scaleQuant(table, quality) {
+  const q = Math.max(1, Math.min(100, Math.round(quality)));
+  const scale = q < 50 ? 5000 / q : 200 - q * 2;
+  return table.map((value) => Math.max(1, Math.min(255, Math.floor((value * scale + 50) / 100))));
+}
+
+class BitWriter {
+  constructor(size) {
+    this.bytes = new Uint8Array(size);
+    this.length = 0;
+    this.buffer = 0;
+    this.count = 0;
+  }
+
+  byte(value) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = value;
+  }
+
+  write(value, length) {
+    for (let i = length - 1; i >= 0; i--) {
+      this.buffer = (this.buffer << 1) | ((value >> i) & 1);
+      if (++this.count === 8) {
+        this.byte(this.buffer);
+        if (this.buffer === 0xff) this.byte(0); // byte stuffing
+        this.buffer = 0;
+        this.count = 0;
+      }
+    }
+  }
+
+  // Pads the last byte with 1 bits.
+  flush() {
+    if (this.count) this.write((1 << (8 - this.count)) - 1, 8 - this.count);
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+function segment(marker, body) {
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xff00 | marker, 0);
+  header.writeUInt16BE(body.length + 2, 2);
+  return Buffer.concat([header, Buffer.from(body)]);
+}
+
+export function encodeJpeg(image, { quality = 85 } = {}) {
+  const { width, height, data } = image;
+  const quant = [scaleQuant(LUMA_QUANT, quality), scaleQuant(CHROMA_QUANT, quality)];
+  const dc = [huffmanCodes(HUFFMAN_SPECS.dcLuma), huffmanCodes(HUFFMAN_SPECS.dcChroma)];
+  const ac = [huffmanCodes(HUFFMAN_SPECS.acLuma), huffmanCodes(HUFFMAN_SPECS.acChroma)];
+  const writer = new BitWriter(Math.max(1024, width * height));
+  const block = new Float64Array(64);
+  const tmp = new Float64Array(64);
+  const predictions = [0, 0, 0];
+
+  const emit = ({ codes, lengths }, symbol) => writer.write(codes[symbol], lengths[symbol]);
+  const category = (value) => (value === 0 ? 0 : 32 - Math.clz32(Math.abs(value)));
+
+  function encodeBlock(componentIndex, table) {
+    // coefficients = COS · block · COSᵀ
+    for (let u = 0; u < 8; u++) {
+      for (let x = 0; x < 8; x++) {
+        let sum = 0;
+        for (let y = 0; y < 8; y++) sum += COS[u * 8 + y] * block[y * 8 + x];
+        tmp[u * 8 + x] = sum;
+      }
+    }
+    const q = quant[table];
+    const coeffs = new Int32Array(64);
+    for (let u = 0; u < 8; u++) {
+      for (let v = 0; v < 8; v++) {
+        let sum = 0;
+        for (let x = 0; x < 8; x++) sum += tmp[u * 8 + x] * COS[v * 8 + x];
+        coeffs[u * 8 + v] = Math.round(sum / q[u * 8 + v]);
+      }
+    }
+
+    const diff = coeffs[0] - predictions[componentIndex];
+    predictions[componentIndex] = coeffs[0];
+    const size = category(diff);
+    emit(dc[table], size);
+    if (size) writer.write(diff < 0 ? diff - 1 : diff, size);
+
+    let run = 0;
+    for (let k = 1; k < 64; k++) {
+      const value = coeffs[ZIGZAG[k]];
+      if (value === 0) {
+        run++;
+        continue;
+      }
+      while (run > 15) {
+        emit(ac[table], 0xf0);
+        run -= 16;
+      }
+      const bits = category(value);
+      emit(ac[table], (run << 4) | bits);
+      writer.write(value < 0 ? value - 1 : value, bits);
+      run = 0;
+    }
+    if (run) emit(ac[table], 0x00);
+  }
+
+  const pixel = (x, y) => (Math.min(y, height - 1) * width + Math.min(x, width - 1)) * 3;
+  const luma = (i) => 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  const cb = (i) => -0.168736 * data[i] - 0.331264 * data[i + 1] + 0.5 * data[i + 2] + 128;
+  const cr = (i) => 0.5 * data[i] - 0.418688 * data[i + 1] - 0.081312 * data[i + 2] + 128;
+
+  for (let my = 0; my < height; my += 16) {
+    for (let mx = 0; mx < width; mx += 16) {
+      for (const [bx, by] of [[0, 0], [8, 0], [0, 8], [8, 8]]) {
+        for (let y = 0; y < 8; y++) {
+          for (let x = 0; x < 8; x++) block[y * 8 + x] = luma(pixel(mx + bx + x, my + by + y)) - 128;
+        }
+        encodeBlock(0, 0);
+      }
+      // Chroma is averaged over 2×2 pixels.
+      for (const [componentIndex, convert] of [[1, cb], [2, cr]]) {
+        for (let y = 0; y < 8; y++) {
+          for (let x = 0; x < 8; x++) {
+            const px = mx + x * 2;
+            const py = my + y * 2;
+            block[y * 8 + x] =
+              (convert(pixel(px, py)) + convert(pixel(px + 1, py)) + convert(pixel(px, py + 1)) + convert(pixel(px + 1, py + 1))) / 4 - 128;
+          }
+        }
+        encodeBlock(componentIndex, 1);
+      }
+    }
+  }
+
+  const zigzag = (table) => Array.from(ZIGZAG, (index) => table[index]);
+  const huffmanSegment = (tableClass, id, { counts, symbols }) => [(tableClass << 4) | id, ...counts, ...symbols];
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    segment(0xe0, [0x4a, 0x46, 0x49, 0x46, 0x00, 1, 1, 0, 0, 1, 0, 1, 0, 0]),
+    segment(0xdb, [0, ...zigzag(quant[0]), 1, ...zigzag(quant[1])]),
+    segment(0xc0, [8, height >> 8, height & 255, width >> 8, width & 255, 3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1]),
+    segment(0xc4, [
+      ...huffmanSegment(0, 0, HUFFMAN_SPECS.dcLuma),
+      ...huffmanSegment(1, 0, HUFFMAN_SPECS.acLuma),
+      ...huffmanSegment(0, 1, HUFFMAN_SPECS.dcChroma),
+      ...huffmanSegment(1, 1, HUFFMAN_SPECS.acChroma),
+    ]),
+    segment(0xda, [3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0]),
+    Buffer.from(writer.flush()),
+    Buffer.from([0xff, 0xd9]),
+  ]);
+}
+
+// ---------------------------------------------------------------------------
+// PNG encoding (8-bit RGB)
+
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  CRC_TABLE[n] = c;
+}
+
+function crc32(bytes) {
+  let crc = -1;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+function chunk(type, body) {
+  const out = Buffer.alloc(12 + body.length);
+  out.writeUInt32BE(body.length, 0);
+  out.write(type, 4, "latin1");
+  body.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + body.length)), 8 + body.length);
+  return out;
+}
+
+export function encodePng(image) {
+  const { width, height, data } = image;
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  // Each row uses the Paeth filter, which suits photographs.
+  for (let y = 0; y < height; y++) {
+    const row = y * (stride + 1);
+    raw[row] = 4;
+    for (let i = 0; i < stride; i++) {
+      const at = y * stride + i;
+      const a = i >= 3 ? data[at - 3] : 0;
+      const b = y ? data[at - stride] : 0;
+      const c = i >= 3 && y ? data[at - stride - 3] : 0;
+      const p = a + b - c;
+      const pa = Math.abs(p - a);
+      const pb = Math.abs(p - b);
+      const pc = Math.abs(p - c);
+      raw[row + 1 + i] = (data[at] - (pa <= pb && pa <= pc ? a : pb <= pc ? b : c)) & 0xff;
+    }
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header),
+    chunk("IDAT", zlib.deflateSync(raw, { level: 9 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
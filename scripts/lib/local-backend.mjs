@@ -0,0 +1,210 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// The file-system half of Decap CMS's local backend protocol (what
+// `npx decap-server` does with MODE=fs), so the dev server can answer the CMS
+// itself. Every request is a JSON `{ action, params }`; paths are relative to
+// the project.
+
+// The only files the CMS may read or write: the data files, the biographies
+// and uploaded headshots. Paths are checked after resolving `..` and symlinks.
+const EDITABLE = [
+  { dir: "data", name: /^[a-z0-9-]+\.json$/ },
+  { dir: "bios", name: /^[a-z0-9]+(?:-[a-z0-9]+)*\.md$/ },
+  { dir: "src/assets/people", name: /^[^./\\][^/\\]*\.(?:jpe?g|png|webp|avif|gif|svg)$/i },
+];
+
+// Errors meant for the CMS carry the HTTP status to answer with.
+function refused(message, status = 422) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sha(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+export function createCmsBackend(rootDir) {
+  const root = path.resolve(rootDir);
+
+  // Resolves a CMS path to an absolute one, or throws if it is outside the
+  // allowed folders (or reaches outside them through a symlink).
+  async function resolvePath(relPath, { dirOnly = false } = {}) {
+    if (typeof relPath !== "string" || !relPath || relPath.includes("\0")) {
+      throw refused(`Invalid path: ${JSON.stringify(relPath)}`);
+    }
+    const absolute = path.resolve(root, relPath);
+    const rel = path.relative(root, absolute).split(path.sep).join("/");
+    const dir = dirOnly ? rel : path.posix.dirname(rel);
+    const rule = EDITABLE.find((r) => r.dir === dir);
+    if (!rule || (!dirOnly && !rule.name.test(path.posix.basename(rel)))) {
+      throw refused(`Not allowed: ${relPath}`, 403);
+    }
+    const realRoot = await fs.realpath(root);
+    const realDir = await fs.realpath(path.join(root, dir)).catch(() => "");
+    if (realDir !== path.join(realRoot, dir)) throw refused(`Not allowed: ${relPath}`, 403);
+    if (!dirOnly) {
+      const stat = await fs.lstat(absolute).catch(() => null);
+      if (stat?.isSymbolicLink()) throw refused(`Not allowed: ${relPath}`, 403);
+    }
+    return { absolute, rel };
+  }
+
+  async function readEntry(relPath) {
+    const { absolute, rel } = await resolvePath(relPath);
+    const content = await fs.readFile(absolute);
+    return { data: content.toString("utf8"), file: { path: rel, id: sha(content) } };
+  }
+
+  async function readMedia(relPath) {
+    const { absolute, rel } = await resolvePath(relPath);
+    const content = await fs.readFile(absolute);
+    return { id: sha(content), content: content.toString("base64"), encoding: "base64", path: rel, name: path.basename(rel) };
+  }
+
+  async function writeFile(relPath, content) {
+    const { absolute } = await resolvePath(relPath);
+    await fs.writeFile(absolute, content);
+  }
+
+  async function deleteFile(relPath) {
+    const { absolute } = await resolvePath(relPath);
+    await fs.rm(absolute, { force: true });
+  }
+
+  // Files directly in `folder` (Decap's collections here are all one level deep).
+  async function listFolder(folder, { extension = "" } = {}) {
+    const { absolute, rel } = await resolvePath(folder, { dirOnly: true });
+    const entries = await fs.readdir(absolute, { withFileTypes: true }).catch(() => []);
+    return entries
+      .filter((e) => e.isFile() && (!extension || e.name.endsWith(`.${extension}`)))
+      .map((e) => path.posix.join(rel, e.name))
+      .filter((p) => EDITABLE.find((r) => r.dir === rel).name.test(path.posix.basename(p)))
+      .sort();
+  }
+
+  const actions = {
+    async info() {
+      return { repo: path.basename(root), publish_modes: ["simple"], type: "local_fs" };
+    },
+    async entriesByFolder({ folder, extension }) {
+      return Promise.all((await listFolder(folder, { extension })).map(readEntry));
+    },
+    async entriesByFiles({ files = [] }) {
+      return Promise.all(
+        files.map(async (file) => {
+          try {
+            const entry = await readEntry(file.path);
+            return { ...entry, file: { ...entry.file, label: file.label } };
+          } catch (err) {
+            if (err.status) throw err;
+            return { data: null, file: { path: file.path, label: file.label, id: null } };
+          }
+        })
+      );
+    },
+    async getEntry({ path: relPath }) {
+      return readEntry(relPath);
+    },
+    async persistEntry({ entry, dataFiles = entry ? [entry] : [], assets = [] }) {
+      // Check every path before writing anything.
+      for (const file of dataFiles) await resolvePath(file.newPath || file.path);
+      for (const asset of assets) await resolvePath(asset.path);
+      for (const asset of assets) await writeFile(asset.path, Buffer.from(asset.content, asset.encoding || "base64"));
+      for (const file of dataFiles) {
+        await writeFile(file.newPath || file.path, String(file.raw ?? ""));
+        if (file.newPath && file.newPath !== file.path) await deleteFile(file.path);
+      }
+      return { message: "entry persisted" };
+    },
+    async getMedia({ mediaFolder }) {
+      return Promise.all((await listFolder(mediaFolder)).map(readMedia));
+    },
+    async getMediaFile({ path: relPath }) {
+      return readMedia(relPath);
+    },
+    async persistMedia({ asset }) {
+      await writeFile(asset?.path, Buffer.from(String(asset?.content ?? ""), asset?.encoding || "base64"));
+      return readMedia(asset.path);
+    },
+    async deleteFile({ path: relPath }) {
+      await deleteFile(relPath);
+      return { message: `deleted file ${relPath}` };
+    },
+    async deleteFiles({ paths = [] }) {
+      for (const relPath of paths) await resolvePath(relPath);
+      for (const relPath of paths) await deleteFile(relPath);
+      return { message: `deleted files ${paths.join(", ")}` };
+    },
+    async getDeployPreview() {
+      return null;
+    },
+  };
+
+  return async function handle(body) {
+    if (!Object.hasOwn(actions, String(body?.action))) {
+      throw refused(`Unsupported action: ${body?.action} (the editorial workflow isn't available locally)`);
+    }
+    try {
+      return await actions[body.action](body.params || {});
+    } catch (err) {
+      if (err?.code === "ENOENT") throw refused(`Not found: ${body.params?.path ?? ""}`, 404);
+      throw err;
+    }
+  };
+}
+
+// Media uploads arrive base64-encoded in the JSON body.
+const MAX_BODY = 32 * 1024 * 1024;
+
+async function readBody(req, limit) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw refused("Request body too large", 413);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// The HTTP side of `/api/v1`, as an http.createServer handler. The backend
+// writes to the checkout, so pages from any origin but `origins` get a 403
+// (browsers always send their own Origin), and the JSON content type can't be
+// sent cross-origin without a CORS preflight.
+export function createCmsRequestHandler(rootDir, { origins = [], maxBody = MAX_BODY } = {}) {
+  const backend = createCmsBackend(rootDir);
+  const allowed = new Set(origins);
+
+  return async function handleCmsRequest(req, res) {
+    let status = 200;
+    let result;
+    try {
+      if (req.method !== "POST") throw refused("Use POST", 405);
+      if (req.headers.origin && !allowed.has(req.headers.origin)) {
+        throw refused(`Requests from ${req.headers.origin} are not allowed`, 403);
+      }
+      if (!/^application\/json\s*(;|$)/i.test(req.headers["content-type"] || "")) {
+        throw refused("Content-Type must be application/json", 415);
+      }
+      let body;
+      try {
+        body = JSON.parse(await readBody(req, maxBody));
+      } catch (err) {
+        throw err.status ? err : refused("Invalid JSON", 400);
+      }
+      result = await backend(body);
+    } catch (err) {
+      status = err.status || 500;
+      result = { error: err.message };
+      if (status === 500) {
+        // eslint-disable-next-line no-console
+        console.error("CMS request failed:", err);
+      }
+    }
+    res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" });
+    res.end(JSON.stringify(result));
+  };
+}
@@ -0,0 +1,512 @@
+import { LINK_TYPES } from "./html.mjs";
+
+// Schemas for the files in data/. Each node is { type, required?, ... }:
+//   object: properties (known keys), values (schema for every key of a map),
+//           keys ("locale" | list of allowed keys); unknown keys are warnings
+//   array:  items, uniqueBy (property that must be unique across items)
+//   string: enum, format (see FORMATS), nonEmpty ("error" | "warning")
+//   number: integer, min, max
+//   any:    accepted as-is
+// The same nodes define the CMS (see cms.mjs): `label` and `hint` become the
+// field's label and help text, `cms` holds extra Decap field settings (widget,
+// summary, default, …) and `cms: false` keeps a field out of the CMS.
+
+export const VOICE_TYPES = [
+  "Soprano",
+  "Mezzo-soprano",
+  "Countertenor",
+  "Tenor",
+  "Baritone",
+  "Bass",
+  "Bass-baritone",
+  "Director",
+  "Conductor",
+  "Pianist",
+  "Composer",
+  "Choreographer",
+  "Production Company",
+];
+
+// "draft" artists are prepared but not public yet; "alumni-hidden" ones have
+// left and their pages are taken down. A missing status means "published".
+export const ARTIST_STATUSES = ["published", "draft", "alumni-hidden"];
+
+// How the home page picks from the featured list when more artists are
+// eligible than it shows: always the first ones, or a window that moves on
+// every day or week.
+export const FEATURED_ROTATIONS = ["none", "daily", "weekly"];
+
+// Whether a repertoire role has been sung on stage or only learned so far.
+export const REPERTOIRE_STATUSES = ["performed", "prepared"];
+
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const LOCALE = /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/;
+
+function parsesAsUrl(value, protocols) {
+  try {
+    return protocols.includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Each format returns an error message, or "" when the value is fine, or
+// { level: "warning", message } for a value that works but should change.
+// Empty strings are left to `required`/`nonEmpty`.
+const FORMATS = {
+  slug: (v) => (SLUG.test(v) ? "" : "must be lowercase kebab-case (a-z, 0-9 and single hyphens)"),
+  locale: (v) => (LOCALE.test(v) ? "" : "must be a language code such as 'de' or 'pt-BR'"),
+  // Plain http:// still links fine, so it is only flagged: whether the site
+  // serves https has to be checked by hand before the URL is changed.
+  https: (v) => {
+    if (parsesAsUrl(v, ["https:"])) return "";
+    if (parsesAsUrl(v, ["http:"])) return { level: "warning", message: "should be https:// if the site supports it" };
+    return "must be an absolute https:// URL";
+  },
+  url: (v) => (parsesAsUrl(v, ["https:", "http:"]) ? "" : "must be an absolute http(s):// URL"),
+  email: (v) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v) ? "" : "must be an email address"),
+  date: (v) => {
+    const date = new Date(`${v}T00:00:00Z`);
+    return /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(date.getTime()) && date.toISOString().startsWith(v)
+      ? ""
+      : "must be a date in YYYY-MM-DD format";
+  },
+  time: (v) => (/^(?:[01]\d|2[0-3]):[0-5]\d$/.test(v) ? "" : "must be a 24-hour time in HH:MM format"),
+  timeZone: (v) => {
+    try {
+      new Intl.DateTimeFormat("en", { timeZone: v });
+      return "";
+    } catch {
+      return "must be an IANA time zone such as 'Europe/Zurich'";
+    }
+  },
+  // Site-relative asset path; whether the file exists is checked separately.
+  asset: (v) => (v.startsWith("/assets/") || parsesAsUrl(v, ["https:"]) ? "" : "must start with /assets/ (or be an https:// URL)"),
+};
+
+const text = { type: "string" };
+const longText = { type: "string", cms: { widget: "text" } };
+const https = { type: "string", format: "https" };
+const percent = { type: "number", integer: true, min: 0, max: 100 };
+const wholeNumber = { type: "number", integer: true, min: 0 };
+const photo = {
+  type: "object",
+  label: "Photo",
+  cms: { collapsed: true },
+  properties: {
+    path: {
+      type: "string",
+      format: "asset",
+      exists: true,
+      label: "Image",
+      hint: "Upload a portrait headshot as JPG. To optimize first, go to squoosh.app → Resize: 1200×1500px → Compress: MozJPEG, quality 85. Photos are also auto-optimized on upload.",
+    },
+    alt: { type: "string", nonEmpty: "warning", label: "Alt Text", hint: "Describe the photo for accessibility (e.g. Portrait of Nicole Chevalier)." },
+    credit: { ...text, label: "Photo Credit", hint: "Photographer name." },
+    sourceUrl: { type: "string", format: "url", label: "Source URL", hint: "Original image URL if downloaded from the web." },
+    // Focal point as percentages from the top-left corner; crops keep it in view.
+    focus: {
+      type: "object",
+      label: "Focal Point",
+      hint: "The part of the photo to keep in view when it is cropped (roster cards, round avatars). Percent from the left and from the top; 50 / 50 is the centre. A face in the upper third is around 50 / 30.",
+      cms: { collapsed: true },
+      properties: {
+        x: { ...percent, required: true, label: "X (% from left)", cms: { default: 50 } },
+        y: { ...percent, required: true, label: "Y (% from top)", cms: { default: 50 } },
+      },
+    },
+  },
+};
+
+// `translations` maps: one object per non-default locale, holding translated
+// copies of the given fields.
+function translations(properties, hint) {
+  return {
+    type: "object",
+    keys: "locale",
+    label: "Translations",
+    hint,
+    cms: { collapsed: true },
+    values: { type: "object", properties },
+  };
+}
+
+const artist = {
+  type: "object",
+  properties: {
+    name: { type: "string", required: true, nonEmpty: "error", label: "Name", hint: "Full display name (e.g. Nicole Chevalier)" },
+    slug: {
+      type: "string",
+      required: true,
+      format: "slug",
+      label: "Slug",
+      hint: "URL-friendly ID. Use lowercase letters, numbers, and hyphens only.",
+    },
+    status: {
+      type: "string",
+      enum: ARTIST_STATUSES,
+      label: "Status",
+      hint: "Draft: not on the site yet (preview it with the dev server). Alumni-hidden: a former artist whose page is taken down.",
+      cms: { default: "published" },
+    },
+    publishAt: {
+      type: "string",
+      format: "date",
+      label: "Publish On",
+      hint: "Optional. A published artist appears on the site from this date.",
+    },
+    unpublishAt: {
+      type: "string",
+      format: "date",
+      label: "Unpublish On",
+      hint: "Optional. The artist is taken off the site on this date.",
+    },
+    addedOn: {
+      type: "string",
+      format: "date",
+      label: "Added On",
+      hint: "Optional. When the artist joined the roster; used by the roster's \"Recently added\" sort.",
+    },
+    voiceType: {
+      type: "string",
+      enum: VOICE_TYPES,
+      label: "Voice Type / Discipline",
+      hint: "Select the artist's primary voice type or discipline.",
+    },
+    discipline: { type: "string", cms: false },
+    location: { ...text, label: "Location", hint: "City or region (e.g. New York, Berlin)" },
+    bio: { ...longText, label: "Bio", hint: "Short biography paragraph. Used when the artist has no full biography under Biographies." },
+    managementNotes: { ...text, label: "Management Notes", hint: "Internal notes shown on roster cards (e.g. co-management details)." },
+    photo,
+    operabaseUrl: { ...https, label: "Operabase URL", hint: "Direct link to the artist's Operabase profile." },
+    website: { ...https, label: "Website", hint: "Artist's personal website URL." },
+    links: {
+      type: "array",
+      label: "Links",
+      hint: "Profiles shown on the artist page and roster card (Instagram, YouTube, etc.).",
+      cms: { label_singular: "Link", summary: "{{fields.type}} — {{fields.url}}" },
+      items: {
+        type: "object",
+        properties: {
+          type: { type: "string", required: true, enum: Object.keys(LINK_TYPES), label: "Type", cms: { default: "other" } },
+          url: { type: "string", required: true, format: "https", nonEmpty: "error", label: "URL" },
+          label: { ...text, label: "Label", hint: "Optional text to show instead of the link type." },
+        },
+      },
+    },
+    repertoire: {
+      type: "array",
+      label: "Repertoire",
+      hint: "Roles shown on the artist page and on the Repertoire pages, which list who sings what.",
+      cms: { label_singular: "Role", summary: "{{fields.role}} — {{fields.work}}" },
+      items: {
+        type: "object",
+        properties: {
+          role: { ...text, label: "Role", hint: "e.g. Donna Anna. Leave empty for works conducted or directed." },
+          work: { type: "string", required: true, nonEmpty: "error", label: "Work", hint: "e.g. Don Giovanni" },
+          composer: { ...text, label: "Composer", hint: "e.g. Mozart" },
+          status: { type: "string", enum: REPERTOIRE_STATUSES, label: "Status", cms: { default: "performed" } },
+        },
+      },
+    },
+    repertoireHighlights: {
+      type: "array",
+      items: text,
+      label: "Repertoire Highlights (old format)",
+      hint: "Free-text roles (e.g. Donna Anna — Don Giovanni), still shown alongside Repertoire. Prefer Repertoire for new roles.",
+      cms: { label_singular: "Role" },
+    },
+    translations: translations(
+      {
+        location: text,
+        bio: longText,
+        managementNotes: text,
+        repertoireHighlights: { type: "array", items: text },
+        discipline: { type: "string", cms: false },
+      },
+      "Optional versions of the text above in the site's other languages. Leave a field empty to show the default-language text. Voice types are translated automatically."
+    ),
+    operabaseImport: { type: "any", label: "Operabase Import" },
+  },
+};
+
+const teamMember = {
+  type: "object",
+  properties: {
+    slug: {
+      type: "string",
+      required: true,
+      format: "slug",
+      label: "Slug",
+      hint: "URL-friendly ID for the profile page (/about/<slug>/). Lowercase letters, numbers, and hyphens only.",
+    },
+    name: { type: "string", required: true, nonEmpty: "error", label: "Name" },
+    title: { ...text, label: "Title", hint: "Job title (e.g. Artist Manager)." },
+    email: { type: "string", format: "email", label: "Email" },
+    bio: {
+      type: "string",
+      label: "Bio",
+      hint: "Shown on the profile page.",
+      cms: { widget: "markdown", buttons: ["bold", "italic", "link", "bulleted-list"], editor_components: [] },
+    },
+    photo,
+    translations: translations({ title: text, bio: longText }, "Optional versions of the title and bio in the site's other languages."),
+  },
+};
+
+const engagement = {
+  type: "object",
+  properties: {
+    artist: { type: "string", required: true, ref: "artist", label: "Artist" },
+    role: { ...text, label: "Role", hint: "Role or function (e.g. Fiordiligi, Stage director)." },
+    work: { ...text, label: "Work", hint: "Opera or programme title (e.g. Così fan tutte)." },
+    composer: { ...text, label: "Composer" },
+    company: { ...text, label: "Company", hint: "Presenting house or company (e.g. Grand Théâtre de Genève)." },
+    venue: { ...text, label: "Venue" },
+    city: { ...text, label: "City" },
+    dates: {
+      type: "array",
+      required: true,
+      minItems: 1,
+      items: { type: "string", format: "date", label: "Date" },
+      label: "Dates",
+      hint: "One entry per performance.",
+      cms: { label_singular: "Date" },
+    },
+    time: { type: "string", format: "time", label: "Start Time", hint: "Curtain time on every date, 24-hour (e.g. 19:30). Leave empty for all-day entries." },
+    timeZone: { type: "string", format: "timeZone", label: "Time Zone", hint: "The venue's time zone (e.g. Europe/Zurich). Needed with a start time." },
+    link: { ...https, label: "Link", hint: "Tickets or production page." },
+  },
+};
+
+const site = {
+  type: "object",
+  properties: {
+    agencyName: { type: "string", required: true, nonEmpty: "error", label: "Agency Name" },
+    tagline: { ...text, label: "Tagline" },
+    description: { ...longText, label: "Description", hint: "Shown on the About page and used as the default search description." },
+    // Deployment and language settings change together with code, so the CMS leaves them alone.
+    baseUrl: { type: "string", format: "url", cms: false },
+    basePath: { ...text, cms: false },
+    theme: { type: "string", format: "slug", ref: "theme", label: "Theme", hint: "The design used for the whole site." },
+    locales: { type: "array", items: { type: "string", format: "locale" }, cms: false },
+    defaultLocale: { type: "string", format: "locale", ref: "locale", cms: false },
+    translations: translations({ description: longText, tagline: text }, "Optional versions of the tagline and description in the site's other languages."),
+    contact: {
+      type: "object",
+      label: "Contact",
+      properties: {
+        name: { ...text, label: "Name", hint: "Agency name as shown in press kits and vCards." },
+        email: { type: "string", format: "email", label: "Email" },
+        phone: { ...text, label: "Phone" },
+        location: { ...text, label: "Location" },
+      },
+    },
+    featured: {
+      type: "object",
+      label: "Featured Artists",
+      hint: "The artists shown on the home page. Without a list, the first artists of the roster are shown.",
+      cms: { collapsed: true },
+      properties: {
+        count: { ...wholeNumber, label: "Number Shown", hint: "How many artists the home page shows (default 9; 0 hides the section).", cms: { default: 9 } },
+        rotation: {
+          type: "string",
+          enum: FEATURED_ROTATIONS,
+          label: "Rotation",
+          hint: "When more artists are eligible than are shown: always show the first ones (none), or move on to the next ones every day or week.",
+          cms: { default: "none" },
+        },
+        artists: {
+          type: "array",
+          label: "Artists",
+          hint: "In the order they are shown. Artists that aren't published are skipped.",
+          uniqueBy: "artist",
+          cms: { label_singular: "Artist", summary: "{{fields.artist}}" },
+          items: {
+            type: "object",
+            properties: {
+              artist: { type: "string", required: true, ref: "artist", label: "Artist" },
+              from: { type: "string", format: "date", label: "Featured From", hint: "Optional first day on the home page." },
+              until: { type: "string", format: "date", label: "Featured Until", hint: "Optional last day on the home page." },
+            },
+          },
+        },
+      },
+    },
+    links: {
+      type: "object",
+      keys: Object.keys(LINK_TYPES),
+      keyLabels: Object.fromEntries(Object.entries(LINK_TYPES).map(([key, type]) => [key, type.label])),
+      values: https,
+      label: "Social Links",
+      hint: "Agency profiles shown in the footer. Leave empty to hide.",
+    },
+  },
+};
+
+// artists.json, team.json and engagements.json wrap their list in an object
+// because Decap CMS can only edit objects at the top of a file.
+export const SCHEMAS = {
+  site,
+  artists: {
+    type: "object",
+    properties: {
+      artists: {
+        type: "array",
+        required: true,
+        items: artist,
+        uniqueBy: "slug",
+        label: "Artists",
+        cms: { label_singular: "Artist", summary: "{{fields.name}} — {{fields.voiceType}}", add_to_top: true, minimize_collapsed: true },
+      },
+    },
+  },
+  team: {
+    type: "object",
+    properties: {
+      team: {
+        type: "array",
+        required: true,
+        items: teamMember,
+        uniqueBy: "slug",
+        label: "Team",
+        cms: { label_singular: "Team Member", summary: "{{fields.name}} — {{fields.title}}", minimize_collapsed: true },
+      },
+    },
+  },
+  engagements: {
+    type: "object",
+    properties: {
+      engagements: {
+        type: "array",
+        required: true,
+        items: engagement,
+        label: "Engagements",
+        cms: {
+          label_singular: "Engagement",
+          summary: "{{fields.artist}} — {{fields.work}} ({{fields.company}})",
+          add_to_top: true,
+          minimize_collapsed: true,
+        },
+      },
+    },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function preview(value) {
+  const json = JSON.stringify(value);
+  return json && json.length > 60 ? `${json.slice(0, 57)}…` : String(json);
+}
+
+function childPath(path, key) {
+  return typeof key === "number" ? `${path}[${key}]` : /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+// Walks `value` against `node`, pushing { level, file, path, value, message }
+// issues. `ctx.refs` resolves `ref` checks and `ctx.assetExists` the `exists` flag.
+function check(node, value, path, ctx) {
+  const issue = (level, message) => ctx.issues.push({ level, file: ctx.file, path, value, message });
+  if (value === undefined) {
+    if (node.required) issue("error", "is required");
+    return;
+  }
+  if (node.type === "any") return;
+  const actual = typeOf(value);
+  if (actual !== node.type) {
+    issue("error", `must be ${node.type === "array" || node.type === "object" ? "an" : "a"} ${node.type}, not ${actual}`);
+    return;
+  }
+
+  if (node.type === "string") {
+    if (!value.trim()) {
+      if (node.nonEmpty) issue(node.nonEmpty, "should not be empty");
+      return;
+    }
+    if (node.enum && !node.enum.includes(value)) issue("error", `must be one of: ${node.enum.join(", ")}`);
+    const formatResult = node.format ? FORMATS[node.format](value) : "";
+    const formatError = typeof formatResult === "string" ? formatResult : "";
+    if (formatError) issue("error", formatError);
+    else if (formatResult) issue(formatResult.level, formatResult.message);
+    else if (node.exists && value.startsWith("/") && !ctx.assetExists(value)) issue("error", "points to a file that does not exist");
+    if (!formatError && node.ref) {
+      const message = ctx.refs[node.ref]?.(value);
+      if (message) issue("error", message);
+    }
+    return;
+  }
+
+  if (node.type === "number") {
+    if (node.integer && !Number.isInteger(value)) issue("error", "must be a whole number");
+    else if ((node.min !== undefined && value < node.min) || (node.max !== undefined && value > node.max)) {
+      issue("error", `must be between ${node.min ?? "-∞"} and ${node.max ?? "∞"}`);
+    }
+    return;
+  }
+
+  if (node.type === "array") {
+    if (node.minItems && value.length < node.minItems) issue("error", `needs at least ${node.minItems} item(s)`);
+    const seen = new Map();
+    value.forEach((item, index) => {
+      const itemPath = childPath(path, index);
+      check(node.items, item, itemPath, ctx);
+      const key = node.uniqueBy ? item?.[node.uniqueBy] : undefined;
+      if (key === undefined) return;
+      if (seen.has(key)) {
+        ctx.issues.push({
+          level: "error",
+          file: ctx.file,
+          path: childPath(itemPath, node.uniqueBy),
+          value: key,
+          message: `duplicates ${childPath(seen.get(key), node.uniqueBy)}`,
+        });
+      } else {
+        seen.set(key, itemPath);
+      }
+    });
+    return;
+  }
+
+  if (node.type === "object") {
+    for (const [key, child] of Object.entries(value)) {
+      const keyPath = childPath(path, key);
+      if (node.properties?.[key]) {
+        check(node.properties[key], child, keyPath, ctx);
+        continue;
+      }
+      if (node.values) {
+        const keyError =
+          node.keys === "locale"
+            ? ctx.refs.locale?.(key)
+            : Array.isArray(node.keys) && !node.keys.includes(key)
+              ? `is not a known key (expected one of: ${node.keys.join(", ")})`
+              : "";
+        if (keyError) ctx.issues.push({ level: "warning", file: ctx.file, path: keyPath, value: child, message: keyError });
+        check(node.values, child, keyPath, ctx);
+        continue;
+      }
+      ctx.issues.push({ level: "warning", file: ctx.file, path: keyPath, value: child, message: "is not a known field and is ignored" });
+    }
+    for (const [key, child] of Object.entries(node.properties || {})) {
+      if (!(key in value) && child.required) {
+        ctx.issues.push({ level: "error", file: ctx.file, path: childPath(path, key), value: undefined, message: "is required" });
+      }
+    }
+  }
+}
+
+export function validateDocument(schema, data, { file, refs = {}, assetExists = () => true } = {}) {
+  const ctx = { file, refs, assetExists, issues: [] };
+  check(schema, data, "$", ctx);
+  return ctx.issues;
+}
+
+export function formatIssue(issue) {
+  const got = issue.value === undefined ? "" : ` (got ${preview(issue.value)})`;
+  return `${issue.level === "error" ? "error" : "warning"}: ${issue.file}: ${issue.path}: ${issue.message}${got}`;
+}
@@ -0,0 +1,63 @@
+export function normalizeBaseUrl(url) {
+  const trimmed = String(url ?? "").trim();
+  return trimmed.replace(/\/+$/, "");
+}
+
+export function normalizeBasePath(basePath) {
+  const trimmed = String(basePath ?? "").trim();
+  if (!trimmed || trimmed === "/") return "";
+
+  const withLeadingSlash = trimmed.startsWith("/") ? trimmed : `/${trimmed}`;
+  return withLeadingSlash.replace(/\/+$/, "");
+}
+
+export function resolveBasePath(site) {
+  return normalizeBasePath(process.env.BASE_PATH ?? site.basePath);
+}
+
+export function resolveBaseUrl(site) {
+  const envBaseUrl = normalizeBaseUrl(process.env.BASE_URL);
+  if (envBaseUrl) return envBaseUrl;
+  return normalizeBaseUrl(site.baseUrl);
+}
+
+export function withBase(site, urlPath) {
+  if (!urlPath?.startsWith("/")) return urlPath;
+  const basePath = resolveBasePath(site);
+  return basePath ? `${basePath}${urlPath}` : urlPath;
+}
+
+function baseUrlHasPathname(baseUrl) {
+  try {
+    const parsed = new URL(baseUrl);
+    return parsed.pathname && parsed.pathname !== "/";
+  } catch {
+    return false;
+  }
+}
+
+export function sitePathForUrl({ site, baseUrl, urlPath }) {
+  if (!urlPath?.startsWith("/")) return urlPath;
+  const basePath = resolveBasePath(site);
+  if (!basePath) return urlPath;
+  if (baseUrl && baseUrlHasPathname(baseUrl)) return urlPath;
+  return `${basePath}${urlPath}`;
+}
+
+export function safeJoinUrl(baseUrl, pathname) {
+  const base = normalizeBaseUrl(baseUrl);
+  if (!base) return "";
+  return `${base}${pathname.startsWith("/") ? "" : "/"}${pathname}`;
+}
+
+export function ensureTrailingSlash(p) {
+  return p.endsWith("/") ? p : `${p}/`;
+}
+
+export function absoluteUrl(site, urlPath) {
+  if (!urlPath) return "";
+  if (/^https?:\/\//.test(urlPath)) return urlPath;
+  const baseUrl = resolveBaseUrl(site);
+  if (!baseUrl) return withBase(site, urlPath);
+  return safeJoinUrl(baseUrl, sitePathForUrl({ site, baseUrl, urlPath }));
+}
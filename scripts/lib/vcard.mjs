@@ -0,0 +1,26 @@
+import { escapeText, foldLine } from "./ical.mjs";
+
+// Minimal vCard 3.0 writer (RFC 2426), the version every address book imports.
+
+// "Mary Ann Smith" → family "Smith", given "Mary Ann"; a single name is the family name.
+function structuredName(name) {
+  const parts = String(name || "").trim().split(/\s+/).filter(Boolean);
+  const family = parts.pop() || "";
+  return [family, parts.join(" "), "", "", ""].map(escapeText).join(";");
+}
+
+// `card`: { name, org?, title?, email?, phone?, url?, photoUrl?, note? }. URLs
+// should be absolute; relative ones are dropped since address books can't resolve them.
+export function renderVCard({ name, org, title, email, phone, url, photoUrl, note }) {
+  const absolute = (value) => (/^https?:\/\//.test(value || "") ? value : "");
+  const lines = ["BEGIN:VCARD", "VERSION:3.0", `N:${structuredName(name)}`, `FN:${escapeText(name)}`];
+  if (org) lines.push(`ORG:${escapeText(org)}`);
+  if (title) lines.push(`TITLE:${escapeText(title)}`);
+  if (email) lines.push(`EMAIL;TYPE=INTERNET,WORK:${email}`);
+  if (phone) lines.push(`TEL;TYPE=WORK,VOICE:${escapeText(phone)}`);
+  if (absolute(url)) lines.push(`URL:${url}`);
+  if (absolute(photoUrl)) lines.push(`PHOTO;VALUE=URI:${photoUrl}`);
+  if (note) lines.push(`NOTE:${escapeText(note)}`);
+  lines.push("END:VCARD");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
@@ -0,0 +1,254 @@
+// Reads the YAML subset src/admin/config.yml is written in: block mappings and
+// sequences, one-line flow collections ([…], {…}), quoted and plain scalars and
+// comments. Anchors, tags and multi-line scalars are not supported.
+// stringifyYaml writes the same subset back out.
+
+function fail(lineNo, message) {
+  throw new Error(`YAML line ${lineNo}: ${message}`);
+}
+
+function stripComment(text) {
+  let quote = "";
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quote) {
+      if (char === "\\" && quote === '"') i += 1;
+      else if (char === quote) quote = "";
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function toLines(source) {
+  return String(source)
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((raw, index) => {
+      const text = stripComment(raw);
+      const indent = text.length - text.trimStart().length;
+      if (text.slice(0, indent).includes("\t")) fail(index + 1, "indent with spaces, not tabs");
+      return { no: index + 1, indent, text: text.trim() };
+    })
+    .filter((line) => line.text && line.text !== "---");
+}
+
+function parsePlain(text) {
+  if (text === "true") return true;
+  if (text === "false") return false;
+  if (text === "null" || text === "~") return null;
+  if (/^-?\d+(?:\.\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+function parseQuoted(text, lineNo) {
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      fail(lineNo, `bad double-quoted string ${text}`);
+    }
+  }
+  return text.slice(1, -1).replaceAll("''", "'");
+}
+
+// One-line flow collections: ["a", "b"], { label: "X", required: false }.
+function parseFlow(text, lineNo) {
+  let pos = 0;
+  const skip = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos += 1;
+  };
+  const scalar = (stops) => {
+    skip();
+    const char = text[pos];
+    if (char === '"' || char === "'") {
+      let end = pos + 1;
+      while (end < text.length && text[end] !== char) end += char === '"' && text[end] === "\\" ? 2 : 1;
+      const raw = text.slice(pos, end + 1);
+      pos = end + 1;
+      return parseQuoted(raw, lineNo);
+    }
+    let end = pos;
+    while (end < text.length && !stops.includes(text[end])) end += 1;
+    const raw = text.slice(pos, end).trim();
+    pos = end;
+    return parsePlain(raw);
+  };
+  const value = () => {
+    skip();
+    if (text[pos] === "[") {
+      pos += 1;
+      const items = [];
+      skip();
+      if (text[pos] === "]") {
+        pos += 1;
+        return items;
+      }
+      for (;;) {
+        items.push(value());
+        skip();
+        if (text[pos] === ",") pos += 1;
+        else if (text[pos] === "]") {
+          pos += 1;
+          return items;
+        } else fail(lineNo, `expected "," or "]" in ${text}`);
+      }
+    }
+    if (text[pos] === "{") {
+      pos += 1;
+      const map = {};
+      skip();
+      if (text[pos] === "}") {
+        pos += 1;
+        return map;
+      }
+      for (;;) {
+        const key = scalar([":"]);
+        if (text[pos] !== ":") fail(lineNo, `expected ":" in ${text}`);
+        pos += 1;
+        map[key] = value();
+        skip();
+        if (text[pos] === ",") pos += 1;
+        else if (text[pos] === "}") {
+          pos += 1;
+          return map;
+        } else fail(lineNo, `expected "," or "}" in ${text}`);
+      }
+    }
+    return scalar([",", "]", "}"]);
+  };
+  const result = value();
+  skip();
+  if (pos !== text.length) fail(lineNo, `unexpected text after flow collection: ${text.slice(pos)}`);
+  return result;
+}
+
+function parseScalar(text, lineNo) {
+  if (text.startsWith("[") || text.startsWith("{")) return parseFlow(text, lineNo);
+  if (text.startsWith('"') || text.startsWith("'")) return parseQuoted(text, lineNo);
+  if (text === "|" || text === ">" || /^[|>][+-]?$/.test(text)) fail(lineNo, "block scalars are not supported");
+  return parsePlain(text);
+}
+
+// Splits "key: value" at the first ": " (or trailing ":") outside quotes.
+function splitKey(text, lineNo) {
+  let quote = "";
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quote) {
+      if (char === "\\" && quote === '"') i += 1;
+      else if (char === quote) quote = "";
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ":" && (i === text.length - 1 || text[i + 1] === " ")) {
+      const rawKey = text.slice(0, i).trim();
+      const key = /^["']/.test(rawKey) ? parseQuoted(rawKey, lineNo) : rawKey;
+      return { key, rest: text.slice(i + 1).trim() };
+    }
+  }
+  return null;
+}
+
+const isSequenceItem = (line) => line.text === "-" || line.text.startsWith("- ");
+
+function parseBlock(lines, index, indent) {
+  return isSequenceItem(lines[index]) ? parseSequence(lines, index, indent) : parseMapping(lines, index, indent);
+}
+
+function parseSequence(lines, index, indent) {
+  const items = [];
+  let i = index;
+  while (i < lines.length && lines[i].indent === indent && isSequenceItem(lines[i])) {
+    const line = lines[i];
+    const rest = line.text.slice(1).trim();
+    if (!rest) {
+      if (i + 1 < lines.length && lines[i + 1].indent > indent) {
+        const [value, next] = parseBlock(lines, i + 1, lines[i + 1].indent);
+        items.push(value);
+        i = next;
+      } else {
+        items.push(null);
+        i += 1;
+      }
+    } else if (!/^[[{]/.test(rest) && splitKey(rest, line.no)) {
+      // "- key: value" opens a mapping whose keys line up with "key".
+      const itemIndent = indent + (line.text.length - rest.length);
+      const itemLines = [{ ...line, indent: itemIndent, text: rest }, ...lines.slice(i + 1)];
+      const [value, next] = parseMapping(itemLines, 0, itemIndent);
+      items.push(value);
+      i += next;
+    } else {
+      items.push(parseScalar(rest, line.no));
+      i += 1;
+    }
+  }
+  if (i < lines.length && lines[i].indent > indent) fail(lines[i].no, "unexpected indentation");
+  return [items, i];
+}
+
+function parseMapping(lines, index, indent) {
+  const map = {};
+  let i = index;
+  while (i < lines.length && lines[i].indent === indent && !isSequenceItem(lines[i])) {
+    const line = lines[i];
+    const pair = splitKey(line.text, line.no);
+    if (!pair) fail(line.no, `expected "key: value", got ${line.text}`);
+    if (pair.key in map) fail(line.no, `duplicate key "${pair.key}"`);
+    i += 1;
+    if (pair.rest) {
+      map[pair.key] = parseScalar(pair.rest, line.no);
+    } else if (i < lines.length && (lines[i].indent > indent || (lines[i].indent === indent && isSequenceItem(lines[i])))) {
+      const [value, next] = parseBlock(lines, i, lines[i].indent);
+      map[pair.key] = value;
+      i = next;
+    } else {
+      map[pair.key] = null;
+    }
+  }
+  if (i < lines.length && lines[i].indent > indent) fail(lines[i].no, "unexpected indentation");
+  return [map, i];
+}
+
+export function parseYaml(source) {
+  const lines = toLines(source);
+  if (!lines.length) return null;
+  const [value, next] = parseBlock(lines, 0, lines[0].indent);
+  if (next < lines.length) fail(lines[next].no, "unexpected content");
+  return value;
+}
+
+const isBlockValue = (value) =>
+  Array.isArray(value) ? value.length > 0 : value !== null && typeof value === "object" && Object.keys(value).length > 0;
+
+// Strings are always double-quoted: a JSON string is a valid YAML one.
+function inlineValue(value) {
+  if (Array.isArray(value)) return "[]";
+  if (value !== null && typeof value === "object") return "{}";
+  return typeof value === "string" ? JSON.stringify(value) : String(value);
+}
+
+function yamlLines(value, indent) {
+  const pad = " ".repeat(indent);
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => {
+      // Lists directly inside lists are written in flow style ([…]), which the reader handles.
+      if (Array.isArray(item)) return [`${pad}- ${JSON.stringify(item)}`];
+      if (!isBlockValue(item)) return [`${pad}- ${inlineValue(item)}`];
+      const [first, ...rest] = yamlLines(item, indent + 2);
+      return [`${pad}- ${first.trimStart()}`, ...rest];
+    });
+  }
+  return Object.entries(value)
+    .filter(([, child]) => child !== undefined)
+    .flatMap(([key, child]) => {
+      const name = /^[A-Za-z_][\w-]*$/.test(key) ? key : JSON.stringify(key);
+      return isBlockValue(child) ? [`${pad}${name}:`, ...yamlLines(child, indent + 2)] : [`${pad}${name}: ${inlineValue(child)}`];
+    });
+}
+
+export function stringifyYaml(value) {
+  return `${(isBlockValue(value) ? yamlLines(value, 0) : [inlineValue(value)]).join("\n")}\n`;
+}
@@ -0,0 +1,231 @@
+import http from "node:http";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { execFile, spawnSync } from "node:child_process";
+import { promisify } from "node:util";
+import { defaultLocale, siteLocales } from "./lib/i18n.mjs";
+import { resolveBasePath } from "./lib/urls.mjs";
+
+const execFileAsync = promisify(execFile);
+
+const projectRoot = path.resolve(process.cwd());
+const distDir = path.join(projectRoot, "dist");
+const siteFile = path.join(projectRoot, "data", "site.json");
+
+// Tried in order; the first that runs is used. Chromium-based browsers print
+// with the page's print stylesheet, as do wkhtmltopdf (--print-media-type) and
+// WeasyPrint.
+const BROWSERS = [
+  "chromium",
+  "chromium-browser",
+  "google-chrome",
+  "google-chrome-stable",
+  "microsoft-edge",
+  "/Applications/Google Chrome.app/Contents/MacOS/Google Chrome",
+  "/Applications/Chromium.app/Contents/MacOS/Chromium",
+  "/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge",
+];
+
+const MIME = new Map([
+  [".html", "text/html; charset=utf-8"],
+  [".css", "text/css; charset=utf-8"],
+  [".js", "text/javascript; charset=utf-8"],
+  [".svg", "image/svg+xml"],
+  [".png", "image/png"],
+  [".jpg", "image/jpeg"],
+  [".jpeg", "image/jpeg"],
+  [".webp", "image/webp"],
+]);
+
+function usage() {
+  return [
+    "Usage:",
+    "  node scripts/press-pdf.mjs [--slug <slug>]... [--catalogue] [--locale <code>] [--out <dir>]",
+    "",
+    "Renders the printable press kits (dist/press/<slug>/) and the roster catalogue",
+    "(dist/press/) to PDF with a locally installed tool: Chrome/Chromium/Edge, wkhtmltopdf or",
+    "WeasyPrint. Run it after `node scripts/build.mjs`, with the same BASE_PATH.",
+    "",
+    "Options:",
+    "  --slug <slug>     This artist's press kit (repeatable)",
+    "  --catalogue       The roster catalogue (on its own, or with the --slug press kits)",
+    "  --locale <code>   Language of the pages (default: the site's default locale)",
+    "  --out <dir>       Output folder (default: press-kits)",
+    "  --tool <path>     Use this program instead of looking for one",
+    "  --timeout <ms>    Time limit per PDF (default: 60000)",
+  ].join("\n");
+}
+
+function parseArgs(argv) {
+  const args = { slugs: [], catalogue: false, locale: "", out: "press-kits", tool: process.env.PDF_TOOL || "", timeout: 60000 };
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") args.help = true;
+    else if (arg === "--slug") args.slugs.push(String(argv[++i] || ""));
+    else if (arg === "--catalogue") args.catalogue = true;
+    else if (arg === "--locale") args.locale = String(argv[++i] || "");
+    else if (arg === "--out") args.out = String(argv[++i] || "");
+    else if (arg === "--tool") args.tool = String(argv[++i] || "");
+    else if (arg === "--timeout") args.timeout = Number(argv[++i]);
+    else throw new Error(`Unknown argument: ${arg}\n\n${usage()}`);
+  }
+  if (!args.out) throw new Error("--out needs a folder");
+  if (!Number.isFinite(args.timeout) || args.timeout <= 0) throw new Error("--timeout must be a positive number of milliseconds");
+  for (const slug of args.slugs) {
+    if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug)) throw new Error(`Invalid slug: '${slug}'`);
+  }
+  return args;
+}
+
+function runs(cmd, versionArgs) {
+  const result = spawnSync(cmd, versionArgs, { stdio: "ignore", timeout: 15000 });
+  return !result.error && result.status === 0;
+}
+
+function toolKind(cmd) {
+  const name = path.basename(cmd).toLowerCase();
+  if (name.startsWith("wkhtmltopdf")) return "wkhtmltopdf";
+  if (name.startsWith("weasyprint")) return "weasyprint";
+  return "browser";
+}
+
+function findPdfTool(requested) {
+  if (requested) {
+    if (!runs(requested, ["--version"])) throw new Error(`Can't run '${requested}'`);
+    return { cmd: requested, kind: toolKind(requested) };
+  }
+  for (const cmd of [...BROWSERS, "wkhtmltopdf", "weasyprint"]) {
+    if (runs(cmd, ["--version"])) return { cmd, kind: toolKind(cmd) };
+  }
+  return null;
+}
+
+function pdfArgs(tool, url, outFile) {
+  if (tool.kind === "wkhtmltopdf") {
+    return [
+      "--quiet",
+      "--print-media-type",
+      "--page-size",
+      "A4",
+      // wkhtmltopdf ignores @page margins, so print.css's are repeated here.
+      ...["--margin-top", "16mm", "--margin-bottom", "16mm", "--margin-left", "15mm", "--margin-right", "15mm"],
+      url,
+      outFile,
+    ];
+  }
+  if (tool.kind === "weasyprint") return [url, outFile];
+  return [
+    "--headless",
+    "--disable-gpu",
+    // Chrome refuses to start its sandbox as root (CI containers).
+    ...(process.getuid?.() === 0 ? ["--no-sandbox"] : []),
+    "--no-pdf-header-footer",
+    "--print-to-pdf-no-header",
+    "--run-all-compositor-stages-before-draw",
+    "--virtual-time-budget=10000",
+    `--print-to-pdf=${outFile}`,
+    url,
+  ];
+}
+
+// Serves dist/ under BASE_PATH, so root-relative asset URLs resolve as they do
+// on the live site (which file:// URLs would not).
+function serveDist(basePath) {
+  const server = http.createServer(async (req, res) => {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(new URL(req.url || "/", "http://localhost").pathname);
+    } catch {
+      res.writeHead(400).end();
+      return;
+    }
+    if (basePath) urlPath = urlPath === basePath ? "/" : urlPath.startsWith(`${basePath}/`) ? urlPath.slice(basePath.length) : "";
+    const normalized = path.posix.normalize(urlPath || "/");
+    if (!urlPath || normalized.includes("..")) {
+      res.writeHead(404).end();
+      return;
+    }
+    const file = path.join(distDir, normalized.endsWith("/") ? `${normalized}index.html` : normalized);
+    try {
+      const data = await fs.readFile(file);
+      res.writeHead(200, { "Content-Type": MIME.get(path.extname(file)) || "application/octet-stream" });
+      res.end(data);
+    } catch {
+      res.writeHead(404).end();
+    }
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen({ port: 0, host: "127.0.0.1" }, () => resolve(server));
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.help) {
+    process.stdout.write(`${usage()}\n`);
+    return;
+  }
+
+  const site = JSON.parse(await fs.readFile(siteFile, "utf8"));
+  const locale = args.locale || defaultLocale(site);
+  if (!siteLocales(site).includes(locale)) throw new Error(`'${locale}' is not one of the site's locales (${siteLocales(site).join(", ")})`);
+  const prefix = locale === defaultLocale(site) ? "" : `${locale}/`;
+  const pressDir = path.join(distDir, prefix, "press");
+  try {
+    await fs.access(path.join(pressDir, "index.html"));
+  } catch {
+    throw new Error(`No press pages in ${path.relative(projectRoot, pressDir)}/; run \`node scripts/build.mjs\` first`);
+  }
+
+  const available = (await fs.readdir(pressDir, { withFileTypes: true })).filter((e) => e.isDirectory()).map((e) => e.name).sort();
+  const unknown = args.slugs.filter((slug) => !available.includes(slug));
+  if (unknown.length) throw new Error(`No press kit for: ${unknown.join(", ")}`);
+  // No filter means everything; --slug and --catalogue each add their pages.
+  const everything = !args.slugs.length && !args.catalogue;
+  const kits = everything ? available : args.slugs;
+  const pages = [
+    ...(everything || args.catalogue ? [{ page: "press/", file: "roster-catalogue.pdf" }] : []),
+    ...kits.map((slug) => ({ page: `press/${slug}/`, file: `${slug}.pdf` })),
+  ];
+
+  const tool = findPdfTool(args.tool);
+  if (!tool) {
+    throw new Error(
+      "No PDF tool found. Install Chrome/Chromium, wkhtmltopdf or WeasyPrint (or pass --tool), " +
+        "or open the pages under dist/press/ in a browser and use “Print or save as PDF”."
+    );
+  }
+
+  const outDir = path.resolve(projectRoot, args.out, prefix);
+  await fs.mkdir(outDir, { recursive: true });
+  const basePath = resolveBasePath(site);
+  const server = await serveDist(basePath);
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  let failed = 0;
+  try {
+    for (const { page, file } of pages) {
+      const outFile = path.join(outDir, file);
+      const url = `${origin}${basePath}/${prefix}${page}`;
+      try {
+        // execFile (not spawnSync) so this process keeps serving the page while the tool loads it.
+        await execFileAsync(tool.cmd, pdfArgs(tool, url, outFile), { timeout: args.timeout, maxBuffer: 16 * 1024 * 1024 });
+        const { size } = await fs.stat(outFile);
+        process.stdout.write(`Wrote ${path.relative(projectRoot, outFile)} (${Math.round(size / 1024)} KB)\n`);
+      } catch (err) {
+        failed += 1;
+        const reason = err.killed ? `timed out after ${args.timeout} ms` : String(err.stderr || err.message).trim().split("\n")[0];
+        process.stderr.write(`${page}: ${reason}\n`);
+      }
+    }
+  } finally {
+    server.close();
+  }
+  process.stdout.write(`\n${pages.length - failed} PDF(s) written with ${path.basename(tool.cmd)}, ${failed} failed\n`);
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
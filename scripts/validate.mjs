@@ -0,0 +1,57 @@
+import path from "node:path";
+import { loadData, validateData } from "./lib/data.mjs";
+import { formatIssue } from "./lib/schema.mjs";
+
+const projectRoot = path.resolve(process.cwd());
+
+function usage() {
+  return [
+    "Usage:",
+    "  node scripts/validate.mjs [--strict] [--no-cms]",
+    "",
+    "Checks data/site.json, data/artists.json, data/team.json, data/engagements.json and the",
+    "translation catalogs against the schemas in scripts/lib/schema.mjs, and checks that",
+    "src/admin/config.yml leaves the data files to the generated CMS collection.",
+    "",
+    "Options:",
+    "  --strict   Exit with an error on warnings too",
+    "  --no-cms   Skip the src/admin/config.yml check",
+  ].join("\n");
+}
+
+function parseArgs(argv) {
+  const args = { strict: false, cms: true };
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--help" || arg === "-h") args.help = true;
+    else if (arg === "--strict") args.strict = true;
+    else if (arg === "--no-cms") args.cms = false;
+    else throw new Error(`Unknown argument: ${arg}\n\n${usage()}`);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  if (args.help) {
+    process.stdout.write(`${usage()}\n`);
+    return;
+  }
+
+  const issues = await validateData(await loadData(projectRoot), { cms: args.cms });
+  const errors = issues.filter((i) => i.level === "error");
+  const warnings = issues.filter((i) => i.level === "warning");
+  for (const issue of [...errors, ...warnings]) process.stdout.write(`${formatIssue(issue)}\n`);
+
+  if (!issues.length) {
+    process.stdout.write("Data is valid.\n");
+    return;
+  }
+  process.stdout.write(`\n${errors.length} error(s), ${warnings.length} warning(s)\n`);
+  if (errors.length || (args.strict && warnings.length)) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,139 @@
+// Header and roster search over the build's search.json. No DOM here, so the
+// tests can import it; site.js does the fetching and rendering.
+
+// Case- and diacritic-insensitive text ("Horáková" → "horakova"), with the
+// position in the original of every folded character so matches can be
+// highlighted there.
+export const fold = (value) => {
+  let text = "";
+  const map = [];
+  let offset = 0;
+  for (const char of String(value || "")) {
+    const folded = char.normalize("NFKD").replace(/\p{Diacritic}/gu, "").toLowerCase();
+    text += folded;
+    for (let i = 0; i < folded.length; i++) map.push(offset);
+    offset += char.length;
+  }
+  map.push(offset);
+  return { text, map };
+};
+export const normalize = (value) => fold(value).text.trim();
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Every query word must match some field, exactly, as the start of a word, or
+// within a typo or two. Fields count by weight, so a name match outranks one
+// deep in a biography.
+export const SEARCH_FIELDS = { name: 10, label: 4, repertoire: 6, engagements: 4, location: 4, bio: 1 };
+
+// search.json entries, with each field folded and split into words once.
+export const indexEntries = (entries) =>
+  entries.map((entry) => ({
+    entry,
+    fields: Object.entries(SEARCH_FIELDS)
+      .filter(([name]) => entry[name])
+      .map(([name, weight]) => {
+        const folded = fold(entry[name]);
+        const words = Array.from(folded.text.matchAll(WORD), (m) => ({ word: m[0], start: m.index }));
+        return { name, weight, source: entry[name], ...folded, words };
+      }),
+  }));
+
+// Edit distance with transpositions ("Violteta"), giving up above `max`.
+export const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) value = Math.min(value, before[j - 2] + 1);
+      row.push(value);
+      best = Math.min(best, value);
+    }
+    if (best > max) return max + 1;
+    before = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+// The best match of one query word in one field, as { score, start, end }
+// in folded positions. The last word may still be being typed, so it also
+// matches the start of a longer word.
+export const matchWord = (field, term, isLast) => {
+  let best = null;
+  const consider = (score, start, end) => {
+    if (!best || score > best.score) best = { score, start, end };
+  };
+  // Whole words beat word starts, which beat matches inside a word.
+  const isWordChar = (char) => Boolean(char) && /[\p{L}\p{N}]/u.test(char);
+  for (let at = field.text.indexOf(term); at !== -1; at = field.text.indexOf(term, at + 1)) {
+    const end = at + term.length;
+    const startsWord = !isWordChar(field.text[at - 1]);
+    consider(startsWord ? (isWordChar(field.text[end]) ? 0.9 : 1) : 0.5, at, end);
+    if (best.score === 1) return best;
+  }
+  if (best?.score >= 0.9) return best;
+  const typos = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  if (!typos) return best;
+  for (const { word, start } of field.words) {
+    let distance = editDistance(term, word, typos);
+    if (isLast && word.length > term.length) distance = Math.min(distance, editDistance(term, word.slice(0, term.length), typos));
+    if (distance <= typos) consider(0.7 - 0.2 * distance, start, start + word.length);
+  }
+  return best;
+};
+
+export const searchEntries = (items, query, limit = Infinity) => {
+  const terms = Array.from(new Set(fold(query).text.match(WORD) || []));
+  if (!terms.length) return [];
+  const results = [];
+  for (const item of items) {
+    const hits = [];
+    for (const [index, term] of terms.entries()) {
+      let hit = null;
+      for (const field of item.fields) {
+        const match = matchWord(field, term, index === terms.length - 1);
+        if (match && (!hit || match.score * field.weight > hit.value)) hit = { ...match, field, value: match.score * field.weight };
+      }
+      if (!hit) break;
+      hits.push(hit);
+    }
+    if (hits.length === terms.length) {
+      results.push({ entry: item.entry, hits, score: hits.reduce((sum, hit) => sum + hit.value, 0) });
+    }
+  }
+  return results.sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name)).slice(0, limit);
+};
+
+// `field`'s text split into plain strings and { mark } pieces for its hits,
+// in original (unfolded) positions. With a `radius` it is cut down, at word
+// breaks, to a snippet around the first hit.
+export const highlightParts = (field, hits, { radius = 0 } = {}) => {
+  const source = field.source;
+  const ranges = hits
+    .filter((hit) => hit.field === field)
+    .map((hit) => [field.map[hit.start], field.map[hit.end]])
+    .sort((a, b) => a[0] - b[0]);
+  let from = 0;
+  let to = source.length;
+  if (radius && ranges.length) {
+    from = Math.max(0, ranges[0][0] - radius);
+    to = Math.min(source.length, ranges[0][1] + radius * 2);
+    if (from > 0) from = source.indexOf(" ", from) + 1 || from;
+    if (to < source.length) to = Math.max(source.lastIndexOf(" ", to), ranges[0][1]);
+  }
+  const parts = [];
+  let pos = from;
+  if (from > 0) parts.push("… ");
+  for (const [start, end] of ranges) {
+    if (start < pos || end > to) continue;
+    parts.push(source.slice(pos, start), { mark: source.slice(start, end) });
+    pos = end;
+  }
+  parts.push(source.slice(pos, to));
+  if (to < source.length) parts.push(" …");
+  return parts.filter((part) => part !== "");
+};
@@ -1,3 +1,5 @@
+import { highlightParts, indexEntries, normalize, searchEntries } from "./search.js";
+
 (() => {
   const path = window.location.pathname.replace(/\/+$/, "/");
   const candidates = new Set([path, path.replace(/\/index\.html$/, "/")]);
@@ -11,45 +13,233 @@
     }
   }
 
+  for (const button of document.querySelectorAll("[data-print]")) {
+    button.addEventListener("click", () => window.print());
+  }
+
+  // Search over the build's search.json; the matching itself is in search.js.
+  const indexes = new Map();
+  const loadSearchIndex = (url) => {
+    if (!indexes.has(url)) {
+      indexes.set(
+        url,
+        fetch(url)
+          .then((res) => (res.ok ? res.json() : { entries: [] }))
+          .then(({ entries = [] }) => indexEntries(entries))
+          .catch(() => [])
+      );
+    }
+    return indexes.get(url);
+  };
+
+  // Appends the field's text to `parent` with the hits wrapped in <mark>.
+  const appendHighlighted = (parent, field, hits, options) => {
+    for (const part of highlightParts(field, hits, options)) {
+      if (typeof part === "string") {
+        parent.append(part);
+      } else {
+        const mark = document.createElement("mark");
+        mark.textContent = part.mark;
+        parent.append(mark);
+      }
+    }
+  };
+
+  const siteSearch = document.querySelector("[data-site-search]");
+  if (siteSearch) {
+    const input = siteSearch.querySelector("input[type=search]");
+    const list = siteSearch.querySelector("[role=listbox]");
+    const indexUrl = siteSearch.getAttribute("data-index");
+    const emptyText = siteSearch.getAttribute("data-empty") || "";
+    let options = [];
+    let active = -1;
+
+    const close = () => {
+      list.hidden = true;
+      input.setAttribute("aria-expanded", "false");
+      input.removeAttribute("aria-activedescendant");
+      active = -1;
+    };
+    const highlight = (index) => {
+      options.forEach((option, i) => option.setAttribute("aria-selected", String(i === index)));
+      active = index;
+      if (options[index]) input.setAttribute("aria-activedescendant", options[index].id);
+      else input.removeAttribute("aria-activedescendant");
+    };
+
+    const show = async () => {
+      const query = input.value;
+      if (!query.trim()) {
+        close();
+        return;
+      }
+      const results = searchEntries(await loadSearchIndex(indexUrl), query, 8);
+      if (query !== input.value) return;
+      options = results.map(({ entry, hits }, i) => {
+        const item = document.createElement("li");
+        item.id = `site-search-option-${i}`;
+        item.setAttribute("role", "option");
+        const link = document.createElement("a");
+        link.href = entry.url;
+        link.tabIndex = -1;
+        const title = document.createElement("strong");
+        const nameHits = hits.filter((hit) => hit.field.name === "name");
+        if (nameHits.length) appendHighlighted(title, nameHits[0].field, nameHits);
+        else title.textContent = entry.name;
+        link.append(title);
+        if (entry.label) {
+          const label = document.createElement("span");
+          label.className = "meta";
+          label.textContent = ` · ${entry.label}`;
+          link.append(label);
+        }
+        // A snippet from the best-scoring field other than the name.
+        const best = hits.filter((hit) => hit.field.name !== "name" && hit.field.name !== "label").sort((a, b) => b.value - a.value)[0];
+        if (best) {
+          const text = document.createElement("span");
+          text.className = "site-search__snippet";
+          appendHighlighted(text, best.field, hits, { radius: 40 });
+          link.append(text);
+        }
+        item.append(link);
+        return item;
+      });
+      if (!options.length) {
+        const item = document.createElement("li");
+        item.className = "site-search__empty meta";
+        item.textContent = emptyText;
+        list.replaceChildren(item);
+      } else {
+        list.replaceChildren(...options);
+      }
+      list.hidden = false;
+      input.setAttribute("aria-expanded", "true");
+      highlight(-1);
+    };
+
+    input.addEventListener("focus", () => loadSearchIndex(indexUrl), { once: true });
+    input.addEventListener("input", show);
+    input.addEventListener("keydown", (event) => {
+      if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        if (!options.length) return;
+        event.preventDefault();
+        // Cycles through the options and back to the input (-1).
+        const count = options.length + 1;
+        highlight(((active + 1 + (event.key === "ArrowDown" ? 1 : -1) + count) % count) - 1);
+      } else if (event.key === "Enter" && options[active]) {
+        event.preventDefault();
+        window.location.href = options[active].querySelector("a").href;
+      } else if (event.key === "Escape") {
+        close();
+      }
+    });
+    siteSearch.addEventListener("focusout", (event) => {
+      if (!siteSearch.contains(event.relatedTarget)) close();
+    });
+  }
+
   const rosterControls = document.querySelector("[data-roster-controls]");
   if (rosterControls) {
     const searchInput = document.getElementById("roster-search");
-    const typeSelect = document.getElementById("roster-filter");
+    const sortSelect = document.getElementById("roster-sort");
+    const groupToggle = document.getElementById("roster-group");
     const countEl = document.getElementById("roster-count");
     const emptyEl = document.getElementById("roster-empty");
+    const results = document.querySelector("[data-roster-results]");
+    const facets = Array.from(rosterControls.querySelectorAll("[data-facet]"));
     const cards = Array.from(document.querySelectorAll("[data-artist-card]"));
+    // The grouped, server-rendered layout (and its jump menu) is the no-JS
+    // fallback; from here on `layout` arranges the cards.
+    rosterControls.hidden = false;
+    document.querySelector("[data-roster-jump]")?.setAttribute("hidden", "");
 
-    const normalize = (value) =>
-      String(value || "")
-        .toLowerCase()
-        .normalize("NFKD")
-        .replace(/\p{Diacritic}/gu, "")
-        .trim();
+    const attr = (card, name) => card.getAttribute(name) || "";
+    // Artists the search index finds for the query (bios, repertoire,
+    // engagements, typos), on top of the cards' own name/discipline text.
+    const indexUrl = document.querySelector("[data-site-search]")?.getAttribute("data-index");
+    let searchIndex = [];
+    const cardValues = {
+      type: (card) => [attr(card, "data-type")],
+      loc: (card) => [attr(card, "data-loc")],
+      rep: (card) => attr(card, "data-rep").split("|"),
+    };
+    const order = (card) => Number(attr(card, "data-order"));
+    // "recent": newest addedOn first; artists without one keep their roster order after them.
+    const comparators = {
+      "": (a, b) => order(a) - order(b),
+      name: (a, b) => attr(a, "data-sort-name").localeCompare(attr(b, "data-sort-name")) || order(a) - order(b),
+      surname: (a, b) => attr(a, "data-sort-surname").localeCompare(attr(b, "data-sort-surname")) || order(a) - order(b),
+      recent: (a, b) => attr(b, "data-added").localeCompare(attr(a, "data-added")) || order(a) - order(b),
+    };
+
+    const checkedValues = (facet) =>
+      Array.from(facet.querySelectorAll("input[type=checkbox]:checked")).map((input) => input.value);
+
+    const grid = (items) => {
+      const el = document.createElement("div");
+      el.className = "artist-grid";
+      el.append(...items);
+      return el;
+    };
+
+    const layout = (shown, grouped) => {
+      if (!grouped) {
+        results.replaceChildren(grid(shown));
+        return;
+      }
+      // A stable sort, so each group keeps the chosen order.
+      const groups = new Map();
+      const byGroup = (a, b) =>
+        Number(attr(a, "data-group-rank")) - Number(attr(b, "data-group-rank")) ||
+        attr(a, "data-group").localeCompare(attr(b, "data-group"));
+      for (const card of [...shown].sort(byGroup)) {
+        const name = attr(card, "data-group");
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(card);
+      }
+      results.replaceChildren(
+        ...Array.from(groups, ([name, items]) => {
+          const section = document.createElement("section");
+          section.className = "roster__group";
+          const heading = document.createElement("h3");
+          heading.className = "roster__group-title";
+          heading.textContent = name;
+          section.append(heading, grid(items));
+          return section;
+        })
+      );
+    };
 
     const apply = () => {
       const query = normalize(searchInput?.value || "");
-      const type = (typeSelect?.value || "").trim();
-      let shown = 0;
+      const selected = facets.map((facet) => ({ name: facet.getAttribute("data-facet"), values: checkedValues(facet) }));
+      const sort = sortSelect?.value || "";
+      const grouped = Boolean(groupToggle?.checked);
 
-      for (const card of cards) {
-        const hay = card.getAttribute("data-name") || "";
-        const cardType = card.getAttribute("data-type") || "";
-        const matchesQuery = !query || hay.includes(query);
-        const matchesType = !type || cardType === type;
-        const show = matchesQuery && matchesType;
-        card.style.display = show ? "" : "none";
-        if (show) shown += 1;
-      }
+      const found = new Set(query ? searchEntries(searchIndex, query).map(({ entry }) => entry.slug) : []);
+      const shown = cards
+        .filter((card) => !query || attr(card, "data-name").includes(query) || found.has(attr(card, "data-slug")))
+        .filter((card) =>
+          selected.every(({ name, values }) => !values.length || cardValues[name](card).some((v) => values.includes(v)))
+        )
+        .sort(comparators[sort] || comparators[""]);
+      layout(shown, grouped);
 
-      if (countEl) countEl.textContent = String(shown);
-      if (emptyEl) emptyEl.style.display = shown === 0 ? "" : "none";
+      for (const facet of facets) {
+        const count = checkedValues(facet).length;
+        const badge = facet.querySelector("[data-facet-count]");
+        if (badge) badge.textContent = count ? ` (${count})` : "";
+      }
+      if (countEl) countEl.textContent = String(shown.length);
+      if (emptyEl) emptyEl.style.display = shown.length === 0 ? "" : "none";
 
       try {
         const url = new URL(window.location.href);
+        for (const key of ["q", "sort", "group", ...selected.map(({ name }) => name)]) url.searchParams.delete(key);
         if (query) url.searchParams.set("q", query);
-        else url.searchParams.delete("q");
-        if (type) url.searchParams.set("type", type);
-        else url.searchParams.delete("type");
+        for (const { name, values } of selected) for (const value of values) url.searchParams.append(name, value);
+        if (sort) url.searchParams.set("sort", sort);
+        if (grouped) url.searchParams.set("group", "type");
         window.history.replaceState({}, "", url.toString());
       } catch {
         // ignore
@@ -59,15 +249,81 @@
     try {
       const url = new URL(window.location.href);
       const q = url.searchParams.get("q") || "";
-      const t = url.searchParams.get("type") || "";
       if (searchInput && q) searchInput.value = q;
-      if (typeSelect && t) typeSelect.value = t;
+      for (const facet of facets) {
+        const values = url.searchParams.getAll(facet.getAttribute("data-facet"));
+        for (const input of facet.querySelectorAll("input[type=checkbox]")) input.checked = values.includes(input.value);
+      }
+      const sort = url.searchParams.get("sort") || "";
+      if (sortSelect && sort in comparators) sortSelect.value = sort;
+      if (groupToggle) groupToggle.checked = url.searchParams.get("group") === "type";
     } catch {
       // ignore
     }
 
     searchInput?.addEventListener("input", apply);
-    typeSelect?.addEventListener("change", apply);
+    sortSelect?.addEventListener("change", apply);
+    groupToggle?.addEventListener("change", apply);
+    for (const facet of facets) facet.addEventListener("change", apply);
+    apply();
+    if (indexUrl) {
+      loadSearchIndex(indexUrl).then((items) => {
+        searchIndex = items;
+        if (searchInput?.value) apply();
+      });
+    }
+  }
+
+  const calendarControls = document.querySelector("[data-calendar-controls]");
+  if (calendarControls) {
+    const artistSelect = document.getElementById("calendar-artist");
+    const monthSelect = document.getElementById("calendar-month");
+    const emptyEl = document.getElementById("calendar-empty");
+    const months = Array.from(document.querySelectorAll("[data-calendar-month]"));
+
+    const apply = () => {
+      const artist = artistSelect?.value || "";
+      const month = monthSelect?.value || "";
+      let shown = 0;
+
+      for (const group of months) {
+        let groupShown = 0;
+        const inMonth = !month || group.getAttribute("data-calendar-month") === month;
+        for (const item of group.querySelectorAll("[data-engagement]")) {
+          const show = inMonth && (!artist || item.getAttribute("data-artist") === artist);
+          item.style.display = show ? "" : "none";
+          if (show) groupShown += 1;
+        }
+        group.style.display = groupShown ? "" : "none";
+        shown += groupShown;
+      }
+
+      if (emptyEl) emptyEl.style.display = shown === 0 ? "" : "none";
+
+      try {
+        const url = new URL(window.location.href);
+        if (artist) url.searchParams.set("artist", artist);
+        else url.searchParams.delete("artist");
+        if (month) url.searchParams.set("month", month);
+        else url.searchParams.delete("month");
+        window.history.replaceState({}, "", url.toString());
+      } catch {
+        // ignore
+      }
+    };
+
+    try {
+      const url = new URL(window.location.href);
+      const a = url.searchParams.get("artist") || "";
+      const m = url.searchParams.get("month") || "";
+      if (artistSelect && a) artistSelect.value = a;
+      if (monthSelect && m) monthSelect.value = m;
+    } catch {
+      // ignore
+    }
+
+    artistSelect?.addEventListener("change", apply);
+    monthSelect?.addEventListener("change", apply);
     apply();
   }
 
@@ -78,9 +334,61 @@
 
   if (isLocalhost) {
     try {
-      const es = new EventSource("/__reload");
+      const es = new EventSource(`/__reload?page=${encodeURIComponent(window.location.pathname)}`);
       es.addEventListener("reload", () => window.location.reload());
+      // Swap changed stylesheets without reloading: load a fresh copy next to
+      // the old <link> and drop the old one once it has applied.
+      es.addEventListener("css", (event) => {
+        const changed = JSON.parse(event.data);
+        document.querySelectorAll('link[rel="stylesheet"]').forEach((link) => {
+          const url = new URL(link.href);
+          if (!changed.some((p) => url.pathname.endsWith(p))) return;
+          url.searchParams.set("v", String(Date.now()));
+          const next = link.cloneNode();
+          next.href = url.href;
+          next.addEventListener("load", () => link.remove());
+          next.addEventListener("error", () => next.remove());
+          link.after(next);
+        });
+      });
       es.addEventListener("message", () => window.location.reload());
+
+      // Build errors (invalid JSON, a duplicate slug, …) are shown over the
+      // page, which is now out of date, until the next build succeeds.
+      let overlay = null;
+      const hideError = () => {
+        overlay?.remove();
+        overlay = null;
+      };
+      es.addEventListener("build-error", (event) => {
+        const error = JSON.parse(event.data);
+        hideError();
+        overlay = document.createElement("div");
+        overlay.setAttribute("role", "alert");
+        overlay.style.cssText =
+          "position:fixed;inset:0;z-index:2147483647;overflow:auto;padding:2rem;" +
+          "background:rgba(24,24,27,.95);color:#f4f4f5;font:14px/1.5 ui-monospace,Menlo,Consolas,monospace;";
+        const add = (tag, text, css) => {
+          const el = document.createElement(tag);
+          el.textContent = text;
+          el.style.cssText = css;
+          overlay.append(el);
+          return el;
+        };
+        add("h2", "Build failed", "margin:0 0 .5rem;font-size:1.25rem;color:#fca5a5;");
+        add("p", error.location ? `${error.message}\n${error.location}` : error.message, "margin:0;white-space:pre-wrap;");
+        for (const issue of error.issues) {
+          const got = issue.value === undefined ? "" : ` (got ${JSON.stringify(issue.value).slice(0, 80)})`;
+          add("p", `${issue.file}  ${issue.path}`, "margin:1rem 0 0;color:#fcd34d;");
+          add("p", `${issue.message}${got}`, "margin:0;white-space:pre-wrap;");
+        }
+        add("p", "Fix the problem and save; this goes away when the site builds again.", "margin:1.5rem 0 1rem;opacity:.7;");
+        const dismiss = add("button", "Dismiss", "font:inherit;padding:.25rem .75rem;cursor:pointer;");
+        dismiss.type = "button";
+        dismiss.addEventListener("click", hideError);
+        document.body.append(overlay);
+      });
+      es.addEventListener("build-ok", hideError);
     } catch {
       // ignore
     }
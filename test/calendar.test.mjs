@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(here, "..");
+
+const engagements = [
+  {
+    artist: "hailey-clark",
+    role: "Fiordiligi",
+    work: "Così fan tutte",
+    composer: "Mozart",
+    company: "Palm Beach Opera",
+    venue: "Kravis Center",
+    city: "West Palm Beach",
+    dates: ["2026-02-20", "2026-03-05", "2026-03-07"],
+    time: "19:30",
+    timeZone: "America/New_York",
+    link: "https://example.org/cosi",
+  },
+  {
+    artist: "barbora-horakova",
+    role: "Stage director",
+    work: "Madama Butterfly",
+    composer: "Puccini",
+    company: "Grand Théâtre de Genève",
+    city: "Genève",
+    dates: ["2026-04-12", "2026-04-15"],
+  },
+  { artist: "nicole-chevalier", role: "Antonia", work: "Les contes d'Hoffmann", dates: ["2026-01-10"] },
+];
+
+let dir;
+
+// A copy of the site with a few engagements, one of them entirely past
+// (BUILD_DATE is 2026-03-02), built in place.
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "calendar-"));
+  for (const sub of ["data", "bios", "src", "themes", "scripts", ".cache"]) {
+    await fs.cp(path.join(repoRoot, sub), path.join(dir, sub), { recursive: true }).catch((err) => {
+      if (err.code !== "ENOENT") throw err;
+    });
+  }
+  await writeEngagements(engagements);
+  const result = spawnSync(process.execPath, [path.join(dir, "scripts", "build.mjs")], {
+    cwd: dir,
+    encoding: "utf8",
+    env: { ...process.env, BUILD_DATE: "2026-03-02", BASE_PATH: "", BASE_URL: "" },
+  });
+  assert.equal(result.status, 0, result.stderr);
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function writeEngagements(list) {
+  await fs.writeFile(path.join(dir, "data", "engagements.json"), `${JSON.stringify({ engagements: list }, null, 2)}\n`);
+}
+
+function read(relPath) {
+  return fs.readFile(path.join(dir, "dist", relPath), "utf8");
+}
+
+function icsLines(ics) {
+  return ics.replace(/\r\n /g, "").split("\r\n");
+}
+
+test("artist pages list only upcoming dates, with the curtain time", async () => {
+  const html = await read("artists/hailey-clark/index.html");
+  assert.match(html, /<time class="engagement__date" datetime="2026-03-05">Mar 5\s–\s7, 2026, 7:30\sPM<\/time>/);
+  assert.match(await read("de/artists/hailey-clark/index.html"), /datetime="2026-03-05">5\.–7\. März 2026, 19:30<\/time>/);
+  assert.match(html, /href="\/calendar\/hailey-clark\.ics"/);
+  assert.doesNotMatch(await read("artists/nicole-chevalier/index.html"), /Les contes d&#39;Hoffmann|class="panel upcoming"/);
+});
+
+test("the calendar page lists upcoming performances by month", async () => {
+  const html = await read("calendar/index.html");
+  assert.match(html, /Così fan tutte/);
+  assert.match(html, /<time class="engagement__date" datetime="2026-04-12">Apr 12\s–\s15, 2026<\/time>/);
+  assert.doesNotMatch(html, /Hoffmann/);
+});
+
+test("the roster feed has every date, past ones too", async () => {
+  const lines = icsLines(await read("calendar/roster.ics"));
+  assert.equal(lines.filter((line) => line === "BEGIN:VEVENT").length, 6);
+  // 19:30 in West Palm Beach is 00:30 UTC the next day.
+  assert.ok(lines.includes("DTSTART:20260221T003000Z"));
+  assert.ok(lines.includes("DTSTART:20260306T003000Z"));
+  assert.ok(lines.includes("DTSTART;VALUE=DATE:20260412"));
+  assert.ok(lines.includes("DTEND;VALUE=DATE:20260413"));
+  assert.ok(lines.includes("DTSTART;VALUE=DATE:20260110"));
+  assert.ok(lines.includes("SUMMARY:Hailey Clark — Fiordiligi\\, Così fan tutte"));
+  assert.ok(lines.includes("LOCATION:Kravis Center\\, West Palm Beach"));
+  assert.ok(lines.includes("DESCRIPTION:Madama Butterfly (Puccini) — Grand Théâtre de Genève"));
+});
+
+test("each artist with engagements gets their own feed", async () => {
+  const lines = icsLines(await read("calendar/hailey-clark.ics"));
+  assert.equal(lines.filter((line) => line === "BEGIN:VEVENT").length, 3);
+  assert.ok(lines.every((line) => !line.startsWith("SUMMARY:") || line.startsWith("SUMMARY:Hailey Clark")));
+});
+
+test("rejects a time without a time zone, and malformed times and zones", async () => {
+  await writeEngagements([{ ...engagements[0], timeZone: undefined }, { ...engagements[1], time: "7:30pm", timeZone: "Geneva" }]);
+  const result = spawnSync(process.execPath, [path.join(dir, "scripts", "validate.mjs"), "--no-cms"], { cwd: dir, encoding: "utf8" });
+  assert.equal(result.status, 1);
+  assert.match(result.stdout, /^error: data\/engagements\.json: \$\.engagements\[0\]\.timeZone: is required with a time \(got "19:30"\)$/m);
+  assert.match(result.stdout, /^error: data\/engagements\.json: \$\.engagements\[1\]\.time: must be a 24-hour time in HH:MM format/m);
+  assert.match(result.stdout, /^error: data\/engagements\.json: \$\.engagements\[1\]\.timeZone: must be an IANA time zone such as 'Europe\/Zurich'/m);
+});
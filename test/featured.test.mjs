@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { pickFeaturedArtists } from "../scripts/build.mjs";
+
+const roster = Array.from({ length: 12 }, (_, i) => ({ slug: `artist-${i + 1}`, name: `Artist ${i + 1}` }));
+const listed = roster.slice(0, 5).map((artist) => ({ artist: artist.slug }));
+
+function pick(featured, today, artists = roster) {
+  return pickFeaturedArtists({ site: { featured }, artists, today }).map((artist) => artist.slug);
+}
+
+// 2026-03-02 is a Monday.
+const week = ["2026-03-02", "2026-03-03", "2026-03-04", "2026-03-05", "2026-03-06", "2026-03-07", "2026-03-08"];
+
+test("shows the roster's first nine without a featured list", () => {
+  assert.deepEqual(pick(undefined, "2026-03-02"), roster.slice(0, 9).map((a) => a.slug));
+  assert.deepEqual(pick({ count: 3 }, "2026-03-02"), ["artist-1", "artist-2", "artist-3"]);
+});
+
+test("count: 0 shows nobody", () => {
+  assert.deepEqual(pick({ count: 0 }, "2026-03-02"), []);
+  assert.deepEqual(pick({ count: 0, artists: listed }, "2026-03-02"), []);
+  assert.deepEqual(pick({ count: 0, rotation: "weekly", artists: listed }, "2026-03-02"), []);
+});
+
+test("without rotation, shows the first listed artists in order", () => {
+  assert.deepEqual(pick({ count: 2, artists: listed }, "2026-03-02"), ["artist-1", "artist-2"]);
+  assert.deepEqual(pick({ count: 2, rotation: "none", artists: listed }, "2026-03-09"), ["artist-1", "artist-2"]);
+});
+
+test("a weekly rotation is the same all week, Monday to Sunday", () => {
+  const featured = { count: 2, rotation: "weekly", artists: listed };
+  const first = pick(featured, week[0]);
+  assert.equal(first.length, 2);
+  for (const day of week) assert.deepEqual(pick(featured, day), first, day);
+});
+
+test("a weekly rotation moves on by count at the week boundary", () => {
+  const featured = { count: 2, rotation: "weekly", artists: listed };
+  const slugs = listed.map((entry) => entry.artist);
+  const sunday = pick(featured, "2026-03-08");
+  const monday = pick(featured, "2026-03-09");
+  assert.notDeepEqual(monday, sunday);
+  const start = slugs.indexOf(sunday[0]);
+  assert.deepEqual(monday, [slugs[(start + 2) % 5], slugs[(start + 3) % 5]]);
+  // Over five weeks every listed artist gets a turn.
+  const shown = new Set(["2026-03-02", "2026-03-09", "2026-03-16", "2026-03-23", "2026-03-30"].flatMap((day) => pick(featured, day)));
+  assert.equal(shown.size, 5);
+});
+
+test("a daily rotation changes each day", () => {
+  const featured = { count: 2, rotation: "daily", artists: listed };
+  assert.deepEqual(pick(featured, "2026-03-02"), pick(featured, "2026-03-02"));
+  assert.notDeepEqual(pick(featured, "2026-03-03"), pick(featured, "2026-03-02"));
+});
+
+test("doesn't rotate when everyone eligible fits", () => {
+  assert.deepEqual(pick({ count: 9, rotation: "daily", artists: listed }, "2026-03-05"), listed.map((entry) => entry.artist));
+});
+
+test("leaves out drafts, whether listed or from the roster", () => {
+  const artists = roster.map((artist) => (artist.slug === "artist-1" || artist.slug === "artist-3" ? { ...artist, draft: { reason: "draft" } } : artist));
+  assert.deepEqual(pick({ count: 3, artists: listed }, "2026-03-02", artists), ["artist-2", "artist-4", "artist-5"]);
+  assert.deepEqual(pick({ count: 3 }, "2026-03-02", artists), ["artist-2", "artist-4", "artist-5"]);
+  const onlyDrafts = [{ artist: "artist-1" }, { artist: "artist-3" }];
+  assert.deepEqual(pick({ count: 2, artists: onlyDrafts }, "2026-03-02", artists), ["artist-2", "artist-4"]);
+});
+
+test("features an artist only from `from` to `until`, both days included", () => {
+  const featured = { count: 3, artists: [{ artist: "artist-1" }, { artist: "artist-2", from: "2026-03-02", until: "2026-03-08" }] };
+  assert.deepEqual(pick(featured, "2026-03-01"), ["artist-1"]);
+  assert.deepEqual(pick(featured, "2026-03-02"), ["artist-1", "artist-2"]);
+  assert.deepEqual(pick(featured, "2026-03-08"), ["artist-1", "artist-2"]);
+  assert.deepEqual(pick(featured, "2026-03-09"), ["artist-1"]);
+});
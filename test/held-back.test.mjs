@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { heldBack } from "../scripts/build.mjs";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(here, "..");
+
+test("drafts and hidden alumni are held back whatever their dates", () => {
+  assert.deepEqual(heldBack({ status: "draft" }, "2026-03-02"), { reason: "draft" });
+  assert.deepEqual(heldBack({ status: "draft", publishAt: "2026-01-01" }, "2026-03-02"), { reason: "draft" });
+  assert.deepEqual(heldBack({ status: "alumni-hidden" }, "2026-03-02"), { reason: "hidden" });
+  assert.equal(heldBack({ status: "published" }, "2026-03-02"), null);
+  assert.equal(heldBack({}, "2026-03-02"), null);
+});
+
+test("an artist is shown from the publishAt day on", () => {
+  const artist = { publishAt: "2026-03-02" };
+  assert.deepEqual(heldBack(artist, "2026-03-01"), { reason: "scheduled", date: "2026-03-02" });
+  assert.equal(heldBack(artist, "2026-03-02"), null);
+  assert.equal(heldBack(artist, "2026-03-03"), null);
+});
+
+test("an artist is taken off on the unpublishAt day", () => {
+  const artist = { unpublishAt: "2026-03-02" };
+  assert.equal(heldBack(artist, "2026-03-01"), null);
+  assert.deepEqual(heldBack(artist, "2026-03-02"), { reason: "unpublished", date: "2026-03-02" });
+  assert.deepEqual(heldBack(artist, "2026-03-03"), { reason: "unpublished", date: "2026-03-02" });
+});
+
+test("an artist with both dates is shown only in between", () => {
+  const artist = { publishAt: "2026-03-01", unpublishAt: "2026-03-31" };
+  assert.equal(heldBack(artist, "2026-02-28")?.reason, "scheduled");
+  assert.equal(heldBack(artist, "2026-03-01"), null);
+  assert.equal(heldBack(artist, "2026-03-30"), null);
+  assert.equal(heldBack(artist, "2026-03-31")?.reason, "unpublished");
+});
+
+let dir;
+
+// A copy of the site with one draft and one unpublished artist, built in place
+// (the build works in the current directory; the themes import scripts/lib).
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "held-back-"));
+  for (const sub of ["data", "bios", "src", "themes", "scripts", ".cache"]) {
+    await fs.cp(path.join(repoRoot, sub), path.join(dir, sub), { recursive: true }).catch((err) => {
+      if (err.code !== "ENOENT") throw err;
+    });
+  }
+  const file = path.join(dir, "data", "artists.json");
+  const data = JSON.parse(await fs.readFile(file, "utf8"));
+  data.artists.find((a) => a.slug === "andrew-turner").status = "draft";
+  data.artists.find((a) => a.slug === "ruby-dibble").unpublishAt = "2026-03-02";
+  await fs.writeFile(file, JSON.stringify(data, null, 2));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function build(args = []) {
+  const result = spawnSync(process.execPath, [path.join(dir, "scripts", "build.mjs"), ...args], {
+    cwd: dir,
+    encoding: "utf8",
+    env: { ...process.env, BUILD_DATE: "2026-03-02" },
+  });
+  assert.equal(result.status, 0, result.stderr);
+  return result.stdout;
+}
+
+async function distFiles(prefix) {
+  const names = await fs.readdir(path.join(dir, "dist", "assets", "people"));
+  return names.filter((name) => name.startsWith(prefix));
+}
+
+test("held-back artists' headshots are not copied to dist/", async () => {
+  const report = build();
+  assert.match(report, /Held back \(build with --drafts to preview\): ruby-dibble \(unpublished on 2026-03-02\), andrew-turner \(draft\)/);
+  assert.deepEqual(await distFiles("andrew-turner"), []);
+  assert.deepEqual(await distFiles("ruby-dibble"), []);
+  await assert.rejects(fs.access(path.join(dir, "dist", "artists", "andrew-turner", "index.html")));
+  assert.ok((await distFiles("marcus-shields")).includes("marcus-shields-320.jpg"));
+  assert.ok((await distFiles("marcus-shields")).includes("marcus-shields.jpg"));
+});
+
+test("--drafts builds them with their headshots", async () => {
+  build(["--drafts"]);
+  assert.ok((await distFiles("andrew-turner")).includes("andrew-turner.jpg"));
+  assert.ok((await distFiles("ruby-dibble")).includes("ruby-dibble-320.jpg"));
+  await fs.access(path.join(dir, "dist", "artists", "andrew-turner", "index.html"));
+});
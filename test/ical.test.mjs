@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { escapeText, foldLine, renderCalendar, zonedDateTime } from "../scripts/lib/ical.mjs";
+
+const calendar = { prodId: "-//Test Artists//Engagements//EN", name: "Test Artists", stamp: "2026-03-02" };
+
+// The unfolded content lines of a calendar, without the CRLF endings.
+function contentLines(ics) {
+  return ics.replace(/\r\n /g, "").split("\r\n").slice(0, -1);
+}
+
+test("escapes backslashes, commas, semicolons and newlines", () => {
+  assert.equal(escapeText("Salle Garnier, Paris; 2nd act\nrevival \\ new"), "Salle Garnier\\, Paris\\; 2nd act\\nrevival \\\\ new");
+  assert.equal(escapeText("one\r\ntwo"), "one\\ntwo");
+  assert.equal(escapeText(undefined), "");
+});
+
+test("folds lines longer than 75 octets, counting bytes not characters", () => {
+  const short = `SUMMARY:${"a".repeat(67)}`;
+  assert.equal(foldLine(short), short);
+  const long = `SUMMARY:${"a".repeat(150)}`;
+  const folded = foldLine(long);
+  const parts = folded.split("\r\n");
+  assert.deepEqual(
+    parts.map((part) => part.length),
+    [75, 75, 10]
+  );
+  assert.ok(parts.slice(1).every((part) => part.startsWith(" ")));
+  assert.equal(folded.replace(/\r\n /g, ""), long);
+
+  // "é" is two octets; a character is never split across lines.
+  const accented = foldLine(`LOCATION:${"é".repeat(60)}`);
+  for (const part of accented.split("\r\n")) assert.ok(Buffer.byteLength(part) <= 75, part);
+  assert.equal(accented.replace(/\r\n /g, ""), `LOCATION:${"é".repeat(60)}`);
+  assert.equal(Buffer.byteLength(accented.split("\r\n")[0]), 75);
+  assert.equal(Buffer.byteLength(foldLine(`X:${"é".repeat(40)}`).split("\r\n")[0]), 74);
+});
+
+test("writes all-day events ending the next day, across month and year ends", () => {
+  const ics = renderCalendar({
+    ...calendar,
+    events: [
+      { uid: "a@example.org", date: "2026-01-31", summary: "Jane Doe — Tosca" },
+      { uid: "b@example.org", date: "2026-12-31", summary: "Jane Doe — Die Fledermaus" },
+    ],
+  });
+  const lines = contentLines(ics);
+  assert.deepEqual(lines.slice(0, 6), [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Test Artists//Engagements//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:Test Artists",
+  ]);
+  assert.deepEqual(lines.slice(6, 15), [
+    "BEGIN:VEVENT",
+    "UID:a@example.org",
+    "DTSTAMP:20260302T000000Z",
+    "DTSTART;VALUE=DATE:20260131",
+    "DTEND;VALUE=DATE:20260201",
+    "SUMMARY:Jane Doe — Tosca",
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+  ]);
+  assert.ok(lines.includes("DTEND;VALUE=DATE:20270101"));
+  assert.equal(lines.at(-1), "END:VCALENDAR");
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.doesNotMatch(ics.replaceAll("\r\n", ""), /[\r\n]/);
+});
+
+test("writes timed events in UTC, without an end", () => {
+  const ics = renderCalendar({
+    ...calendar,
+    events: [{ uid: "a@example.org", date: "2026-04-12", time: "19:30", timeZone: "Europe/Zurich", summary: "Jane Doe — Tosca" }],
+  });
+  const lines = contentLines(ics);
+  assert.ok(lines.includes("DTSTART:20260412T173000Z"));
+  assert.equal(lines.filter((line) => line.startsWith("DTEND")).length, 0);
+});
+
+test("converts venue times to UTC on either side of daylight saving changes", () => {
+  assert.equal(zonedDateTime("2026-01-12", "19:30", "Europe/Zurich"), "20260112T183000Z");
+  assert.equal(zonedDateTime("2026-07-12", "19:30", "Europe/Zurich"), "20260712T173000Z");
+  assert.equal(zonedDateTime("2026-03-28", "20:00", "Europe/Zurich"), "20260328T190000Z");
+  assert.equal(zonedDateTime("2026-03-29", "20:00", "Europe/Zurich"), "20260329T180000Z");
+  // 19:30 in New York is the next day in UTC.
+  assert.equal(zonedDateTime("2026-11-28", "19:30", "America/New_York"), "20261129T003000Z");
+  assert.equal(zonedDateTime("2026-06-01", "19:00", "UTC"), "20260601T190000Z");
+});
+
+test("escapes and folds event text", () => {
+  const ics = renderCalendar({
+    ...calendar,
+    name: "Test Artists, Inc.",
+    events: [
+      {
+        uid: "a@example.org",
+        date: "2026-04-12",
+        summary: "Jane Doe — Cio-Cio-San, Madama Butterfly",
+        location: "Grand Théâtre de Genève; Boulevard du Théâtre, Genève",
+        description: `Madama Butterfly (Puccini) — Grand Théâtre de Genève\nNew production; ${"long text ".repeat(8)}`,
+        url: "https://example.org/butterfly?a=1,2",
+      },
+    ],
+  });
+  const lines = contentLines(ics);
+  assert.ok(lines.includes("X-WR-CALNAME:Test Artists\\, Inc."));
+  assert.ok(lines.includes("SUMMARY:Jane Doe — Cio-Cio-San\\, Madama Butterfly"));
+  assert.ok(lines.includes("LOCATION:Grand Théâtre de Genève\\; Boulevard du Théâtre\\, Genève"));
+  assert.ok(lines.some((line) => line.startsWith("DESCRIPTION:Madama Butterfly (Puccini) — Grand Théâtre de Genève\\nNew production\\; long")));
+  // URLs are URI values, not text, so their commas are left alone.
+  assert.ok(lines.includes("URL:https://example.org/butterfly?a=1,2"));
+  for (const line of ics.split("\r\n")) assert.ok(Buffer.byteLength(line) <= 75, line);
+});
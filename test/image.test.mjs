@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { decodeImage, imageInfo } from "../scripts/lib/image.mjs";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+// Stored as 50×40 with EXIF orientation 6 (turn clockwise), so it displays as
+// a 40×50 (4:5) portrait. Left half red, bottom half blue, as stored.
+const rotated = path.join(here, "fixtures", "orientation-6.jpg");
+
+test("imageInfo reports the size after EXIF orientation", async () => {
+  assert.deepEqual(imageInfo(await fs.readFile(rotated)), { type: "image/jpeg", width: 40, height: 50 });
+});
+
+test("decodeImage turns the pixels to match imageInfo", async () => {
+  const data = await fs.readFile(rotated);
+  const image = decodeImage(data);
+  const info = imageInfo(data);
+  assert.equal(image.width, info.width);
+  assert.equal(image.height, info.height);
+  // The stored bottom-left corner (red and blue) ends up top left.
+  const [r, , b] = image.data.subarray(0, 3);
+  assert.ok(r > 150 && b > 150, `expected red and blue at the top left, got ${r},${b}`);
+});
+
+test("import-headshot --check accepts a rotated 4:5 portrait", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "import-headshot-"));
+  const people = path.join(dir, "src", "assets", "people");
+  await fs.mkdir(people, { recursive: true });
+  await fs.copyFile(rotated, path.join(people, "jane-doe.jpg"));
+  const script = path.join(here, "..", "scripts", "import-headshot.mjs");
+  const result = spawnSync(process.execPath, [script, "--check"], { cwd: dir, encoding: "utf8" });
+  await fs.rm(dir, { recursive: true, force: true });
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+  assert.match(result.stdout, /All 1 headshot\(s\)/);
+});
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { extractProfile, importedValues, parseDump } from "../scripts/import-operabase.mjs";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const script = path.join(here, "..", "scripts", "import-operabase.mjs");
+const fixture = path.join(here, "fixtures", "operabase-productions.html");
+
+async function loadFixture() {
+  return parseDump(await fs.readFile(fixture, "utf8"), "operabase-productions.html");
+}
+
+// Runs the importer with `--apply` in a scratch project holding only data/artists.json.
+async function runImport(nextData) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "import-operabase-"));
+  await fs.mkdir(path.join(dir, "data"));
+  await fs.writeFile(path.join(dir, "data", "artists.json"), `${JSON.stringify({ artists: [] })}\n`);
+  await fs.writeFile(path.join(dir, "dump.json"), JSON.stringify(nextData));
+  const result = spawnSync(process.execPath, [script, "dump.json", "--apply"], { cwd: dir, encoding: "utf8" });
+  const { artists } = JSON.parse(await fs.readFile(path.join(dir, "data", "artists.json"), "utf8"));
+  await fs.rm(dir, { recursive: true, force: true });
+  return { ...result, artists };
+}
+
+test("reads the profile from a saved page", async () => {
+  const profile = extractProfile(await loadFixture(), "fixture");
+  assert.equal(profile.name, "Jane Doe");
+  assert.equal(profile.voiceType, "Soprano");
+  assert.equal(profile.operabaseUrl, "https://www.operabase.com/jane-doe-a123456/en");
+  assert.equal(profile.headshotUrl, "https://data.operabase.com/profiles/example/jane-doe-large.png");
+});
+
+test("parses productions from every production and performance query", async () => {
+  const { productions } = extractProfile(await loadFixture(), "fixture");
+  // The repeated Idomeneo run is dropped, and so is the entry without a work.
+  assert.deepEqual(productions, [
+    {
+      role: "Elettra",
+      work: "Idomeneo",
+      composer: "Wolfgang Amadeus Mozart",
+      company: "Salzburger Festspiele",
+      venue: "Felsenreitschule",
+      startDate: "2026-07-27",
+    },
+    {
+      role: "Violetta Valéry",
+      work: "La traviata",
+      composer: "Giuseppe Verdi",
+      company: "Komische Oper Berlin",
+      venue: "Schillertheater",
+      startDate: "2026-11-14",
+    },
+    { role: "", work: "Messiah", composer: "", company: "Handel and Haydn Society", venue: "", startDate: "2025-12-19" },
+  ]);
+});
+
+test("imports productions with a role as structured repertoire", async () => {
+  const values = importedValues(extractProfile(await loadFixture(), "fixture"));
+  assert.deepEqual(values.repertoire, [
+    { role: "Elettra", work: "Idomeneo", composer: "Wolfgang Amadeus Mozart" },
+    { role: "Violetta Valéry", work: "La traviata", composer: "Giuseppe Verdi" },
+  ]);
+  assert.equal("repertoireHighlights" in values, false);
+  assert.equal(values["photo.credit"], "Operabase");
+});
+
+test("leaves out the composer when the dump doesn't name one", () => {
+  const productions = [{ role: "Norina", work: "Don Pasquale", composer: "", company: "", venue: "", startDate: "" }];
+  assert.deepEqual(importedValues({ name: "Jane Doe", productions }).repertoire, [{ role: "Norina", work: "Don Pasquale" }]);
+});
+
+test("adds a new artist without a photo path until the headshot is downloaded", async () => {
+  const { status, artists } = await runImport(await loadFixture());
+  assert.equal(status, 0);
+  assert.equal(artists.length, 1);
+  assert.equal(artists[0].slug, "jane-doe");
+  assert.equal(artists[0].voiceType, "Soprano");
+  assert.equal(artists[0].photo.path, undefined);
+  assert.equal(artists[0].photo.sourceUrl, "https://data.operabase.com/profiles/example/jane-doe-large.png");
+  assert.equal(artists[0].repertoire.length, 2);
+  assert.equal(artists[0].repertoireHighlights, undefined);
+});
+
+test("leaves voiceType unset and warns for a profession without a voice type", async () => {
+  const nextData = await loadFixture();
+  const [details] = nextData.props.pageProps.dehydratedState.queries;
+  details.state.data.professions = [{ isPrimary: true, profession: { name: "Dramaturg" } }];
+  const { status, stderr, artists } = await runImport(nextData);
+  assert.equal(status, 0);
+  assert.match(stderr, /profession 'Dramaturg' has no voice type/);
+  assert.equal("voiceType" in artists[0], false);
+});
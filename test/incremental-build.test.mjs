@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.join(here, "..");
+
+// Pages every artist edit may change: the lists that show all artists.
+const SHARED_PAGES = ["index.html", "artists/index.html", "search.json", "press/index.html", "repertoire/index.html", "repertoire/works/index.html"];
+
+let dir;
+
+// A copy of the site (with the image cache, so variants aren't re-encoded) to
+// build in, since the build reads and writes relative to the working directory.
+// scripts/ comes along because the themes import its helpers.
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "incremental-build-"));
+  for (const sub of ["data", "bios", "src", "themes", "scripts", ".cache"]) {
+    await fs.cp(path.join(repoRoot, sub), path.join(dir, sub), { recursive: true }).catch((err) => {
+      if (err.code !== "ENOENT") throw err;
+    });
+  }
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+// Runs `buildSite({ incremental: true })` in the copy and returns its report.
+function build(env = {}) {
+  const buildModule = pathToFileURL(path.join(dir, "scripts", "build.mjs")).href;
+  const script = `const { buildSite } = await import(${JSON.stringify(buildModule)});
+process.stdout.write(JSON.stringify(await buildSite({ incremental: true })));`;
+  const result = spawnSync(process.execPath, ["--input-type=module", "-e", script], {
+    cwd: dir,
+    encoding: "utf8",
+    env: { ...process.env, BUILD_DATE: "2026-03-02", BASE_PATH: "", BASE_URL: "", ...env },
+  });
+  assert.equal(result.status, 0, result.stderr);
+  return JSON.parse(result.stdout);
+}
+
+async function editJson(file, change) {
+  const filePath = path.join(dir, "data", file);
+  const data = JSON.parse(await fs.readFile(filePath, "utf8"));
+  change(data);
+  await fs.writeFile(filePath, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+// Files copied as they are, whose hash is their content alone.
+function isCopied(relPath) {
+  return /^(assets|admin|artists\/bios)\//.test(relPath) && relPath !== "admin/config.yml";
+}
+
+// "de/artists/jane-doe/index.html" → "artists/jane-doe/index.html"
+function withoutLocale(relPath) {
+  return relPath.replace(/^(de|fr|cs)\//, "");
+}
+
+test("a second build with no changes writes nothing", () => {
+  const first = build();
+  assert.ok(first.written.includes("index.html"));
+  const second = build();
+  assert.deepEqual(second.written, []);
+  assert.deepEqual(second.removed, []);
+  assert.equal(second.unchanged.length, first.written.length);
+});
+
+test("editing one artist rewrites only its pages and the shared lists", async () => {
+  await editJson("artists.json", (data) => {
+    data.artists.find((a) => a.slug === "marcus-shields").location = "Somewhere Else";
+  });
+  const { written } = build();
+  for (const locale of ["", "de/"]) {
+    assert.ok(written.includes(`${locale}artists/marcus-shields/index.html`), `${locale} artist page`);
+    assert.ok(written.includes(`${locale}press/marcus-shields/index.html`), `${locale} press kit`);
+    assert.ok(written.includes(`${locale}artists/index.html`), `${locale} roster`);
+  }
+  const unexpected = written.filter((p) => !p.includes("marcus-shields") && !SHARED_PAGES.includes(withoutLocale(p)));
+  assert.deepEqual(unexpected, []);
+});
+
+test("removing an artist deletes the outputs only it produced", async () => {
+  await editJson("artists.json", (data) => {
+    data.artists = data.artists.filter((a) => a.slug !== "andrew-turner");
+  });
+  const { removed } = build();
+  for (const relPath of ["artists/andrew-turner/index.html", "fr/press/andrew-turner/index.html", "calendar/andrew-turner.ics"]) {
+    assert.ok(removed.includes(relPath), relPath);
+    await assert.rejects(fs.access(path.join(dir, "dist", relPath)));
+  }
+  await assert.rejects(fs.access(path.join(dir, "dist", "artists", "andrew-turner")));
+  assert.deepEqual(removed.filter((p) => !p.includes("andrew-turner")), []);
+  await fs.access(path.join(dir, "dist", "artists", "marcus-shields", "index.html"));
+});
+
+test("changing the theme rewrites every rendered output", async () => {
+  await editJson("site.json", (data) => {
+    data.theme = "dark-luxe";
+  });
+  const { written, unchanged } = build();
+  assert.ok(written.includes("404.html"));
+  assert.ok(written.includes("de/about/index.html"));
+  assert.deepEqual(unchanged.filter((p) => !isCopied(p)), []);
+});
+
+test("changing what goes into the global key rewrites every rendered output", () => {
+  const { written, unchanged } = build({ BASE_URL: "https://staging.example.org" });
+  assert.ok(written.includes("sitemap.xml"));
+  assert.ok(written.includes("calendar/roster.ics"));
+  assert.deepEqual(unchanged.filter((p) => !isCopied(p)), []);
+});
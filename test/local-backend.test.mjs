@@ -0,0 +1,152 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { createCmsBackend, createCmsRequestHandler } from "../scripts/lib/local-backend.mjs";
+
+const ORIGIN = "http://127.0.0.1:5173";
+let dir;
+let root;
+let outside;
+let server;
+let endpoint;
+
+// A scratch project (root/) with the editable folders, next to a folder
+// (outside/) the CMS must never reach.
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "local-backend-"));
+  root = path.join(dir, "root");
+  outside = path.join(dir, "outside");
+  for (const sub of ["data", "bios", "src/assets/people", "src/admin", "scripts"]) {
+    await fs.mkdir(path.join(root, sub), { recursive: true });
+  }
+  await fs.mkdir(outside);
+  await fs.writeFile(path.join(root, "data", "site.json"), '{"name":"Old"}\n');
+  await fs.writeFile(path.join(root, "src", "admin", "config.yml"), "backend: {}\n");
+  await fs.writeFile(path.join(outside, "secret.txt"), "secret\n");
+  await fs.symlink(path.join(outside, "secret.txt"), path.join(root, "src", "assets", "people", "link.jpg"));
+
+  server = http.createServer(createCmsRequestHandler(root, { origins: [ORIGIN] }));
+  await new Promise((resolve) => server.listen({ port: 0, host: "127.0.0.1" }, resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function post(body, headers = {}) {
+  return fetch(endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Origin: ORIGIN, ...headers },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+}
+
+function entry(relPath, raw) {
+  return { action: "persistEntry", params: { entry: { path: relPath, raw } } };
+}
+
+async function assertRefused(body, status = 403) {
+  const res = await post(body);
+  assert.equal(res.status, status, `${JSON.stringify(body.params)}: ${await res.clone().text()}`);
+  assert.ok((await res.json()).error);
+}
+
+test("writes data files, biographies and headshots", async () => {
+  assert.equal((await post(entry("data/site.json", '{"name":"New"}\n'))).status, 200);
+  assert.equal((await post(entry("bios/jane-doe.md", "---\nslug: jane-doe\n---\n"))).status, 200);
+  const upload = { path: "src/assets/people/jane-doe.jpg", content: Buffer.from("jpeg").toString("base64"), encoding: "base64" };
+  const res = await post({ action: "persistMedia", params: { asset: upload } });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).path, "src/assets/people/jane-doe.jpg");
+
+  assert.equal(await fs.readFile(path.join(root, "data", "site.json"), "utf8"), '{"name":"New"}\n');
+  assert.equal(await fs.readFile(path.join(root, "bios", "jane-doe.md"), "utf8"), "---\nslug: jane-doe\n---\n");
+  assert.equal(await fs.readFile(path.join(root, "src", "assets", "people", "jane-doe.jpg"), "utf8"), "jpeg");
+});
+
+test("lists and reads only the editable files in a folder", async () => {
+  const res = await post({ action: "entriesByFolder", params: { folder: "bios", extension: "md" } });
+  assert.equal(res.status, 200);
+  assert.deepEqual((await res.json()).map((e) => e.file.path), ["bios/jane-doe.md"]);
+});
+
+test("refuses paths that climb out with ..", async () => {
+  await assertRefused(entry("data/../package.json", "{}"));
+  await assertRefused(entry("bios/../../outside/x.md", ""));
+  await assertRefused({ action: "getEntry", params: { path: "../outside/secret.txt" } });
+  await assertRefused({ action: "deleteFile", params: { path: "src/assets/people/../../admin/config.yml" } });
+  assert.equal(await fs.readFile(path.join(root, "src", "admin", "config.yml"), "utf8"), "backend: {}\n");
+});
+
+test("refuses absolute paths outside the project", async () => {
+  await assertRefused(entry(path.join(outside, "x.json"), "{}"));
+  await assertRefused({ action: "getEntry", params: { path: path.join(outside, "secret.txt") } });
+  await assertRefused({ action: "entriesByFolder", params: { folder: outside } });
+  await assert.rejects(fs.access(path.join(outside, "x.json")));
+});
+
+test("refuses paths outside data/, bios/ and src/assets/people/", async () => {
+  await assertRefused(entry("scripts/build.mjs", ""));
+  await assertRefused(entry("src/admin/config.yml", ""));
+  await assertRefused(entry("data/nested/site.json", "{}"));
+  await assertRefused(entry("data/site.yml", ""));
+  await assertRefused(entry("bios/Jane Doe.md", ""));
+  await assertRefused({ action: "persistMedia", params: { asset: { path: "src/assets/people/run.sh", content: "" } } });
+  await assertRefused({ action: "getMedia", params: { mediaFolder: "src/assets" } });
+});
+
+test("refuses files that are symlinks out of the project", async () => {
+  await assertRefused({ action: "getMediaFile", params: { path: "src/assets/people/link.jpg" } });
+  await assertRefused({ action: "persistMedia", params: { asset: { path: "src/assets/people/link.jpg", content: "eA==" } } });
+  await assertRefused({ action: "deleteFile", params: { path: "src/assets/people/link.jpg" } });
+  assert.equal(await fs.readFile(path.join(outside, "secret.txt"), "utf8"), "secret\n");
+});
+
+test("refuses folders that are symlinks out of the project", async () => {
+  const linked = path.join(dir, "linked");
+  await fs.mkdir(linked);
+  await fs.symlink(outside, path.join(linked, "bios"));
+  const backend = createCmsBackend(linked);
+  for (const body of [
+    { action: "persistEntry", params: { entry: { path: "bios/jane-doe.md", raw: "" } } },
+    { action: "entriesByFolder", params: { folder: "bios" } },
+  ]) {
+    await assert.rejects(backend(body), (err) => err.status === 403);
+  }
+  await assert.rejects(fs.access(path.join(outside, "jane-doe.md")));
+});
+
+test("writes nothing when one path of an entry is refused", async () => {
+  const params = {
+    dataFiles: [{ path: "data/team.json", raw: "{}" }],
+    assets: [{ path: "src/admin/evil.jpg", content: "" }],
+  };
+  await assertRefused({ action: "persistEntry", params });
+  await assert.rejects(fs.access(path.join(root, "data", "team.json")));
+});
+
+test("refuses requests from other origins", async () => {
+  const res = await post({ action: "info" }, { Origin: "http://evil.example" });
+  assert.equal(res.status, 403);
+  assert.match((await res.json()).error, /evil\.example/);
+  assert.equal((await post({ action: "info" }, { Origin: "http://127.0.0.1:9999" })).status, 403);
+  assert.equal((await post(entry("data/site.json", "{}"), { Origin: "null" })).status, 403);
+  assert.equal(await fs.readFile(path.join(root, "data", "site.json"), "utf8"), '{"name":"New"}\n');
+});
+
+test("refuses anything but a JSON POST", async () => {
+  assert.equal((await post({ action: "info" }, { "Content-Type": "text/plain" })).status, 415);
+  assert.equal((await post({ action: "info" }, { "Content-Type": "application/x-www-form-urlencoded" })).status, 415);
+  assert.equal((await post("{not json")).status, 400);
+  assert.equal((await fetch(endpoint)).status, 405);
+  assert.equal((await post({ action: "info" }, { "Content-Type": "application/json; charset=utf-8" })).status, 200);
+});
+
+test("refuses unknown actions", async () => {
+  await assertRefused({ action: "unpublishedEntries" }, 422);
+});
@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { renderMarkdown } from "../scripts/lib/html.mjs";
+
+const site = {};
+
+test("escapes raw HTML instead of passing it through", () => {
+  assert.equal(
+    renderMarkdown(site, `<script>alert("x")</script> & <b onclick='y'>bold</b>`),
+    "<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &lt;b onclick=&#39;y&#39;&gt;bold&lt;/b&gt;</p>"
+  );
+  assert.equal(renderMarkdown(site, '[x"><img src=x>](https://example.org/"onmouseover)'), '<p><a href="https://example.org/&quot;onmouseover" target="_blank" rel="noopener noreferrer">x&quot;&gt;&lt;img src=x&gt;</a></p>');
+});
+
+test("keeps only http(s), mailto, site and fragment links", () => {
+  assert.equal(renderMarkdown(site, "[click](javascript:alert(1))"), "<p>click</p>");
+  assert.equal(renderMarkdown(site, "[click](JavaScript:alert(1))"), "<p>click</p>");
+  assert.equal(renderMarkdown(site, "[data](data:text/html,hi)"), "<p>data</p>");
+  assert.equal(renderMarkdown(site, "[relative](evil.html)"), "<p>relative</p>");
+  assert.equal(renderMarkdown(site, "[mail](mailto:info@example.org)"), '<p><a href="mailto:info@example.org">mail</a></p>');
+  assert.equal(renderMarkdown(site, "[roster](/artists/)"), '<p><a href="/artists/">roster</a></p>');
+  assert.equal(renderMarkdown({ basePath: "/preview" }, "[roster](/artists/)"), '<p><a href="/preview/artists/">roster</a></p>');
+  assert.equal(renderMarkdown(site, "[top](#bio)"), '<p><a href="#bio">top</a></p>');
+});
+
+test("keeps balanced parentheses in a link's URL", () => {
+  assert.equal(
+    renderMarkdown(site, "Her [Tosca](https://en.wikipedia.org/wiki/Tosca_(opera)) debut (2024)."),
+    '<p>Her <a href="https://en.wikipedia.org/wiki/Tosca_(opera)" target="_blank" rel="noopener noreferrer">Tosca</a> debut (2024).</p>'
+  );
+});
+
+test("doesn't read underscores or asterisks in bare URLs as emphasis", () => {
+  assert.equal(
+    renderMarkdown(site, "See https://example.org/_media_/a_b_c and https://example.org/*x*."),
+    "<p>See https://example.org/_media_/a_b_c and https://example.org/*x*.</p>"
+  );
+  assert.equal(renderMarkdown(site, "**https://example.org/a_b**"), "<p><strong>https://example.org/a_b</strong></p>");
+  assert.equal(renderMarkdown(site, "_italic_ and snake_case_name"), "<p><em>italic</em> and snake_case_name</p>");
+});
+
+test("renders emphasis inside and around links", () => {
+  assert.equal(
+    renderMarkdown(site, "**Bold**, *em* and [__strong__ link](https://example.org/)"),
+    '<p><strong>Bold</strong>, <em>em</em> and <a href="https://example.org/" target="_blank" rel="noopener noreferrer"><strong>strong</strong> link</a></p>'
+  );
+});
+
+test("renders headings one level below the page title", () => {
+  assert.equal(renderMarkdown(site, "# Biography\n\n### Awards"), "<h2>Biography</h2>\n<h4>Awards</h4>");
+  assert.equal(renderMarkdown(site, "###### Deep"), "<h6>Deep</h6>");
+});
+
+test("renders bulleted and numbered lists, with continuation lines", () => {
+  assert.equal(
+    renderMarkdown(site, "Roles:\n- Tosca\n* Mimì in\n  La bohème\n\n1. First\n2) Second"),
+    "<p>Roles:</p>\n<ul><li>Tosca</li><li>Mimì in La bohème</li></ul>\n<ol><li>First</li><li>Second</li></ol>"
+  );
+  assert.equal(renderMarkdown(site, "- a\n1. b"), "<ul><li>a</li></ul>\n<ol><li>b</li></ol>");
+});
+
+test("joins paragraph lines and splits paragraphs on blank lines", () => {
+  assert.equal(renderMarkdown(site, "One\r\ntwo\n\n\nThree"), "<p>One two</p>\n<p>Three</p>");
+  assert.equal(renderMarkdown(site, ""), "");
+  assert.equal(renderMarkdown(site, undefined), "");
+});
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { artistRepertoire, formatRepertoireEntry, parseRepertoireEntry, repertoireWorkId } from "../scripts/lib/html.mjs";
+
+test("parses 'Role — Work' highlights", () => {
+  assert.deepEqual(parseRepertoireEntry("Donna Anna — Don Giovanni"), { role: "Donna Anna", work: "Don Giovanni", composer: "", status: "" });
+  assert.deepEqual(parseRepertoireEntry("Donna Anna – Don Giovanni"), { role: "Donna Anna", work: "Don Giovanni", composer: "", status: "" });
+  assert.deepEqual(parseRepertoireEntry("  Donna Anna - Don Giovanni "), { role: "Donna Anna", work: "Don Giovanni", composer: "", status: "" });
+});
+
+test("reads the composer from brackets after the work", () => {
+  assert.deepEqual(parseRepertoireEntry("Donna Anna — Don Giovanni (Mozart)"), {
+    role: "Donna Anna",
+    work: "Don Giovanni",
+    composer: "Mozart",
+    status: "",
+  });
+  assert.deepEqual(parseRepertoireEntry("Messiah (Handel)"), { role: "", work: "Messiah", composer: "Handel", status: "" });
+});
+
+test("takes text without a dash to be the work", () => {
+  assert.deepEqual(parseRepertoireEntry("Vier letzte Lieder"), { role: "", work: "Vier letzte Lieder", composer: "", status: "" });
+  // A hyphen inside a word is not a separator.
+  assert.equal(parseRepertoireEntry("Jean-Philippe Rameau cantatas").work, "Jean-Philippe Rameau cantatas");
+});
+
+test("keeps later dashes in the work title", () => {
+  assert.deepEqual(parseRepertoireEntry("Soprano — Carmina Burana — concert"), {
+    role: "Soprano",
+    work: "Carmina Burana — concert",
+    composer: "",
+    status: "",
+  });
+});
+
+test("lists structured entries first, then highlights that don't repeat them", () => {
+  const artist = {
+    repertoire: [
+      { role: "Donna Anna", work: "Don Giovanni", composer: "Mozart", status: "performed" },
+      { role: " Violetta ", work: "La traviata " },
+    ],
+    repertoireHighlights: ["Donna Anna — Don Giovanni (Mozart)", "violetta — La Traviata", "Lucia — Lucia di Lammermoor"],
+  };
+  assert.deepEqual(artistRepertoire(artist), [
+    { role: "Donna Anna", work: "Don Giovanni", composer: "Mozart", status: "performed" },
+    { role: "Violetta", work: "La traviata", composer: "", status: "" },
+    { role: "Lucia", work: "Lucia di Lammermoor", composer: "", status: "" },
+  ]);
+});
+
+test("treats accented and plain spellings as the same entry", () => {
+  const artist = { repertoire: [{ role: "Rusalka", work: "Rusalka", composer: "Dvořák" }], repertoireHighlights: ["Rusalka — Rusálka"] };
+  assert.equal(artistRepertoire(artist).length, 1);
+});
+
+test("drops entries without a work and copes with missing or odd lists", () => {
+  assert.deepEqual(artistRepertoire({}), []);
+  assert.deepEqual(artistRepertoire({ repertoire: "Tosca", repertoireHighlights: null }), []);
+  assert.deepEqual(artistRepertoire({ repertoire: [{ role: "Tosca" }, null], repertoireHighlights: ["Tosca — "] }), []);
+});
+
+test("formats entries back and links works by a stable id", () => {
+  assert.equal(formatRepertoireEntry({ role: "Donna Anna", work: "Don Giovanni", composer: "Mozart" }), "Donna Anna — Don Giovanni (Mozart)");
+  assert.equal(formatRepertoireEntry({ role: "", work: "Messiah", composer: "" }), "Messiah");
+  assert.equal(repertoireWorkId("Così fan tutte"), "work-cosi-fan-tutte");
+  assert.equal(repertoireWorkId("¡!"), "work-untitled");
+});
@@ -0,0 +1,155 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { SCHEMAS, formatIssue, validateDocument } from "../scripts/lib/schema.mjs";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const script = path.join(here, "..", "scripts", "validate.mjs");
+
+function validateArtists(artists, options = {}) {
+  return validateDocument(SCHEMAS.artists, { artists }, { file: "data/artists.json", ...options }).map(({ level, file, path, value, message }) => ({
+    level,
+    file,
+    path,
+    value,
+    message,
+  }));
+}
+
+// Runs validate.mjs in a scratch project holding only the given data files.
+async function runValidate(files, args = ["--no-cms"]) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "validate-"));
+  await fs.mkdir(path.join(dir, "data", "i18n"), { recursive: true });
+  const all = { "data/site.json": { agencyName: "Test Artists" }, "data/i18n/en.json": {}, ...files };
+  for (const [file, content] of Object.entries(all)) {
+    await fs.writeFile(path.join(dir, file), typeof content === "string" ? content : JSON.stringify(content, null, 2));
+  }
+  const result = spawnSync(process.execPath, [script, ...args], { cwd: dir, encoding: "utf8" });
+  await fs.rm(dir, { recursive: true, force: true });
+  return result;
+}
+
+test("accepts a valid artist", () => {
+  assert.deepEqual(validateArtists([{ name: "Jane Doe", slug: "jane-doe", voiceType: "Soprano" }]), []);
+});
+
+test("reports a missing required field at its path", () => {
+  assert.deepEqual(validateArtists([{ name: "Jane Doe", slug: "jane-doe" }, { slug: "ann-roe" }]), [
+    { level: "error", file: "data/artists.json", path: "$.artists[1].name", value: undefined, message: "is required" },
+  ]);
+  assert.deepEqual(
+    validateDocument(SCHEMAS.artists, {}, { file: "data/artists.json" }).map((i) => [i.path, i.message]),
+    [["$.artists", "is required"]]
+  );
+});
+
+test("reports a value of the wrong type", () => {
+  assert.deepEqual(validateArtists([{ name: 42, slug: "jane-doe", links: "https://example.org" }]), [
+    { level: "error", file: "data/artists.json", path: "$.artists[0].name", value: 42, message: "must be a string, not number" },
+    { level: "error", file: "data/artists.json", path: "$.artists[0].links", value: "https://example.org", message: "must be an array, not string" },
+  ]);
+});
+
+test("reports values that don't match their format or options", () => {
+  const issues = validateArtists([
+    { name: "Jane Doe", slug: "Jane Doe", status: "retired", publishAt: "2026-02-30", website: "ftp://example.org", photo: { path: "people/jane.jpg" } },
+  ]);
+  assert.deepEqual(
+    issues.map((i) => [i.level, i.path, i.message]),
+    [
+      ["error", "$.artists[0].slug", "must be lowercase kebab-case (a-z, 0-9 and single hyphens)"],
+      ["error", "$.artists[0].status", "must be one of: published, draft, alumni-hidden"],
+      ["error", "$.artists[0].publishAt", "must be a date in YYYY-MM-DD format"],
+      ["error", "$.artists[0].website", "must be an absolute https:// URL"],
+      ["error", "$.artists[0].photo.path", "must start with /assets/ (or be an https:// URL)"],
+    ]
+  );
+});
+
+test("only warns about http:// links and unknown fields", () => {
+  const issues = validateArtists([{ name: "Jane Doe", slug: "jane-doe", website: "http://example.org", nickname: "JD" }]);
+  assert.deepEqual(
+    issues.map((i) => [i.level, i.path]),
+    [
+      ["warning", "$.artists[0].website"],
+      ["warning", "$.artists[0].nickname"],
+    ]
+  );
+});
+
+test("reports a duplicate slug at the second one, pointing to the first", () => {
+  const issues = validateArtists([
+    { name: "Jane Doe", slug: "jane-doe" },
+    { name: "Ann Roe", slug: "ann-roe" },
+    { name: "Jane Doe", slug: "jane-doe" },
+  ]);
+  assert.deepEqual(issues, [
+    { level: "error", file: "data/artists.json", path: "$.artists[2].slug", value: "jane-doe", message: "duplicates $.artists[0].slug" },
+  ]);
+});
+
+test("checks references and that assets exist", () => {
+  const refs = { artist: (slug) => (slug === "jane-doe" ? "" : "does not match any artist slug in data/artists.json") };
+  const site = validateDocument(SCHEMAS.site, { agencyName: "Test", featured: { artists: [{ artist: "jane-doe" }, { artist: "nobody" }] } }, { file: "data/site.json", refs });
+  assert.deepEqual(
+    site.map((i) => [i.file, i.path, i.message]),
+    [["data/site.json", "$.featured.artists[1].artist", "does not match any artist slug in data/artists.json"]]
+  );
+  const photo = { path: "/assets/people/jane-doe.jpg" };
+  assert.deepEqual(validateArtists([{ name: "Jane Doe", slug: "jane-doe", voiceType: "Soprano", photo }], { assetExists: () => true }), []);
+  assert.deepEqual(
+    validateArtists([{ name: "Jane Doe", slug: "jane-doe", voiceType: "Soprano", photo }], { assetExists: () => false }).map((i) => [i.path, i.message]),
+    [["$.artists[0].photo.path", "points to a file that does not exist"]]
+  );
+});
+
+test("formats an issue with its file, path and value", () => {
+  const [issue] = validateArtists([{ name: "Jane Doe", slug: "Jane Doe" }]);
+  assert.equal(formatIssue(issue), 'error: data/artists.json: $.artists[0].slug: must be lowercase kebab-case (a-z, 0-9 and single hyphens) (got "Jane Doe")');
+});
+
+test("validate.mjs lists every error and exits with an error", async () => {
+  const result = await runValidate({
+    "data/artists.json": {
+      artists: [
+        { name: "Jane Doe", slug: "jane-doe" },
+        { name: "Ann Roe", slug: "Ann Roe", voiceType: 3 },
+        { slug: "jane-doe", discipline: "Conductor" },
+      ],
+    },
+  });
+  assert.equal(result.status, 1);
+  assert.equal(
+    result.stdout,
+    [
+      "error: data/artists.json: $.artists[1].slug: must be lowercase kebab-case (a-z, 0-9 and single hyphens) (got \"Ann Roe\")",
+      "error: data/artists.json: $.artists[1].voiceType: must be a string, not number (got 3)",
+      "error: data/artists.json: $.artists[2].name: is required",
+      "error: data/artists.json: $.artists[2].slug: duplicates $.artists[0].slug (got \"jane-doe\")",
+      "warning: data/artists.json: $.artists[0]: has no voiceType or discipline, so its roster card has no label (got \"jane-doe\")",
+      "",
+      "4 error(s), 1 warning(s)",
+      "",
+    ].join("\n")
+  );
+});
+
+test("validate.mjs reports where a file stops being JSON", async () => {
+  const result = await runValidate({ "data/artists.json": '{\n  "artists": [\n    { "name": "A", }\n  ]\n}\n' });
+  assert.equal(result.status, 1);
+  assert.match(result.stdout, /^error: data\/artists\.json: \$: is not valid JSON at line 3, column 20: /m);
+});
+
+test("validate.mjs passes clean data, and fails on warnings only with --strict", async () => {
+  const clean = await runValidate({ "data/artists.json": { artists: [{ name: "Jane Doe", slug: "jane-doe", voiceType: "Soprano" }] } });
+  assert.equal(clean.status, 0);
+  assert.equal(clean.stdout, "Data is valid.\n");
+
+  const artists = { artists: [{ name: "Jane Doe", slug: "jane-doe", website: "http://example.org", voiceType: "Soprano" }] };
+  assert.equal((await runValidate({ "data/artists.json": artists })).status, 0);
+  assert.equal((await runValidate({ "data/artists.json": artists }, ["--no-cms", "--strict"])).status, 1);
+});
@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { editDistance, fold, highlightParts, indexEntries, searchEntries } from "../src/assets/search.js";
+
+const items = indexEntries([
+  { slug: "jana-horakova", name: "Jana Horáková", label: "Soprano", location: "Praha", repertoire: "Rusalka — Rusalka (Dvořák)" },
+  { slug: "anna-violet", name: "Anna Violet", label: "Mezzo-soprano", bio: "Anna sang Violetta in La traviata and Carmen at the Opéra de Lyon." },
+  { slug: "piet-horak", name: "Piet Horak", label: "Conductor", bio: "Conducts Rusalka and Jenůfa." },
+]);
+
+function slugs(query) {
+  return searchEntries(items, query).map(({ entry }) => entry.slug);
+}
+
+test("folds case and accents, mapping back to the original positions", () => {
+  assert.deepEqual(fold("Horáková"), { text: "horakova", map: [0, 1, 2, 3, 4, 5, 6, 7, 8] });
+  // "ﬁ" folds to two characters, both from the same original one.
+  assert.deepEqual(fold("ﬁn"), { text: "fin", map: [0, 0, 1, 2] });
+  assert.equal(fold(null).text, "");
+});
+
+test("matches regardless of case and accents, both ways", () => {
+  assert.deepEqual(slugs("horakova"), ["jana-horakova"]);
+  assert.deepEqual(slugs("HORÁKOVÁ"), ["jana-horakova"]);
+  assert.deepEqual(slugs("opera lyon"), ["anna-violet"]);
+  assert.deepEqual(slugs("dvorak"), ["jana-horakova"]);
+});
+
+test("counts a transposition as one typo", () => {
+  assert.equal(editDistance("violteta", "violetta", 2), 1);
+  assert.equal(editDistance("violeta", "violetta", 2), 1);
+  assert.equal(editDistance("abc", "xyz", 1), 2);
+  assert.equal(editDistance("a", "abcdef", 2), 3);
+  assert.deepEqual(slugs("violteta"), ["anna-violet"]);
+  assert.deepEqual(slugs("violeta"), ["anna-violet"]);
+  assert.deepEqual(slugs("jnaa"), ["jana-horakova"]);
+  // Words under four letters must match exactly.
+  assert.deepEqual(slugs("jna"), []);
+});
+
+test("needs every word to match, and treats the last as a prefix", () => {
+  assert.deepEqual(slugs("rusalka horak"), ["jana-horakova", "piet-horak"]);
+  assert.deepEqual(slugs("rusalka carmen"), []);
+  assert.deepEqual(slugs("trav"), ["anna-violet"]);
+  assert.deepEqual(slugs("   "), []);
+});
+
+test("ranks repertoire above biographies, and whole words above word starts", () => {
+  const results = searchEntries(items, "rusalka");
+  assert.deepEqual(
+    results.map(({ entry }) => entry.slug),
+    ["jana-horakova", "piet-horak"]
+  );
+  assert.ok(results[0].score > results[1].score);
+  assert.deepEqual(slugs("horak"), ["piet-horak", "jana-horakova"]);
+  assert.equal(searchEntries(items, "a", 1).length, 1);
+});
+
+test("marks hits at their original positions", () => {
+  const [{ hits }] = searchEntries(items, "horakova");
+  const name = items[0].fields.find((field) => field.name === "name");
+  assert.deepEqual(highlightParts(name, hits), ["Jana ", { mark: "Horáková" }]);
+  const both = searchEntries(items, "jana horakova")[0].hits;
+  assert.deepEqual(highlightParts(name, both), [{ mark: "Jana" }, " ", { mark: "Horáková" }]);
+});
+
+test("cuts a snippet around the first hit at word breaks", () => {
+  const [{ hits }] = searchEntries(items, "traviata");
+  const bio = items[1].fields.find((field) => field.name === "bio");
+  assert.deepEqual(highlightParts(bio, hits, { radius: 10 }), ["… ", "in La ", { mark: "traviata" }, " and Carmen at the", " …"]);
+  assert.deepEqual(highlightParts(bio, hits, { radius: 200 }), [
+    "Anna sang Violetta in La ",
+    { mark: "traviata" },
+    " and Carmen at the Opéra de Lyon.",
+  ]);
+});
@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { renderVCard } from "../scripts/lib/vcard.mjs";
+
+function contentLines(vcf) {
+  return vcf.replace(/\r\n /g, "").split("\r\n").slice(0, -1);
+}
+
+test("writes a vCard 3.0 with CRLF line endings", () => {
+  const vcf = renderVCard({
+    name: "Mary Ann Smith",
+    org: "Test Artists",
+    title: "Artist Manager",
+    email: "mary@example.org",
+    phone: "+1 212 555 0100",
+    url: "https://example.org/about/mary-ann-smith/",
+    photoUrl: "https://example.org/assets/people/mary-ann-smith.jpg",
+  });
+  assert.deepEqual(contentLines(vcf), [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    "N:Smith;Mary Ann;;;",
+    "FN:Mary Ann Smith",
+    "ORG:Test Artists",
+    "TITLE:Artist Manager",
+    "EMAIL;TYPE=INTERNET,WORK:mary@example.org",
+    "TEL;TYPE=WORK,VOICE:+1 212 555 0100",
+    "URL:https://example.org/about/mary-ann-smith/",
+    "PHOTO;VALUE=URI:https://example.org/assets/people/mary-ann-smith.jpg",
+    "END:VCARD",
+  ]);
+  assert.ok(vcf.endsWith("END:VCARD\r\n"));
+});
+
+test("takes a single name as the family name and leaves out empty fields", () => {
+  assert.deepEqual(contentLines(renderVCard({ name: "Cher" })), ["BEGIN:VCARD", "VERSION:3.0", "N:Cher;;;;", "FN:Cher", "END:VCARD"]);
+});
+
+test("escapes commas, semicolons and newlines in text values", () => {
+  const lines = contentLines(
+    renderVCard({ name: "Jean-Luc O;Neil, Jr.", org: "Altman Artists, LLC; New York", title: "Director,\nArtist Management", note: "Line one\r\nLine two" })
+  );
+  assert.ok(lines.includes("N:Jr.;Jean-Luc O\\;Neil\\,;;;"));
+  assert.ok(lines.includes("FN:Jean-Luc O\\;Neil\\, Jr."));
+  assert.ok(lines.includes("ORG:Altman Artists\\, LLC\\; New York"));
+  assert.ok(lines.includes("TITLE:Director\\,\\nArtist Management"));
+  assert.ok(lines.includes("NOTE:Line one\\nLine two"));
+});
+
+test("drops relative URLs, which address books can't resolve", () => {
+  const lines = contentLines(renderVCard({ name: "Jane Doe", url: "/about/jane-doe/", photoUrl: "/assets/people/jane-doe.jpg" }));
+  assert.equal(lines.filter((line) => line.startsWith("URL") || line.startsWith("PHOTO")).length, 0);
+});
+
+test("folds long lines at 75 octets", () => {
+  const note = "Représente les artistes lyriques auprès des maisons d'opéra, festivals et orchestres en Europe et en Amérique.";
+  const vcf = renderVCard({ name: "Jane Doe", note });
+  for (const line of vcf.split("\r\n")) assert.ok(Buffer.byteLength(line) <= 75, line);
+  assert.ok(vcf.includes("\r\n "));
+  assert.ok(contentLines(vcf).includes(`NOTE:${note.replaceAll(",", "\\,")}`));
+});
@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { checkCmsBase, cmsConfig, renderCmsConfig } from "../scripts/lib/cms.mjs";
+import { parseYaml, stringifyYaml } from "../scripts/lib/yaml.mjs";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const configFile = path.join(here, "..", "src", "admin", "config.yml");
+const ctx = { locales: ["en", "de"], defaultLocale: "en", languageNames: { en: "English", de: "Deutsch" }, themes: ["default"] };
+
+function roundTrip(value) {
+  return parseYaml(stringifyYaml(value));
+}
+
+test("round-trips scalars, maps and lists", () => {
+  const value = {
+    name: "git-gateway",
+    count: 3,
+    ratio: 0.5,
+    enabled: true,
+    missing: null,
+    empty: [],
+    none: {},
+    list: ["a", 1, false],
+    unicode: "Horáková — “Elettra”",
+  };
+  assert.deepEqual(roundTrip(value), value);
+  assert.deepEqual(roundTrip(["a", { b: 1 }]), ["a", { b: 1 }]);
+});
+
+test("quotes strings that would otherwise read as something else", () => {
+  const value = {
+    colon: "Role: Donna Anna",
+    hash: "Act 1 # scene 2",
+    leadingHash: "#1",
+    leadingDash: "- not a list item",
+    dash: "-",
+    separator: "---",
+    number: "42",
+    boolean: "true",
+    nothing: "null",
+    quotes: `She said "brava" and 'bis'`,
+    backslash: "C:\\path\\to",
+    newline: "line one\nline two\ttabbed",
+  };
+  const text = stringifyYaml(value);
+  assert.match(text, /^colon: "Role: Donna Anna"$/m);
+  assert.match(text, /^leadingDash: "- not a list item"$/m);
+  assert.match(text, /^newline: "line one\\nline two\\ttabbed"$/m);
+  assert.deepEqual(parseYaml(text), value);
+});
+
+test("quotes keys with :, # or quotes in them", () => {
+  const value = { "a: b": 1, "#key": 2, 'say "hi"': 3, "-dash": 4, "with space": 5 };
+  const text = stringifyYaml(value);
+  assert.match(text, /^"a: b": 1$/m);
+  assert.match(text, /^"say \\"hi\\"": 3$/m);
+  assert.deepEqual(parseYaml(text), value);
+  assert.deepEqual(roundTrip([value]), [value]);
+});
+
+test("round-trips nested lists and lists of maps", () => {
+  const value = {
+    collections: [
+      {
+        name: "artists",
+        fields: [
+          { name: "repertoire", widget: "list", fields: [{ name: "role" }, { name: "status", options: ["current", "past"] }] },
+        ],
+      },
+      "plain",
+    ],
+    matrix: [[1, "a, b", "]"], [], [{ k: "v: w" }]],
+  };
+  assert.deepEqual(roundTrip(value), value);
+});
+
+test("reads comments, single quotes, flow collections and compact lists", () => {
+  const source = [
+    "# Decap config",
+    "backend:",
+    "  name: git-gateway # the default",
+    "  url: https://example.org/#top",
+    "media_folder: 'src/assets/people'",
+    "title: 'It''s here'",
+    "locales: [en, \"de\"]",
+    "field: { label: Name, required: false }",
+    "collections:",
+    "- name: bios",
+    "  folder: bios",
+    "- plain",
+  ].join("\n");
+  assert.deepEqual(parseYaml(source), {
+    backend: { name: "git-gateway", url: "https://example.org/#top" },
+    media_folder: "src/assets/people",
+    title: "It's here",
+    locales: ["en", "de"],
+    field: { label: "Name", required: false },
+    collections: [{ name: "bios", folder: "bios" }, "plain"],
+  });
+});
+
+test("reports bad indentation with the line it is on", () => {
+  assert.throws(() => parseYaml("a:\n  b: 1\n   c: 2\n"), /^Error: YAML line 3: unexpected indentation$/);
+  assert.throws(() => parseYaml("a:\n    b: 1\n  c: 2\n"), /YAML line 3: unexpected indentation/);
+  assert.throws(() => parseYaml("a: 1\n  b: 2\n"), /YAML line 2: unexpected indentation/);
+  assert.throws(() => parseYaml("- a\n  - b\n"), /YAML line 2: unexpected indentation/);
+  assert.throws(() => parseYaml("a:\n  - x\n - y\n"), /YAML line 3: unexpected indentation/);
+  assert.throws(() => parseYaml("a:\n\tb: 1\n"), /YAML line 2: indent with spaces, not tabs/);
+});
+
+test("reports other unsupported or broken input", () => {
+  assert.throws(() => parseYaml("a: 1\na: 2\n"), /YAML line 2: duplicate key "a"/);
+  assert.throws(() => parseYaml("a: [1, 2\n"), /YAML line 1: expected "," or "\]"/);
+  assert.throws(() => parseYaml("a: 1\njust text\n"), /YAML line 2: expected "key: value", got just text/);
+  assert.throws(() => parseYaml("a: |\n  text\n"), /YAML line 1: block scalars are not supported/);
+  assert.throws(() => parseYaml('a: "unterminated\n'), /YAML line 1: bad double-quoted string/);
+});
+
+test("the generated CMS config reads back as the config it was made from", async () => {
+  const base = parseYaml(await fs.readFile(configFile, "utf8"));
+  const text = renderCmsConfig(base, ctx);
+  assert.match(text, /^# Generated by scripts\/build\.mjs/);
+  assert.deepEqual(parseYaml(text), JSON.parse(JSON.stringify(cmsConfig(base, ctx))));
+});
+
+test("the CMS base may not define the generated collection or data files", () => {
+  const base = { collections: [{ name: "config", files: [] }, { name: "pages", files: [{ file: "data/site.json" }] }] };
+  const issues = checkCmsBase(base, { file: "src/admin/config.yml" });
+  assert.deepEqual(
+    issues.map(({ level, file, path, value }) => ({ level, file, path, value })),
+    [
+      { level: "error", file: "src/admin/config.yml", path: "$.collections[0].name", value: "config" },
+      { level: "error", file: "src/admin/config.yml", path: "$.collections[1].files[0].file", value: "data/site.json" },
+    ]
+  );
+});
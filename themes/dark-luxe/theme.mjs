@@ -0,0 +1,64 @@
+import { artistLabel, escapeHtml, renderPortraitImage } from "../../scripts/lib/html.mjs";
+import { pageHref, t } from "../../scripts/lib/i18n.mjs";
+import defaultTheme, { createLayout } from "../default/theme.mjs";
+
+// Dark Luxe: the navy-and-mint Cinzel design from mockups/10-dark-luxe.html.
+// The page shell, roster cards, artist profiles and team members reuse the
+// default markup and are restyled by assets/theme.css.
+
+const layout = createLayout({ bodyClass: "theme-dark-luxe", brandClass: "luxe-logo", tagline: "footer.taglineOpera" });
+
+function hero({ site }) {
+  // "Altman Artists" sets as two lines: the first word, then the rest in italics.
+  const [first, ...rest] = String(site.agencyName || "").split(/\s+/);
+  return `<section class="hero-luxe">
+  <p class="hero-overline">${escapeHtml(t(site, "hero.overline"))}</p>
+  <h1>${escapeHtml(first)}${rest.length ? `<br><span>${escapeHtml(rest.join(" "))}</span>` : ""}</h1>
+  <div class="hero-divider"></div>
+  ${site.description ? `<p>${escapeHtml(site.description)}</p>` : ""}
+  <a class="luxe-btn" href="${escapeHtml(pageHref(site, "/artists/"))}">${escapeHtml(t(site, "hero.viewRoster"))}</a>
+</section>`;
+}
+
+// .artists-luxe is 3, 2 or 1 columns across the full container.
+const FEATURED_CARD_SIZES = "(min-width: 861px) 346px, (min-width: 601px) calc(50vw - 16px), calc(100vw - 32px)";
+
+function featuredArtists({ site, featured }) {
+  return `<section class="roster-luxe">
+  <div class="roster-header">
+    <h2>${escapeHtml(t(site, "featured.roster"))}</h2>
+  </div>
+  <div class="artists-luxe">
+    ${featured
+      .map(
+        ({ artist, portrait }) => `<a href="${escapeHtml(pageHref(site, `/artists/${artist.slug}/`))}" class="artist-luxe">
+  <div class="artist-luxe__media">${renderPortraitImage({ ...portrait, alt: "" }, { sizes: FEATURED_CARD_SIZES })}</div>
+  <h3>${escapeHtml(artist.name)}</h3>
+  <span>${escapeHtml(artistLabel(artist))}</span>
+</a>`
+      )
+      .join("\n")}
+  </div>
+</section>`;
+}
+
+function contactStrip({ site }) {
+  const email = site.contact?.email || "";
+  return `<section class="contact-luxe">
+  <h2>${escapeHtml(t(site, "contactStrip.inquiries"))}</h2>
+  <p>${escapeHtml(t(site, "contactStrip.inquiriesIntro"))}</p>
+  ${email ? `<a class="luxe-btn" href="mailto:${escapeHtml(email)}">${escapeHtml(t(site, "contactStrip.button"))}</a>` : ""}
+</section>`;
+}
+
+export default {
+  ...defaultTheme,
+  name: "dark-luxe",
+  colorScheme: "dark",
+  fonts: "https://fonts.googleapis.com/css2?family=Cinzel:wght@400;500;600&family=Inter:wght@300;400;500&display=swap",
+  stylesheets: ["/assets/styles.css", "/assets/themes/dark-luxe/theme.css"],
+  layout,
+  hero,
+  featuredArtists,
+  contactStrip,
+};
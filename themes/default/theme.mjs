@@ -0,0 +1,391 @@
+import {
+  LINK_TYPES,
+  artistLabel,
+  artistLinks,
+  artistRepertoire,
+  escapeHtml,
+  formatRepertoireEntry,
+  renderLinkRow,
+  renderPortraitImage,
+  repertoireWorkId,
+  siteLinks,
+} from "../../scripts/lib/html.mjs";
+import { pageHref, t } from "../../scripts/lib/i18n.mjs";
+import { absoluteUrl, withBase } from "../../scripts/lib/urls.mjs";
+
+// The default theme: the light, mint-and-blue design the site launched with.
+// Other themes spread this object and override the pieces they change.
+
+// `languages` lists every locale's version of the current page ({ locale, name, href, current }).
+function languageSwitcher({ site, languages }) {
+  if (!languages || languages.length < 2) return "";
+  return `<div class="langswitch" role="group" aria-label="${escapeHtml(t(site, "language.label"))}">
+            ${languages
+              .map(
+                (l) =>
+                  `<a class="langswitch__link" href="${escapeHtml(l.href)}" hreflang="${escapeHtml(l.locale)}" lang="${escapeHtml(l.locale)}" title="${escapeHtml(l.name)}"${l.current ? ' aria-current="true"' : ""}>${escapeHtml(l.locale.toUpperCase())}</a>`
+              )
+              .join("")}
+          </div>`;
+}
+
+// Header search. site.js fills in ranked results from the page's search index
+// as you type; without it the form opens the roster filtered by the query.
+function siteSearch({ site }) {
+  return `<form class="site-search" role="search" action="${escapeHtml(pageHref(site, "/artists/"))}" method="get" data-site-search data-index="${escapeHtml(pageHref(site, "/search.json"))}" data-empty="${escapeHtml(t(site, "search.empty"))}">
+            <label class="visually-hidden" for="site-search-input">${escapeHtml(t(site, "search.label"))}</label>
+            <input id="site-search-input" class="input site-search__input" type="search" name="q" placeholder="${escapeHtml(t(site, "search.placeholder"))}" autocomplete="off" role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="site-search-results" />
+            <ul id="site-search-results" class="site-search__results" role="listbox" aria-label="${escapeHtml(t(site, "search.results"))}" hidden></ul>
+          </form>`;
+}
+
+// The page shell around every page's content. Themes that only restyle it call
+// createLayout with their `bodyClass`, a `brandClass` for the agency name link
+// and the i18n key of the footer `tagline`.
+export function createLayout({ bodyClass = "", brandClass = "", tagline = "footer.tagline" } = {}) {
+  return ({ site, head, content, languages }) => `<!doctype html>
+<html lang="${escapeHtml(site.locale || "en")}">
+  <head>
+    ${head}
+  </head>
+  <body${bodyClass ? ` class="${escapeHtml(bodyClass)}"` : ""}>
+    <a class="skip" href="#main">${escapeHtml(t(site, "nav.skip"))}</a>
+    <header>
+      <div class="container">
+        <nav class="nav" aria-label="${escapeHtml(t(site, "nav.primary"))}">
+          <a class="${escapeHtml(["brand", brandClass].filter(Boolean).join(" "))}" href="${escapeHtml(pageHref(site, "/"))}" data-nav>${escapeHtml(site.agencyName)}</a>
+          <div class="navlinks">
+            <a class="navlink" href="${escapeHtml(pageHref(site, "/artists/"))}" data-nav>${escapeHtml(t(site, "nav.artists"))}</a>
+            <a class="navlink" href="${escapeHtml(pageHref(site, "/calendar/"))}" data-nav>${escapeHtml(t(site, "nav.calendar"))}</a>
+            <a class="navlink" href="${escapeHtml(pageHref(site, "/about/"))}" data-nav>${escapeHtml(t(site, "nav.about"))}</a>
+            <a class="navlink" href="${escapeHtml(pageHref(site, "/contact/"))}" data-nav>${escapeHtml(t(site, "nav.contact"))}</a>
+            ${languageSwitcher({ site, languages })}
+          </div>
+          ${siteSearch({ site })}
+        </nav>
+      </div>
+    </header>
+    <main id="main">
+      <div class="container">
+        ${content}
+      </div>
+    </main>
+    <footer>
+      <div class="container">
+        <div class="footerrow">
+          <span>${escapeHtml(site.agencyName)}</span>
+          ${renderLinkRow(siteLinks(site), { className: "footerlinks", linkClass: "footerlink" })}
+          <span>${escapeHtml(t(site, tagline))}</span>
+        </div>
+      </div>
+    </footer>
+    <script>
+      if (window.netlifyIdentity) {
+        window.netlifyIdentity.on("init", function(user) {
+          if (!user) {
+            window.netlifyIdentity.on("login", function() {
+              document.location.href = "/admin/";
+            });
+          }
+        });
+      }
+    </script>
+  </body>
+</html>`;
+}
+
+const layout = createLayout();
+
+function hero({ site }) {
+  return `<section class="hero">
+  <img src="${escapeHtml(withBase(site, "/assets/logo.svg"))}" alt="${escapeHtml(site.agencyName)}" class="hero-logo" />
+  <a class="btn" href="${escapeHtml(pageHref(site, "/artists/"))}">${escapeHtml(t(site, "hero.exploreRoster"))}</a>
+</section>`;
+}
+
+// Rendered width of a featured card's portrait: .artists-grid is 3, 2 or 1
+// columns inside .roster-featured's padding.
+const FEATURED_CARD_SIZES = "(min-width: 861px) 310px, (min-width: 601px) calc(50vw - 56px), calc(100vw - 48px)";
+
+// `featured` is [{ artist, portrait }] in display order. The portrait's alt
+// text is left empty because the card already names the artist.
+function featuredArtists({ site, featured }) {
+  return `<section class="roster-featured">
+  <div class="roster-header">
+    <h2>${escapeHtml(t(site, "featured.title"))}</h2>
+    <a href="${escapeHtml(pageHref(site, "/artists/"))}">${escapeHtml(t(site, "featured.viewAll"))}</a>
+  </div>
+  <div class="artists-grid">
+    ${featured
+      .map(
+        ({ artist, portrait }) => `<a href="${escapeHtml(pageHref(site, `/artists/${artist.slug}/`))}" class="artist">
+  <div class="artist__media">${renderPortraitImage({ ...portrait, alt: "" }, { sizes: FEATURED_CARD_SIZES })}</div>
+  <h3>${escapeHtml(artist.name)}</h3>
+  <span>${escapeHtml(artistLabel(artist))}</span>
+</a>`
+      )
+      .join("\n")}
+  </div>
+</section>`;
+}
+
+function contactStrip({ site }) {
+  const email = site.contact?.email || "";
+  return `<section class="contact">
+  <h2>${escapeHtml(t(site, "contactStrip.title"))}</h2>
+  <p>${escapeHtml(t(site, "contactStrip.intro"))}</p>
+  ${email ? `<a class="btn" href="mailto:${escapeHtml(email)}">${escapeHtml(t(site, "contactStrip.button"))}</a>` : ""}
+</section>`;
+}
+
+// Rendered image widths for srcset, matching .artist-grid (1–3 columns inside the
+// 1040px container) and the 360px portrait column of .profile in styles.css.
+const ROSTER_CARD_SIZES = "(min-width: 1060px) 338px, (min-width: 760px) calc(50vw - 23px), calc(100vw - 32px)";
+const PORTRAIT_SIZES = "(min-width: 980px) 360px, calc(100vw - 32px)";
+
+// `dataAttrs` carries the data-* hooks site.js filters on; keep it on the root element.
+function rosterCard({ site, artist, portrait, dataAttrs }) {
+  const href = pageHref(site, `/artists/${artist.slug}/`);
+  return `<article class="artist-card" ${dataAttrs}>
+  <a class="artist-card__media" href="${escapeHtml(href)}" aria-label="${escapeHtml(artist.name)}">
+    ${renderPortraitImage(portrait, { sizes: ROSTER_CARD_SIZES })}
+  </a>
+  <div class="artist-card__body">
+    <a href="${escapeHtml(href)}"><h3>${escapeHtml(artist.name)}</h3></a>
+    <p class="meta">${escapeHtml([artistLabel(artist), artist.location].filter(Boolean).join(" · "))}</p>
+    ${artist.managementNotes ? `<p class="meta artist-card__note">${escapeHtml(artist.managementNotes)}</p>` : ""}
+    ${renderLinkRow(artistLinks(artist))}
+  </div>
+</article>`;
+}
+
+// "Role — Work (Composer)", with the work linking to its entry on the A–Z
+// repertoire page when `linked`. Roles only prepared so far are marked.
+function repertoireItem(site, entry, { linked = false } = {}) {
+  const work = `<cite>${escapeHtml(entry.work)}</cite>`;
+  return `<li>${entry.role ? `${escapeHtml(entry.role)} — ` : ""}${
+    linked ? `<a href="${escapeHtml(`${pageHref(site, "/repertoire/works/")}#${repertoireWorkId(entry.work)}`)}">${work}</a>` : work
+  }${entry.composer ? ` (${escapeHtml(entry.composer)})` : ""}${
+    entry.status === "prepared" ? ` <span class="meta">· ${escapeHtml(t(site, "repertoire.prepared"))}</span>` : ""
+  }</li>`;
+}
+
+function artistProfile({ site, artist, portrait, bioHtml, upcoming = "" }) {
+  const label = artistLabel(artist);
+  const links = artistLinks(artist);
+  const repertoire = artistRepertoire(artist);
+  return `<section class="page">
+  <h1>${escapeHtml(artist.name)}</h1>
+  <p>${escapeHtml([label, artist.location].filter(Boolean).join(" · "))}</p>
+  ${artist.managementNotes ? `<p class="meta">${escapeHtml(artist.managementNotes)}</p>` : ""}
+  <div class="profile">
+    <figure class="portrait">
+      ${renderPortraitImage(portrait, { sizes: PORTRAIT_SIZES, loading: "eager", priority: true })}
+      ${portrait.credit || portrait.sourceUrl ? `<figcaption class="caption">${escapeHtml(portrait.credit || "")}${portrait.sourceUrl ? ` · <a href="${escapeHtml(portrait.sourceUrl)}" target="_blank" rel="noopener noreferrer">${escapeHtml(t(site, "artist.source"))}</a>` : ""}</figcaption>` : ""}
+    </figure>
+    <div>
+      <article class="panel">
+        ${bioHtml}
+        ${
+          repertoire.length
+            ? `<h2 class="profile__subtitle">${escapeHtml(t(site, "artist.repertoire"))}</h2>
+        <ul class="list">${repertoire.map((entry) => repertoireItem(site, entry, { linked: true })).join("")}</ul>`
+            : ""
+        }
+      </article>
+      ${upcoming}
+      <aside class="panel profile__details" aria-label="${escapeHtml(t(site, "artist.details"))}">
+        <div class="kvs">
+          ${label ? `<div class="kv"><strong>${escapeHtml(t(site, "artist.discipline"))}</strong><span>${escapeHtml(label)}</span></div>` : ""}
+          ${artist.location ? `<div class="kv"><strong>${escapeHtml(t(site, "artist.basedIn"))}</strong><span>${escapeHtml(artist.location)}</span></div>` : ""}
+          ${links.length ? `<div class="kv"><strong>${escapeHtml(t(site, "artist.links"))}</strong>${renderLinkRow(links, { className: "linkrow" })}</div>` : ""}
+        </div>
+      </aside>
+      <div class="notice">${escapeHtml(t(site, "artist.moreInfo"))} <a href="${escapeHtml(pageHref(site, `/press/${artist.slug}/`))}">${escapeHtml(t(site, "artist.pressKit"))}</a> · <a href="${escapeHtml(pageHref(site, "/contact/"))}">${escapeHtml(t(site, "artist.contactUs"))}</a>.</div>
+    </div>
+  </div>
+</section>`;
+}
+
+// `href` is the member's profile page (/about/<slug>/).
+function teamMember({ member, portrait, href }) {
+  return `<div class="team-member">
+  <a class="team-member__link" href="${escapeHtml(href)}">
+    ${renderPortraitImage(portrait, { sizes: "180px", className: "team-member__photo" })}
+    <span class="team-member__name">${escapeHtml(member.name)}</span>
+  </a>
+  <div class="team-member__title">${escapeHtml(member.title || "")}</div>
+  ${member.email ? `<div class="team-member__email"><a href="mailto:${escapeHtml(member.email)}">${escapeHtml(member.email)}</a></div>` : ""}
+</div>`;
+}
+
+function teamProfile({ site, member, portrait, bioHtml, vcardHref }) {
+  return `<section class="page team-profile">
+  <p class="meta"><a href="${escapeHtml(pageHref(site, "/about/"))}">${escapeHtml(t(site, "team.backToAbout"))}</a></p>
+  <div class="profile">
+    <figure class="portrait">
+      ${renderPortraitImage(portrait, { sizes: PORTRAIT_SIZES, loading: "eager" })}
+      ${portrait.credit ? `<figcaption class="caption">${escapeHtml(portrait.credit)}</figcaption>` : ""}
+    </figure>
+    <div>
+      <h1>${escapeHtml(member.name)}</h1>
+      ${member.title ? `<p class="team-profile__title">${escapeHtml(member.title)}</p>` : ""}
+      ${bioHtml ? `<article class="panel">${bioHtml}</article>` : ""}
+      <aside class="panel profile__details" aria-label="${escapeHtml(t(site, "team.contactDetails"))}">
+        <div class="kvs">
+          ${member.email ? `<div class="kv"><strong>${escapeHtml(t(site, "team.email"))}</strong><a href="mailto:${escapeHtml(member.email)}">${escapeHtml(member.email)}</a></div>` : ""}
+          <div class="kv"><strong>${escapeHtml(t(site, "team.vcard"))}</strong><a href="${escapeHtml(vcardHref)}" download>${escapeHtml(t(site, "team.vcardLink", { name: member.name }))}</a></div>
+        </div>
+      </aside>
+    </div>
+  </div>
+</section>`;
+}
+
+// Links written out in full, so they survive printing.
+function pressLinks(links) {
+  if (!links.length) return "";
+  return `<ul class="press__links">${links
+    .map((link) => `<li><strong>${escapeHtml(link.label || LINK_TYPES[link.type]?.label || link.type)}</strong> <a href="${escapeHtml(link.url)}">${escapeHtml(link.url.replace(/^https?:\/\//, "").replace(/\/$/, ""))}</a></li>`)
+    .join("")}</ul>`;
+}
+
+// Screen-only controls above the printable pages; print.css hides them.
+function pressActions({ site, backHref, backLabel }) {
+  return `<div class="press__actions">
+    <button type="button" class="btn" data-print>${escapeHtml(t(site, "press.print"))}</button>
+    <a href="${escapeHtml(backHref)}">${escapeHtml(backLabel)}</a>
+  </div>`;
+}
+
+// Agency contact details closing every press kit and the catalogue. Team members
+// are listed when they have an email address.
+function pressContact({ site, team = [] }) {
+  const contact = site.contact || {};
+  const website = absoluteUrl(site, "/");
+  const people = (Array.isArray(team) ? team : []).filter((member) => member?.name && member.email);
+  const lines = [
+    contact.email && `<li><a href="mailto:${escapeHtml(contact.email)}">${escapeHtml(contact.email)}</a></li>`,
+    contact.phone && `<li><a href="tel:${escapeHtml(contact.phone.replace(/[^\d+]/g, ""))}">${escapeHtml(contact.phone)}</a></li>`,
+    contact.location && `<li>${escapeHtml(contact.location)}</li>`,
+    /^https?:/.test(website) && `<li><a href="${escapeHtml(website)}">${escapeHtml(website.replace(/^https?:\/\//, "").replace(/\/$/, ""))}</a></li>`,
+  ].filter(Boolean);
+  return `<section class="press__contact">
+    <h2 class="press__heading">${escapeHtml(t(site, "press.contact"))}</h2>
+    <p class="press__agency-name">${escapeHtml(contact.name || site.agencyName)}</p>
+    ${lines.length ? `<ul class="press__lines">${lines.join("")}</ul>` : ""}
+    ${
+      people.length
+        ? `<ul class="press__team">${people
+            .map((m) => `<li>${escapeHtml(m.name)}${m.title ? `, ${escapeHtml(m.title)}` : ""} · <a href="mailto:${escapeHtml(m.email)}">${escapeHtml(m.email)}</a></li>`)
+            .join("")}</ul>`
+        : ""
+    }
+  </section>`;
+}
+
+function pressKit({ site, artist, portrait, bioHtml, contact }) {
+  const label = artistLabel(artist);
+  const repertoire = artistRepertoire(artist);
+  return `<article class="press">
+  ${pressActions({ site, backHref: pageHref(site, `/artists/${artist.slug}/`), backLabel: t(site, "press.backToProfile") })}
+  <header class="press__header">
+    <p class="press__agency">${escapeHtml(site.agencyName)} · ${escapeHtml(t(site, "press.kit"))}</p>
+    <h1>${escapeHtml(artist.name)}</h1>
+    ${label || artist.location ? `<p class="press__label">${escapeHtml([label, artist.location].filter(Boolean).join(" · "))}</p>` : ""}
+  </header>
+  <div class="press__body">
+    <figure class="press__portrait">
+      ${renderPortraitImage(portrait, { sizes: "280px", loading: "eager" })}
+      ${portrait.credit ? `<figcaption class="caption">${escapeHtml(t(site, "press.photoCredit", { credit: portrait.credit }))}</figcaption>` : ""}
+    </figure>
+    <div class="press__text">
+      <h2 class="press__heading">${escapeHtml(t(site, "press.biography"))}</h2>
+      ${bioHtml}
+      ${
+        repertoire.length
+          ? `<h2 class="press__heading">${escapeHtml(t(site, "artist.repertoire"))}</h2>
+      <ul class="list">${repertoire.map((entry) => repertoireItem(site, entry)).join("")}</ul>`
+          : ""
+      }
+      ${artistLinks(artist).length ? `<h2 class="press__heading">${escapeHtml(t(site, "artist.links"))}</h2>
+      ${pressLinks(artistLinks(artist))}` : ""}
+    </div>
+  </div>
+  ${contact}
+</article>`;
+}
+
+// `groups` is [{ label, entries: [{ artist, portrait }] }], already sorted.
+function rosterCatalogue({ site, groups, asOf, contact }) {
+  return `<article class="press press--catalogue">
+  ${pressActions({ site, backHref: pageHref(site, "/artists/"), backLabel: t(site, "press.backToRoster") })}
+  <header class="press__header">
+    <p class="press__agency">${escapeHtml(site.agencyName)}</p>
+    <h1>${escapeHtml(t(site, "press.catalogueTitle"))}</h1>
+    ${site.tagline ? `<p class="press__label">${escapeHtml(site.tagline)}</p>` : ""}
+    <p class="meta">${escapeHtml(t(site, "press.asOf", { date: asOf }))}</p>
+  </header>
+  ${groups
+    .map(
+      (group) => `<section class="catalogue__group">
+    <h2 class="press__heading catalogue__title">${escapeHtml(group.label)}</h2>
+    ${group.entries
+      .map(({ artist, portrait }) => {
+        const repertoire = artistRepertoire(artist).map(formatRepertoireEntry);
+        return `<div class="catalogue__entry">
+      ${renderPortraitImage(portrait, { sizes: "96px", className: "catalogue__photo", loading: "eager" })}
+      <div>
+        <h3><a href="${escapeHtml(pageHref(site, `/press/${artist.slug}/`))}">${escapeHtml(artist.name)}</a></h3>
+        ${artist.location ? `<p class="meta">${escapeHtml(artist.location)}</p>` : ""}
+        ${artist.bio ? `<p>${escapeHtml(artist.bio)}</p>` : ""}
+        ${repertoire.length ? `<p class="catalogue__repertoire">${escapeHtml(repertoire.join(" · "))}</p>` : ""}
+        ${pressLinks(artistLinks(artist))}
+      </div>
+    </div>`;
+      })
+      .join("\n")}
+  </section>`
+    )
+    .join("\n")}
+  ${contact}
+</article>`;
+}
+
+// One performance run. `artist` is only passed where the list mixes artists (the calendar).
+function engagement({ site, engagement, artist, when, dataAttrs = "" }) {
+  const title = [engagement.role && escapeHtml(engagement.role), engagement.work && `<em>${escapeHtml(engagement.work)}</em>`]
+    .filter(Boolean)
+    .join(" · ");
+  const place = [engagement.company, [engagement.venue, engagement.city].filter(Boolean).join(", ")].filter(Boolean);
+  return `<li class="engagement"${dataAttrs ? ` ${dataAttrs}` : ""}>
+  <time class="engagement__date" datetime="${escapeHtml(when.start)}">${escapeHtml(when.label)}</time>
+  <div class="engagement__body">
+    ${artist ? `<a class="engagement__artist" href="${escapeHtml(pageHref(site, `/artists/${artist.slug}/`))}">${escapeHtml(artist.name)}</a>` : ""}
+    <div class="engagement__title">${title}${engagement.composer ? ` <span class="engagement__composer">(${escapeHtml(engagement.composer)})</span>` : ""}</div>
+    ${place.length ? `<div class="meta">${escapeHtml(place.join(" · "))}</div>` : ""}
+    ${engagement.link ? `<a class="engagement__link" href="${escapeHtml(engagement.link)}" target="_blank" rel="noopener noreferrer">${escapeHtml(t(site, "engagement.details"))}</a>` : ""}
+  </div>
+</li>`;
+}
+
+export default {
+  name: "default",
+  colorScheme: "dark",
+  fonts: "https://fonts.googleapis.com/css2?family=EB+Garamond:ital,wght@0,400;0,500;1,400&family=Inter:wght@300;400&display=swap",
+  stylesheets: ["/assets/styles.css"],
+  layout,
+  languageSwitcher,
+  siteSearch,
+  hero,
+  featuredArtists,
+  contactStrip,
+  rosterCard,
+  artistProfile,
+  teamMember,
+  teamProfile,
+  engagement,
+  pressKit,
+  pressContact,
+  rosterCatalogue,
+};